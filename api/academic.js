@@ -0,0 +1,38 @@
+// api/academic.js - Serverless function for the academic calendar (holidays, exams, term dates)
+const TermManager = require('../src/modules/terms.js');
+const AcademicCalendar = require('../src/modules/academic.js');
+const ClassDates = require('../src/modules/classdates.js');
+
+const handler = async (req, res) => {
+  try {
+    const { term } = req.query;
+
+    if (term && !TermManager.isValidTermId(term)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${term}"`
+      });
+    }
+
+    const { cacheManager, termManager, academicCalendar } = req.userContext;
+    const termId = await termManager.resolveTermId(term, { offline: true });
+
+    // Cache only: TimetableRefresher scrapes the calendar with each (rate-limited) refresh
+    const calendar = await academicCalendar.load(cacheManager.forTerm(termId));
+
+    res.status(200).json({
+      success: true,
+      term: termId,
+      ...calendar,
+      today: AcademicCalendar.getDayStatus(calendar, ClassDates.getToday())
+    });
+  } catch (error) {
+    console.error('❌ Error fetching academic calendar:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = handler;
@@ -0,0 +1,35 @@
+// api/attendance.js - Serverless function for per-course attendance
+const TermManager = require('../src/modules/terms.js');
+
+const handler = async (req, res) => {
+  try {
+    const { term } = req.query;
+
+    if (term && !TermManager.isValidTermId(term)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${term}"`
+      });
+    }
+
+    const { cacheManager, termManager, attendanceManager } = req.userContext;
+    const termId = await termManager.resolveTermId(term, { offline: true });
+
+    // Cache only: TimetableRefresher scrapes attendance with each (rate-limited) refresh
+    const attendanceData = await cacheManager.forTerm(termId).loadAttendanceCache();
+
+    res.status(200).json({
+      success: true,
+      term: termId,
+      ...attendanceManager.summarize(attendanceData)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching attendance:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = handler;
@@ -0,0 +1,27 @@
+// api/buildings.js - Serverless function for the campus building directory
+const BuildingDirectory = require('../src/modules/buildings.js');
+
+const handler = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const buildings = [...BuildingDirectory.getDirectory().values()]
+      .map(building => ({ ...building, mapsUrl: BuildingDirectory.getMapsUrl(building) }));
+
+    // ?from=34&to=36 adds a walking estimate between two blocks
+    const walk = from && to ? BuildingDirectory.getWalk(from, to) : undefined;
+
+    res.status(200).json({
+      success: true,
+      buildings,
+      ...(walk !== undefined ? { walk } : {})
+    });
+  } catch (error) {
+    console.error('❌ Error reading building directory:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = handler;
@@ -0,0 +1,101 @@
+// api/calendar.js - Serverless function for the iCalendar (.ics) export and feed
+const TermManager = require('../src/modules/terms.js');
+const CalendarExporter = require('../src/modules/calendar.js');
+
+const getBaseUrl = (req) => {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol || 'https';
+  return `${protocol}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+};
+
+const icsHandler = async (req, res) => {
+  try {
+    if (req.query.term && !TermManager.isValidTermId(req.query.term)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${req.query.term}"`
+      });
+    }
+    
+    // Per-user managers come from the session or feed token middleware
+    const { userId, cacheManager, timetableManager, termManager, courseCatalogue, examManager, academicCalendar } = req.userContext;
+    const termId = await termManager.resolveTermId(req.query.term, { offline: true });
+    const cache = cacheManager.forTerm(termId);
+    const cacheData = await cache.loadTimetableCache();
+    
+    if (!cacheData || !cacheData.data) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No timetable data. Please refresh first.',
+        term: termId
+      });
+    }
+    
+    await courseCatalogue.load(cache);
+    
+    const processedData = cacheData.data.map(classItem => 
+      timetableManager.processClassItem(classItem)
+    );
+    
+    // Exams come from the cache only - the feed is polled and must not hit UMS
+    const { exams } = examManager.summarize(await cache.loadExamCache());
+    // Weekly classes stop at the term end, when the academic calendar knows it
+    const { end: termEnd } = await academicCalendar.load(cache);
+    
+    const exporter = new CalendarExporter({
+      userId,
+      termId,
+      calendarName: `LPU Timetable (${userId})`
+    });
+    const ics = exporter.build(processedData, {
+      timestamp: cacheData.timestamp || cacheData.lastUpdate,
+      exams,
+      termEnd
+    });
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="timetable-${termId}.ics"`);
+    }
+    res.status(200).send(ics);
+  } catch (error) {
+    console.error('❌ Error exporting calendar:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// GET returns the user's subscription URL, POST issues a new one
+const feedHandler = async (req, res) => {
+  try {
+    const rotate = req.method === 'POST';
+    const token = await req.userManager.getFeedToken(req.user.userId, rotate);
+    
+    if (rotate) {
+      console.log(`📅 Calendar feed link rotated for ${req.user.userId}`);
+    }
+    
+    const url = `${getBaseUrl(req)}/api/timetable.ics?key=${token}`;
+    
+    res.status(200).json({
+      success: true,
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('❌ Error creating calendar feed:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = icsHandler;
+module.exports.feed = feedHandler;
+module.exports.getBaseUrl = getBaseUrl;
@@ -0,0 +1,97 @@
+// api/captcha.js - Serverless function for the manual captcha fallback and solver stats
+const { ManualCaptchaSolver, CaptchaSolverChain } = require('../src/modules/captcha.js');
+
+// Issued before a login; the client id is the browser's secret for its captcha
+const clientHandler = (req, res) => {
+  const clientId = ManualCaptchaSolver.createClient(req.ip || (req.socket && req.socket.remoteAddress) || null);
+  
+  if (!clientId) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many logins in progress, try again in a few minutes'
+    });
+  }
+  
+  res.status(201).json({ success: true, clientId });
+};
+
+// The PWA polls this while its login is in progress
+const pendingHandler = async (req, res) => {
+  try {
+    // Sent as a header so the secret stays out of URLs and access logs
+    const clientId = String(req.headers['x-captcha-client'] || '');
+    
+    if (!ManualCaptchaSolver.isIssuedClient(clientId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unknown or expired captcha client'
+      });
+    }
+    
+    const challenge = ManualCaptchaSolver.getPendingChallenge(clientId);
+    res.status(200).json({ success: true, challenge });
+  } catch (error) {
+    console.error('❌ Error loading captcha challenge:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const answerHandler = async (req, res) => {
+  try {
+    const { clientId, answer } = req.body || {};
+    
+    if (!clientId || !answer) {
+      return res.status(400).json({
+        success: false,
+        error: 'clientId and answer are required'
+      });
+    }
+    
+    if (!ManualCaptchaSolver.isIssuedClient(String(clientId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unknown or expired captcha client'
+      });
+    }
+    
+    if (!ManualCaptchaSolver.answerChallenge(req.params.id, String(clientId), answer)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Captcha challenge not found or expired'
+      });
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('❌ Error answering captcha:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const statsHandler = async (req, res) => {
+  try {
+    const chain = new CaptchaSolverChain();
+    res.status(200).json({
+      success: true,
+      order: chain.solvers.map(solver => solver.name),
+      stats: await chain.getStats()
+    });
+  } catch (error) {
+    console.error('❌ Error loading captcha stats:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = pendingHandler;
+module.exports.client = clientHandler;
+module.exports.answer = answerHandler;
+module.exports.stats = statsHandler;
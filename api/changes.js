@@ -0,0 +1,67 @@
+// api/changes.js - Serverless function for the timetable change history
+const TermManager = require('../src/modules/terms.js');
+
+const CHANGE_TYPES = ['added', 'removed', 'modified', 'moved'];
+const MAX_LIMIT = 200;
+
+// Accepts ISO timestamps or plain dates; a plain "to" date covers the whole day
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setTime(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return date;
+};
+
+const handler = async (req, res) => {
+  try {
+    const { term, from, to, type, limit } = req.query;
+    
+    let filters;
+    try {
+      if (term && !TermManager.isValidTermId(term)) {
+        throw new Error(`Invalid term "${term}"`);
+      }
+      if (type && !CHANGE_TYPES.includes(type)) {
+        throw new Error(`Invalid type "${type}" (expected ${CHANGE_TYPES.join(', ')})`);
+      }
+      
+      filters = {
+        from: parseDate(from),
+        to: parseDate(to, true),
+        type,
+        limit: Math.min(parseInt(limit) || 50, MAX_LIMIT)
+      };
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    const { cacheManager, termManager } = req.userContext;
+    const termId = await termManager.resolveTermId(term, { offline: true });
+    const history = await cacheManager.forTerm(termId).loadChangeHistory(filters);
+    
+    res.status(200).json({
+      success: true,
+      term: termId,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    console.error('❌ Error fetching change history:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = handler;
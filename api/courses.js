@@ -0,0 +1,94 @@
+// api/courses.js - Admin routes for editing the course catalogue
+const crypto = require('crypto');
+const CourseCatalogue = require('../src/modules/courses.js');
+
+// Admin routes need ADMIN_TOKEN, sent as the X-Admin-Token header
+const isAdmin = (req) => {
+  const expected = process.env.ADMIN_TOKEN || '';
+  const provided = String(req.headers['x-admin-token'] || '');
+  
+  if (!expected || provided.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({
+      success: false,
+      error: process.env.ADMIN_TOKEN ? 'Invalid admin token' : 'Admin routes are disabled (ADMIN_TOKEN not set)'
+    });
+  }
+  next();
+};
+
+const listHandler = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      defaults: CourseCatalogue.DEFAULT_COURSES,
+      catalogueFile: await CourseCatalogue.loadCatalogueFile(),
+      overrides: await CourseCatalogue.loadOverrides()
+    });
+  } catch (error) {
+    console.error('❌ Error listing courses:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const updateHandler = async (req, res) => {
+  try {
+    // Accept a single course or { courses: [...] }
+    const body = req.body || {};
+    const courses = Array.isArray(body.courses) ? body.courses : [body];
+    
+    let overrides;
+    try {
+      overrides = await CourseCatalogue.setOverrides(courses);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    console.log(`📖 Course catalogue updated (${courses.length} entries)`);
+    res.status(200).json({ success: true, overrides });
+  } catch (error) {
+    console.error('❌ Error updating courses:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const removeHandler = async (req, res) => {
+  try {
+    const removed = await CourseCatalogue.removeOverride(req.params.code);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `No override for ${req.params.code}`
+      });
+    }
+    
+    res.status(200).json({ success: true, overrides: await CourseCatalogue.loadOverrides() });
+  } catch (error) {
+    console.error('❌ Error removing course:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = listHandler;
+module.exports.requireAdmin = requireAdmin;
+module.exports.update = updateHandler;
+module.exports.remove = removeHandler;
@@ -0,0 +1,44 @@
+// api/cron.js - Serverless function for externally triggered scheduled refreshes
+const crypto = require('crypto');
+const { RefreshScheduler } = require('../src/modules/scheduler.js');
+
+// Cron triggers send CRON_SECRET as "Authorization: Bearer <secret>" (Vercel Cron)
+// or as the X-Cron-Secret header
+const isCronRequest = (req) => {
+  const expected = process.env.CRON_SECRET || '';
+  const authHeader = String(req.headers.authorization || '');
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : String(req.headers['x-cron-secret'] || '');
+  
+  if (!expected || provided.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+};
+
+const refreshHandler = async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      error: process.env.CRON_SECRET ? 'Invalid cron secret' : 'Cron refresh is disabled (CRON_SECRET not set)'
+    });
+  }
+  
+  try {
+    console.log('⏰ Cron refresh triggered at:', new Date().toISOString());
+    
+    // The external scheduler picks the time, so no jitter unless asked for
+    const jitterSeconds = parseInt(req.query.jitter) || 0;
+    const scheduler = new RefreshScheduler({ userManager: req.userManager, jitterSeconds });
+    const summary = await scheduler.runOnce();
+    
+    res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('❌ Error during cron refresh:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = refreshHandler;
@@ -0,0 +1,35 @@
+// api/exams.js - Serverless function for the exam schedule (CA, mid-term, end-term)
+const TermManager = require('../src/modules/terms.js');
+
+const handler = async (req, res) => {
+  try {
+    const { term } = req.query;
+
+    if (term && !TermManager.isValidTermId(term)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${term}"`
+      });
+    }
+
+    const { cacheManager, termManager, examManager } = req.userContext;
+    const termId = await termManager.resolveTermId(term, { offline: true });
+
+    // Cache only: TimetableRefresher scrapes the date sheet with each (rate-limited) refresh
+    const examData = await cacheManager.forTerm(termId).loadExamCache();
+
+    res.status(200).json({
+      success: true,
+      term: termId,
+      ...examManager.summarize(examData)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching exam schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = handler;
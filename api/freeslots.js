@@ -0,0 +1,61 @@
+// api/freeslots.js - Serverless function for free periods between classes
+const TermManager = require('../src/modules/terms.js');
+const FreeSlotFinder = require('../src/modules/freeslots.js');
+
+const handler = async (req, res) => {
+  try {
+    const { term, day, from, to, min } = req.query;
+
+    let options;
+    try {
+      if (term && !TermManager.isValidTermId(term)) {
+        throw new Error(`Invalid term "${term}"`);
+      }
+
+      options = FreeSlotFinder.getOptions({
+        from,
+        to,
+        minMinutes: min,
+        days: day ? String(day).split(',') : undefined
+      });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const { cacheManager, timetableManager, termManager } = req.userContext;
+    const termId = await termManager.resolveTermId(term, { offline: true });
+    const cacheData = await cacheManager.forTerm(termId).loadTimetableCache();
+
+    if (!cacheData || !cacheData.data) {
+      return res.status(404).json({
+        success: false,
+        error: 'No timetable data. Please refresh first.',
+        term: termId
+      });
+    }
+
+    const classes = cacheData.data.map(classItem => timetableManager.processClassItem(classItem));
+
+    res.status(200).json({
+      success: true,
+      term: termId,
+      window: {
+        from: FreeSlotFinder.formatClock(options.dayStart),
+        to: FreeSlotFinder.formatClock(options.dayEnd)
+      },
+      minMinutes: options.minMinutes,
+      days: FreeSlotFinder.findFreeSlots(classes, options)
+    });
+  } catch (error) {
+    console.error('❌ Error finding free slots:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = handler;
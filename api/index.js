@@ -11,10 +11,39 @@ const fs = require('fs');
 const statusHandler = require('./status.js');
 const timetableHandler = require('./timetable.js');
 const refreshHandler = require('./refresh.js');
+const loginHandler = require('./login.js');
+const termsHandler = require('./terms.js');
+const coursesHandler = require('./courses.js');
+const calendarHandler = require('./calendar.js');
+const changesHandler = require('./changes.js');
+const attendanceHandler = require('./attendance.js');
+const academicHandler = require('./academic.js');
+const examsHandler = require('./exams.js');
+const freeSlotsHandler = require('./freeslots.js');
+const shareHandler = require('./share.js');
+const buildingsHandler = require('./buildings.js');
+const pushHandler = require('./push.js');
+const captchaHandler = require('./captcha.js');
+const cronHandler = require('./cron.js');
+const UserManager = require('../src/modules/users.js');
+const CredentialVault = require('../src/modules/vault.js');
 
 // Create Express app
 const app = express();
 
+// Shared per-user session store (reused across warm function calls)
+const userManager = new UserManager();
+const requireUser = userManager.requireUser();
+const requireFeedUser = userManager.requireFeedUser();
+
+// Accounts can't be stored without a vault key, so logins are refused until one is set
+if (!CredentialVault.isConfigured()) {
+  console.error('⚠️ VAULT_KEY is not set: logins are refused and UMS sessions are kept in memory only. Set VAULT_KEY in .env.');
+}
+
+// Long-running servers start the refresh worker with it (see dev-server.js)
+app.locals.userManager = userManager;
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -22,8 +51,8 @@ app.use(express.urlencoded({ extended: true }));
 // CORS middleware
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token, X-Captcha-Client');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -31,11 +60,51 @@ app.use((req, res, next) => {
   next();
 });
 
+// Expose the user manager to route handlers
+app.use('/api', (req, res, next) => {
+  req.userManager = userManager;
+  next();
+});
+
 // API Routes
 app.get('/api/status', statusHandler);
-app.get('/api/timetable', timetableHandler);
-app.post('/api/refresh', refreshHandler);
-app.get('/api/refresh', refreshHandler);
+app.post('/api/login', loginHandler);
+app.post('/api/logout', loginHandler.logout);
+app.post('/api/captcha/client', captchaHandler.client);
+app.get('/api/captcha/pending', captchaHandler);
+app.post('/api/captcha/:id', captchaHandler.answer);
+app.get('/api/terms', requireUser, termsHandler);
+app.get('/api/timetable', requireUser, timetableHandler);
+app.get('/api/timetable.ics', requireFeedUser, calendarHandler);
+app.get('/api/changes', requireUser, changesHandler);
+app.get('/api/attendance', requireUser, attendanceHandler);
+app.get('/api/academic-calendar', requireUser, academicHandler);
+app.get('/api/exams', requireUser, examsHandler);
+app.get('/api/free-slots', requireUser, freeSlotsHandler);
+app.get('/api/share', requireUser, shareHandler);
+app.post('/api/share', requireUser, shareHandler.create);
+app.delete('/api/share', requireUser, shareHandler.revoke);
+app.get('/api/shared/:token', shareHandler.view);
+app.post('/api/compare', requireUser, shareHandler.compare);
+app.get('/api/buildings', buildingsHandler);
+app.get('/api/push/key', pushHandler.key);
+app.post('/api/push/subscribe', requireUser, pushHandler);
+app.post('/api/push/unsubscribe', requireUser, pushHandler.unsubscribe);
+app.post('/api/push/test', requireUser, pushHandler.test);
+app.get('/api/calendar/feed', requireUser, calendarHandler.feed);
+app.post('/api/calendar/feed', requireUser, calendarHandler.feed);
+app.post('/api/refresh', requireUser, refreshHandler);
+app.get('/api/refresh', requireUser, refreshHandler);
+app.get('/api/cron/refresh', cronHandler);
+app.post('/api/cron/refresh', cronHandler);
+
+// Admin Routes
+app.get('/api/admin/courses', coursesHandler.requireAdmin, coursesHandler);
+app.put('/api/admin/courses', coursesHandler.requireAdmin, coursesHandler.update);
+app.post('/api/admin/courses', coursesHandler.requireAdmin, coursesHandler.update);
+app.delete('/api/admin/courses/:code', coursesHandler.requireAdmin, coursesHandler.remove);
+app.get('/api/admin/captcha-stats', coursesHandler.requireAdmin, captchaHandler.stats);
+app.get('/api/admin/parse-report', coursesHandler.requireAdmin, statusHandler.parseReport);
 
 // Static file serving
 app.use('/assets', express.static(path.join(__dirname, '../public/assets')));
@@ -0,0 +1,67 @@
+// api/login.js - Serverless function for per-user login/logout
+const { ManualCaptchaSolver } = require('../src/modules/captcha.js');
+
+const loginHandler = async (req, res) => {
+  try {
+    const { registrationNumber, password } = req.body || {};
+    
+    if (!registrationNumber || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration number and password are required'
+      });
+    }
+    
+    console.log('👤 Login requested at:', new Date().toISOString());
+    
+    // A browser that can show the captcha sends the client id /api/captcha/client issued it
+    const captchaClientId = String(req.body.captchaClientId || '');
+    const session = await req.userManager.login(String(registrationNumber), String(password), {
+      captchaContext: ManualCaptchaSolver.isIssuedClient(captchaClientId) ? { clientId: captchaClientId } : {}
+    });
+    
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        authRequired: true,
+        error: 'UMS login failed. Check your registration number and password.'
+      });
+    }
+    
+    req.userManager.setSessionCookie(res, session.token);
+    
+    res.status(200).json({
+      success: true,
+      user: { registrationNumber: session.userId },
+      token: session.token,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error during login:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const logoutHandler = async (req, res) => {
+  try {
+    const token = req.userManager.getTokenFromRequest(req);
+    if (token) {
+      await req.userManager.destroySession(token);
+    }
+    
+    req.userManager.clearSessionCookie(res);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('❌ Error during logout:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = loginHandler;
+module.exports.logout = logoutHandler;
@@ -0,0 +1,78 @@
+// api/push.js - Serverless function for Web Push subscriptions
+const WebPush = require('../src/modules/webpush.js');
+const NotificationManager = require('../src/modules/notifications.js');
+
+// The browser needs the VAPID public key to subscribe
+const keyHandler = (req, res) => {
+  const webPush = new WebPush();
+  
+  if (!webPush.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Push notifications are not configured on this server'
+    });
+  }
+  
+  res.status(200).json({ success: true, publicKey: webPush.publicKey });
+};
+
+const subscribeHandler = async (req, res) => {
+  try {
+    const subscription = req.body && (req.body.subscription || req.body);
+    
+    if (!NotificationManager.isValidSubscription(subscription)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A PushSubscription with endpoint and keys is required'
+      });
+    }
+    
+    await req.userContext.notificationManager.addSubscription(subscription);
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('❌ Error saving push subscription:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const unsubscribeHandler = async (req, res) => {
+  try {
+    const endpoint = req.body && req.body.endpoint;
+    if (!endpoint) {
+      return res.status(400).json({
+        success: false,
+        error: 'endpoint is required'
+      });
+    }
+    
+    const removed = await req.userContext.notificationManager.removeSubscription(endpoint);
+    res.status(200).json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ Error removing push subscription:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+const testHandler = async (req, res) => {
+  try {
+    const result = await req.userContext.notificationManager.sendTestNotification();
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error sending test push:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = subscribeHandler;
+module.exports.key = keyHandler;
+module.exports.unsubscribe = unsubscribeHandler;
+module.exports.test = testHandler;
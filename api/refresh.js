@@ -1,27 +1,15 @@
 // api/refresh.js - Serverless function for refreshing timetable
-const AuthManager = require('../src/modules/auth.js');
-const TimetableManager = require('../src/modules/timetable.js');
-const CacheManager = require('../src/modules/cache.js');
-const NotificationManager = require('../src/modules/notifications.js');
+const TermManager = require('../src/modules/terms.js');
+const TimetableRefresher = require('../src/modules/refresher.js');
 
-// Singleton instances (reused across warm function calls)
-let authManager, timetableManager, cacheManager, notificationManager;
-
-const getManagers = () => {
-  if (!authManager) {
-    authManager = new AuthManager();
-    timetableManager = new TimetableManager(authManager);
-    cacheManager = new CacheManager();
-    notificationManager = new NotificationManager();
-  }
-  return { authManager, timetableManager, cacheManager, notificationManager };
-};
+// Per-user managers (including push notifications) come from the session middleware
+const getManagers = (req) => req.userContext;
 
 const handler = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -29,60 +17,45 @@ const handler = async (req, res) => {
   }
 
   try {
-    console.log('🔄 Refresh requested at:', new Date().toISOString());
+    console.log(`🔄 Refresh requested for ${req.user.userId} at:`, new Date().toISOString());
+    
+    const requestedTerm = req.query.term || (req.body && req.body.term);
+    if (requestedTerm && !TermManager.isValidTermId(requestedTerm)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${requestedTerm}"`
+      });
+    }
     
-    const managers = getManagers();
+    const managers = getManagers(req);
+    const termId = await managers.termManager.resolveTermId(requestedTerm);
     
-    // Check rate limit: 10 minutes between refreshes
-    const cacheData = await managers.cacheManager.loadTimetableCache();
-    if (cacheData && (cacheData.lastUpdate || cacheData.timestamp)) {
-      // Use lastUpdate (milliseconds) for accurate rate limiting, fallback to timestamp
-      const lastUpdateMs = cacheData.lastUpdate || new Date(cacheData.timestamp).getTime();
-      const now = Date.now();
-      const diffMs = now - lastUpdateMs;
-      const diffMinutes = Math.floor(diffMs / 60000);
-      const RATE_LIMIT_MINUTES = 10;
+    // Same steps as the scheduled refresh worker, including the 10-minute rate limit
+    const result = await TimetableRefresher.refresh(managers, termId);
+    
+    if (result.rateLimited) {
+      const remainingMs = result.remainingMs;
+      const remainingMinutes = Math.floor(remainingMs / 60000);
+      const remainingSeconds = Math.floor((remainingMs % 60000) / 1000);
+      const RATE_LIMIT_MINUTES = TimetableRefresher.RATE_LIMIT_MINUTES;
       
-      console.log(`📊 Last update was ${diffMinutes} minutes ago (${new Date(lastUpdateMs).toISOString()})`);
+      console.log(`⏱️ Rate limit: ${remainingMinutes} min ${remainingSeconds} sec remaining`);
       
-      if (diffMinutes < RATE_LIMIT_MINUTES) {
-        const remainingMs = (RATE_LIMIT_MINUTES * 60000) - diffMs;
-        const remainingMinutes = Math.floor(remainingMs / 60000);
-        const remainingSeconds = Math.floor((remainingMs % 60000) / 1000);
-        
-        console.log(`⏱️ Rate limit: ${remainingMinutes} min ${remainingSeconds} sec remaining`);
-        
-        return res.status(429).json({
-          success: false,
-          rateLimited: true,
-          message: `Please wait ${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''} ${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''} before refreshing again`,
-          remainingTime: {
-            minutes: remainingMinutes,
-            seconds: remainingSeconds,
-            totalSeconds: Math.floor(remainingMs / 1000)
-          },
-          lastUpdated: new Date(lastUpdateMs).toISOString(),
-          nextRefreshAllowed: new Date(lastUpdateMs + (RATE_LIMIT_MINUTES * 60000)).toISOString()
-        });
-      }
+      return res.status(429).json({
+        success: false,
+        rateLimited: true,
+        message: `Please wait ${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''} ${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''} before refreshing again`,
+        remainingTime: {
+          minutes: remainingMinutes,
+          seconds: remainingSeconds,
+          totalSeconds: Math.floor(remainingMs / 1000)
+        },
+        lastUpdated: new Date(result.lastUpdateMs).toISOString(),
+        nextRefreshAllowed: new Date(result.lastUpdateMs + (RATE_LIMIT_MINUTES * 60000)).toISOString()
+      });
     }
     
-    // Fetch fresh data
-    const freshData = await managers.timetableManager.fetchFreshTimetableData();
-    console.log(`✅ Fetched ${freshData.length} classes`);
-
-    // Detect changes
-    const changes = await managers.cacheManager.detectScheduleChangesWithPersistence(freshData);
-    if (changes.hasChanges) {
-      console.log(`📊 Detected ${changes.changes.length} changes`);
-      await managers.notificationManager.sendScheduleChangeNotifications(changes.changes);
-    }
-
-    // Save cache
-    await managers.cacheManager.saveTimetableCache(
-      freshData, 
-      managers.authManager.getSessionCookies()
-    );
+    const { data: freshData, changes, parseWarning } = result;
 
     const processedData = freshData.map(item => 
       managers.timetableManager.processClassItem(item)
@@ -95,8 +68,11 @@ const handler = async (req, res) => {
       data: processedData, 
       cached: false,
       timestamp: timestamp,
+      term: termId,
       classCount: processedData.length,
-      changes: changes.hasChanges ? changes.changes : null
+      changes: changes.hasChanges ? changes.changes : null,
+      // Set when the UMS response looked broken and the cached timetable was kept
+      parseWarning: parseWarning || null
     });
   } catch (error) {
     console.error('❌ Error refreshing timetable:', error.message);
@@ -0,0 +1,173 @@
+// api/share.js - Serverless function for read-only share links and timetable comparison
+const FreeSlotFinder = require('../src/modules/freeslots.js');
+const TimetableComparer = require('../src/modules/compare.js');
+const { getBaseUrl } = require('./calendar.js');
+
+const MAX_COMPARE_LINKS = 8;
+
+// Links are pasted as full URLs (…/?share=<token>) or bare tokens
+const extractToken = (link) => {
+  const match = String(link || '').match(/[a-f0-9]{48}/i);
+  return match ? match[0].toLowerCase() : null;
+};
+
+const describeLink = (req, link) => link ? {
+  shared: true,
+  url: `${getBaseUrl(req)}/?share=${link.token}`,
+  name: link.name,
+  createdAt: new Date(link.createdAt).toISOString()
+} : { shared: false };
+
+// Processed classes for a user's current term, from cache only (no UMS login)
+const loadClasses = async (context) => {
+  const termId = await context.termManager.resolveTermId(null, { offline: true });
+  const cache = context.cacheManager.forTerm(termId);
+  const cacheData = await cache.loadTimetableCache();
+  
+  await context.courseCatalogue.load(cache);
+  const classes = cacheData && cacheData.data
+    ? cacheData.data.map(classItem => context.timetableManager.processClassItem(classItem))
+    : [];
+  
+  return { termId, classes };
+};
+
+// GET /api/share - the user's current link, if any
+const statusHandler = async (req, res) => {
+  try {
+    const link = await req.userManager.getShareLink(req.user.userId);
+    res.status(200).json({ success: true, ...describeLink(req, link) });
+  } catch (error) {
+    console.error('❌ Error reading share link:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// POST /api/share - issue a new link (the old one stops working)
+const createHandler = async (req, res) => {
+  try {
+    const link = await req.userManager.createShareLink(req.user.userId, req.body && req.body.name);
+    console.log(`🔗 Share link created for ${req.user.userId}`);
+    res.status(201).json({ success: true, ...describeLink(req, link) });
+  } catch (error) {
+    console.error('❌ Error creating share link:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// DELETE /api/share - revoke the link
+const revokeHandler = async (req, res) => {
+  try {
+    const revoked = await req.userManager.revokeShareLink(req.user.userId);
+    if (revoked) console.log(`🔗 Share link revoked for ${req.user.userId}`);
+    res.status(200).json({ success: true, revoked, shared: false });
+  } catch (error) {
+    console.error('❌ Error revoking share link:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// GET /api/shared/:token - someone's timetable, read-only, no login needed
+const viewHandler = async (req, res) => {
+  try {
+    const link = await req.userManager.resolveShareToken(extractToken(req.params.token));
+    const context = link ? await req.userManager.getUserContext(link.userId) : null;
+    
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'This share link is invalid or was revoked.'
+      });
+    }
+    
+    const { termId, classes } = await loadClasses(context);
+    res.status(200).json({
+      success: true,
+      name: link.name,
+      term: termId,
+      classCount: classes.length,
+      data: classes
+    });
+  } catch (error) {
+    console.error('❌ Error loading shared timetable:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// POST /api/compare - { links: [...], from, to, min } against the user's own timetable
+const compareHandler = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const links = Array.isArray(body.links) ? body.links.filter(link => String(link || '').trim()) : [];
+    
+    let options;
+    try {
+      if (links.length === 0 || links.length > MAX_COMPARE_LINKS) {
+        throw new Error(`Paste between 1 and ${MAX_COMPARE_LINKS} share links`);
+      }
+      options = FreeSlotFinder.getOptions({ from: body.from, to: body.to, minMinutes: body.min });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    const participants = [{ name: 'You', userId: req.user.userId, ...(await loadClasses(req.userContext)) }];
+    
+    for (const [index, raw] of links.entries()) {
+      const link = await req.userManager.resolveShareToken(extractToken(raw));
+      const context = link ? await req.userManager.getUserContext(link.userId) : null;
+      
+      if (!context) {
+        return res.status(404).json({
+          success: false,
+          error: `Link ${index + 1} is invalid or was revoked`
+        });
+      }
+      
+      // The same person twice (or your own link) adds nothing
+      if (participants.some(participant => participant.userId === link.userId)) continue;
+      
+      // Names are only labels; keep them unique
+      let name = link.name;
+      for (let n = 2; participants.some(participant => participant.name === name); n++) {
+        name = `${link.name} (${n})`;
+      }
+      participants.push({ name, userId: link.userId, ...(await loadClasses(context)) });
+    }
+    
+    res.status(200).json({
+      success: true,
+      window: {
+        from: FreeSlotFinder.formatClock(options.dayStart),
+        to: FreeSlotFinder.formatClock(options.dayEnd)
+      },
+      ...TimetableComparer.compare(participants, options)
+    });
+  } catch (error) {
+    console.error('❌ Error comparing timetables:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = statusHandler;
+module.exports.create = createHandler;
+module.exports.revoke = revokeHandler;
+module.exports.view = viewHandler;
+module.exports.compare = compareHandler;
@@ -1,14 +1,80 @@
 // api/status.js - Serverless function for status endpoint
+
+// Last timetable parse for the logged-in user's term, so a UMS markup change shows up here.
+// Only counts and the reason: the unreadable events' raw HTML is at /api/admin/parse-report
+const getParserStatus = async (req) => {
+  if (!req.userManager) return null;
+
+  // A session only - this route is public, so it never falls back to the .env user
+  const session = await req.userManager.getSession(req.userManager.getTokenFromRequest(req));
+  const context = session ? await req.userManager.getUserContext(session.userId) : null;
+  if (!context) return null;
+
+  const termId = await context.termManager.resolveTermId(req.query.term, { offline: true });
+  const report = await context.cacheManager.forTerm(termId).loadParseReport();
+  if (!report) return { term: termId, ok: null };
+
+  return {
+    term: termId,
+    ok: report.ok,
+    reason: report.reason || null,
+    checkedAt: new Date(report.lastUpdate).toISOString(),
+    classCount: report.classCount,
+    previousCount: report.previousCount,
+    invalidCount: report.invalidCount
+  };
+};
+
 const handler = async (req, res) => {
   try {
+    let parser = null;
+    try {
+      parser = await getParserStatus(req);
+    } catch (error) {
+      // The status endpoint must answer even when a user's data can't be read
+      console.error('❌ Error reading timetable parse report:', error.message);
+    }
+
     res.status(200).json({
       success: true,
       status: 'running',
       version: process.env.PWA_VERSION || '1.9.4',
       timestamp: new Date().toISOString(),
-      environment: process.env.VERCEL_ENV || 'development'
+      environment: process.env.VERCEL_ENV || 'development',
+      ...(parser && { parser })
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// GET /api/admin/parse-report?user=12345678&term=... - the full report, unreadable events included
+const parseReportHandler = async (req, res) => {
+  try {
+    const userId = String(req.query.user || '');
+    const context = userId ? await req.userManager.getUserContext(userId) : null;
+    
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown user'
+      });
+    }
+    
+    const termId = await context.termManager.resolveTermId(req.query.term, { offline: true });
+    const report = await context.cacheManager.forTerm(termId).loadParseReport();
+    
+    res.status(200).json({
+      success: true,
+      userId,
+      term: termId,
+      report
     });
   } catch (error) {
+    console.error('❌ Error reading timetable parse report:', error.message);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -17,3 +83,4 @@ const handler = async (req, res) => {
 };
 
 module.exports = handler;
+module.exports.parseReport = parseReportHandler;
@@ -0,0 +1,27 @@
+// api/terms.js - Serverless function for listing academic terms
+const handler = async (req, res) => {
+  try {
+    const { termManager } = req.userContext;
+    
+    // Only ?refresh=true asks UMS; otherwise serve what refreshes already discovered
+    const forceRefresh = req.query.refresh === 'true';
+    const { terms, currentTermId } = await termManager.getTerms({
+      forceRefresh,
+      offline: !forceRefresh
+    });
+    
+    res.status(200).json({
+      success: true,
+      terms,
+      currentTerm: currentTermId
+    });
+  } catch (error) {
+    console.error('❌ Error fetching terms:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+module.exports = handler;
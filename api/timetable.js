@@ -1,21 +1,11 @@
 // api/timetable.js - Serverless function for fetching cached timetable
-const CacheManager = require('../src/modules/cache.js');
-
-// Singleton cache manager instance (reused across warm function calls)
-let cacheManager;
-
-const getCacheManager = () => {
-  if (!cacheManager) {
-    cacheManager = new CacheManager();
-  }
-  return cacheManager;
-};
+const TermManager = require('../src/modules/terms.js');
 
 const handler = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -23,23 +13,30 @@ const handler = async (req, res) => {
   }
 
   try {
-    const cache = getCacheManager();
+    if (req.query.term && !TermManager.isValidTermId(req.query.term)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid term "${req.query.term}"`
+      });
+    }
+    
+    // Per-user managers come from the session middleware
+    const { cacheManager, timetableManager, termManager, courseCatalogue } = req.userContext;
+    const termId = await termManager.resolveTermId(req.query.term, { offline: true });
+    const cache = cacheManager.forTerm(termId);
     const cacheData = await cache.loadTimetableCache();
     
     if (!cacheData || !cacheData.data) {
       return res.status(404).json({ 
         success: false, 
         error: 'No timetable data. Please refresh first.',
+        term: termId,
         hint: 'Click the refresh button (🔄) to fetch your timetable.'
       });
     }
 
-    // Import TimetableManager for processing
-    const TimetableManager = require('../src/modules/timetable.js');
-    const AuthManager = require('../src/modules/auth.js');
-    
-    const authManager = new AuthManager();
-    const timetableManager = new TimetableManager(authManager);
+    // Resolve course names from the catalogue cached for this term
+    await courseCatalogue.load(cache);
     
     const processedData = cacheData.data.map(classItem => 
       timetableManager.processClassItem(classItem)
@@ -53,6 +50,7 @@ const handler = async (req, res) => {
       data: processedData, 
       cached: true,
       timestamp: cacheTimestamp,
+      term: termId,
       classCount: processedData.length
     });
   } catch (error) {
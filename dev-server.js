@@ -8,6 +8,7 @@
 require('dotenv').config();
 
 const app = require('./api/index.js');
+const { RefreshScheduler } = require('./src/modules/scheduler.js');
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
@@ -17,8 +18,38 @@ app.listen(PORT, () => {
   console.log(`📍 Local:     http://localhost:${PORT}`);
   console.log(`📍 Network:   http://0.0.0.0:${PORT}`);
   console.log('\n📚 API Endpoints:');
-  console.log(`   GET  /api/status      - Server status`);
-  console.log(`   GET  /api/timetable   - Get cached timetable`);
-  console.log(`   POST /api/refresh     - Refresh timetable\n`);
+  console.log(`   GET  /api/status      - Server status and last timetable parse`);
+  console.log(`   POST /api/login       - Log in with UMS credentials`);
+  console.log(`   POST /api/logout      - End the current session`);
+  console.log(`   GET  /api/terms       - List academic terms`);
+  console.log(`   GET  /api/timetable   - Get cached timetable (?term=25261)`);
+  console.log(`   GET  /api/timetable.ics - Calendar export (?key= for feeds)`);
+  console.log(`   GET  /api/calendar/feed - Calendar subscription link`);
+  console.log(`   GET  /api/changes     - Change history (?from=&to=&type=)`);
+  console.log(`   GET  /api/attendance  - Attendance per course (cached by /api/refresh)`);
+  console.log(`   GET  /api/academic-calendar - Holidays, exam weeks and term dates (cached by /api/refresh)`);
+  console.log(`   GET  /api/exams       - Exam schedule with dates, rooms and seats (cached by /api/refresh)`);
+  console.log(`   GET  /api/free-slots  - Gaps between classes (?day=&from=09:00&to=17:00&min=60)`);
+  console.log(`   POST /api/share       - Create a read-only share link (DELETE revokes)`);
+  console.log(`   POST /api/compare     - Common free time with shared timetables`);
+  console.log(`   GET  /api/buildings   - Campus blocks (?from=34&to=36 for a walk estimate)`);
+  console.log(`   POST /api/push/subscribe - Register a Web Push subscription`);
+  console.log(`   POST /api/refresh     - Refresh timetable (?term=25261)`);
+  console.log(`   POST /api/cron/refresh - Refresh every user (CRON_SECRET)`);
+  console.log(`   POST /api/captcha/client - Secret client id for a login's captcha`);
+  console.log(`   GET  /api/captcha/pending - Captcha waiting for the user (X-Captcha-Client)`);
+  console.log(`   GET  /api/admin/courses - Course catalogue (X-Admin-Token)`);
+  console.log(`   GET  /api/admin/captcha-stats - Captcha solver success rates`);
+  console.log(`   GET  /api/admin/parse-report - A user's last parse, unreadable events included\n`);
+  
+  // Server-side refresh worker (opt-in: it logs in to UMS for every user)
+  if (process.env.REFRESH_CRON) {
+    const scheduler = new RefreshScheduler({ userManager: app.locals.userManager });
+    const nextRun = scheduler.start();
+    if (nextRun) {
+      console.log(`⏰ Scheduled refresh "${scheduler.schedule.expression}" - next run ${nextRun.toISOString()}\n`);
+    }
+  }
+  
   console.log('Press Ctrl+C to stop\n');
 });
@@ -7,9 +7,17 @@ class TimetableApp {
         this.autoRefreshInterval = null;
         this.darkMode = this.getDarkModePreference();
         this.db = window.TimetableDB;
-        // TODO: Re-initialize notification manager when OneSignal integration is implemented
-        // this.notificationManager = window.NotificationManager;
+        this.pushPublicKey = null; // set when the server has Web Push configured
+        this.attendance = null; // { threshold, updatedAt, courses } from /api/attendance
+        this.attendanceCourse = null; // course open in the attendance calculator
+        this.attendanceMarks = new Map(); // mark id (date|start minutes) -> the student's own attended/missed/cancelled mark
+        this.freeSlots = null; // per-day gaps from /api/free-slots
+        this.academicCalendar = null; // holidays, exam weeks and term dates from /api/academic-calendar
+        this.exams = null; // { updatedAt, exams } date sheet from /api/exams
+        this.sharedToken = new URLSearchParams(window.location.search).get('share'); // read-only view of a classmate's timetable
         this.lastManualRefresh = 0;
+        this.selectedTerm = localStorage.getItem('selectedTerm'); // null = current term
+        this.viewMode = localStorage.getItem('viewMode') === 'grid' ? 'grid' : 'list';
         this.REFRESH_COOLDOWN = 10 * 60 * 1000; // 10 minutes in milliseconds
         
         // Wait for DOM to be ready before initializing
@@ -23,6 +31,8 @@ class TimetableApp {
     init() {
         this.bindEvents();
         this.initializeDarkMode();
+        this.updateViewModeButton();
+        this.updateAccountButton();
         
         this.initializeApp().catch(error => {
             console.error('❌ Fatal initialization error:', error);
@@ -35,34 +45,40 @@ class TimetableApp {
         try {
             this.showLoadingScreen();
             
+            // A shared link shows someone else's timetable - nothing of ours is loaded or saved
+            if (this.sharedToken) {
+                await this.loadSharedTimetable();
+                return;
+            }
+            
             // Initialize IndexedDB
             await this.db.init();
-            
-            // TODO: Re-initialize notification system when OneSignal integration is implemented
-            // await this.notificationManager.init();
-            // const notificationEnabled = this.notificationManager.isEnabled();
-            // this.updateNotificationButton(notificationEnabled);
-            // this.updateNotificationInfo(notificationEnabled);
-            
-            // TODO: Re-implement auto-hide notification info when OneSignal is integrated
-            // if (!notificationEnabled) {
-            //     setTimeout(() => {
-            //         const info = document.getElementById('notificationInfo');
-            //         if (info && !this.notificationManager.isEnabled()) {
-            //             info.classList.add('hidden');
-            //         }
-            //     }, 10000); // 10 seconds
-            // }
+            await this.loadAttendanceMarks();
             
             // Load timetable data (from IndexedDB or API)
             await this.loadTimetableData();
             
+            // Populate the term picker, change count and attendance in the background
+            this.loadTerms();
+            this.loadRecentChangeCount();
+            this.loadAttendance();
+            this.loadFreeSlots();
+            this.loadAcademicCalendar();
+            this.loadExams();
+            
             this.setupPWAInstall();
             this.setupServiceWorkerUpdates();
+            this.initPushNotifications();
             this.updateLastUpdateTime();
             
-            // Check current class every minute
-            setInterval(() => this.checkCurrentClass(), 60000);
+            // Check current class, due reminders, free time left and exam countdowns every minute
+            setInterval(() => {
+                this.checkCurrentClass();
+                this.checkReminders();
+                this.updateFreeToday();
+                this.updateExamCountdowns();
+            }, 60000);
+            this.checkReminders();
             
             // Update "last updated" time every minute
             setInterval(() => this.updateLastUpdateTime(), 60000);
@@ -82,10 +98,10 @@ class TimetableApp {
             this.refreshTimetable();
         });
 
-        // TODO: Re-add notification toggle button event handler when OneSignal is implemented
-        // document.getElementById('notificationBtn').addEventListener('click', () => {
-        //     this.toggleNotifications();
-        // });
+        // Notification settings
+        document.getElementById('notificationBtn').addEventListener('click', () => {
+            this.showNotificationModal();
+        });
 
         // Day filter buttons
         document.querySelectorAll('.day-btn').forEach(btn => {
@@ -94,11 +110,157 @@ class TimetableApp {
             });
         });
 
+        // Term picker
+        document.getElementById('termSelect').addEventListener('change', (e) => {
+            this.selectTerm(e.target.value);
+        });
+
         // Dark mode toggle
         document.getElementById('darkModeBtn').addEventListener('click', () => {
             this.toggleDarkMode();
         });
 
+        // Day list / week grid toggle
+        document.getElementById('viewModeBtn').addEventListener('click', () => {
+            this.toggleViewMode();
+        });
+
+        // Login modal
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('loginCancelBtn').addEventListener('click', () => {
+            this.hideLoginModal();
+        });
+
+        document.getElementById('captchaForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitCaptcha();
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+
+        // What changed panel
+        document.getElementById('changesStat').addEventListener('click', () => {
+            this.showChangesModal();
+        });
+
+        document.getElementById('changesFilter').addEventListener('change', () => {
+            this.loadChangeHistory();
+        });
+
+        document.getElementById('changesCloseBtn').addEventListener('click', () => {
+            this.hideChangesModal();
+        });
+
+        // Free periods panel
+        document.getElementById('freeStat').addEventListener('click', () => {
+            this.showFreeSlotsModal();
+        });
+
+        document.getElementById('freeSlotsMin').addEventListener('change', () => {
+            this.loadFreeSlots();
+        });
+
+        document.getElementById('freeSlotsCloseBtn').addEventListener('click', () => {
+            this.hideFreeSlotsModal();
+        });
+
+        document.getElementById('freeSlotsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'freeSlotsModal') {
+                this.hideFreeSlotsModal();
+            }
+        });
+
+        // Attendance badges on class cards open the calculator; mark buttons record the class
+        document.getElementById('timetableContainer').addEventListener('click', (e) => {
+            const badge = e.target.closest('.attendance-badge');
+            if (badge) {
+                this.showAttendanceModal(badge.dataset.course);
+            }
+            
+            const markBtn = e.target.closest('.mark-btn');
+            if (markBtn) {
+                this.toggleAttendanceMark(markBtn.parentElement.dataset, markBtn.dataset.status);
+            }
+        });
+
+        document.getElementById('attendancePeriod').addEventListener('change', () => {
+            this.renderAttendanceMarksSummary();
+        });
+
+        document.getElementById('attendanceSkip').addEventListener('input', () => {
+            this.renderAttendanceProjection();
+        });
+
+        document.getElementById('attendanceAttend').addEventListener('input', () => {
+            this.renderAttendanceProjection();
+        });
+
+        document.getElementById('attendanceCloseBtn').addEventListener('click', () => {
+            this.hideAttendanceModal();
+        });
+
+        document.getElementById('attendanceModal').addEventListener('click', (e) => {
+            if (e.target.id === 'attendanceModal') {
+                this.hideAttendanceModal();
+            }
+        });
+
+        // Calendar export modal
+        document.getElementById('calendarBtn').addEventListener('click', () => {
+            this.showCalendarModal();
+        });
+
+        document.getElementById('calendarCopyBtn').addEventListener('click', () => {
+            this.copyCalendarLink();
+        });
+
+        document.getElementById('calendarRotateBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.loadCalendarFeed(true);
+        });
+
+        document.getElementById('calendarCloseBtn').addEventListener('click', () => {
+            this.hideCalendarModal();
+        });
+
+        // Share & compare modal
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            this.showCompareModal();
+        });
+
+        document.getElementById('shareCreateBtn').addEventListener('click', () => {
+            this.createShareLink();
+        });
+
+        document.getElementById('shareCopyBtn').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        document.getElementById('shareRevokeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.revokeShareLink();
+        });
+
+        document.getElementById('compareRunBtn').addEventListener('click', () => {
+            this.compareTimetables();
+        });
+
+        document.getElementById('compareCloseBtn').addEventListener('click', () => {
+            this.hideCompareModal();
+        });
+
+        document.getElementById('compareModal').addEventListener('click', (e) => {
+            if (e.target.id === 'compareModal') {
+                this.hideCompareModal();
+            }
+        });
+
         // Welcome modal button
         document.getElementById('getStartedBtn').addEventListener('click', () => {
             this.hideWelcomeModal();
@@ -127,20 +289,48 @@ class TimetableApp {
             }
         });
 
-        // TODO: Re-add notification modal event handlers when OneSignal is implemented
-        // document.getElementById('enableNotificationBtn').addEventListener('click', () => {
-        //     this.enableNotificationsFromModal();
-        // });
+        document.getElementById('loginModal').addEventListener('click', (e) => {
+            if (e.target.id === 'loginModal') {
+                this.hideLoginModal();
+            }
+        });
+
+        document.getElementById('changesModal').addEventListener('click', (e) => {
+            if (e.target.id === 'changesModal') {
+                this.hideChangesModal();
+            }
+        });
+
+        document.getElementById('calendarModal').addEventListener('click', (e) => {
+            if (e.target.id === 'calendarModal') {
+                this.hideCalendarModal();
+            }
+        });
+
+        // Notification settings modal
+        document.getElementById('notificationToggleBtn').addEventListener('click', () => {
+            this.toggleNotifications();
+        });
+
+        document.getElementById('reminderLeadTime').addEventListener('change', (e) => {
+            this.setReminderLeadTime(e.target.value);
+        });
+
+        document.getElementById('reminderCourses').addEventListener('change', (e) => {
+            if (e.target.dataset.course) {
+                this.setCourseMuted(e.target.dataset.course, !e.target.checked);
+            }
+        });
 
-        // document.getElementById('skipNotificationBtn').addEventListener('click', () => {
-        //     this.hideNotificationModal();
-        // });
+        document.getElementById('notificationCloseBtn').addEventListener('click', () => {
+            this.hideNotificationModal();
+        });
 
-        // document.getElementById('notificationModal').addEventListener('click', (e) => {
-        //     if (e.target.id === 'notificationModal') {
-        //         this.hideNotificationModal();
-        //     }
-        // });
+        document.getElementById('notificationModal').addEventListener('click', (e) => {
+            if (e.target.id === 'notificationModal') {
+                this.hideNotificationModal();
+            }
+        });
     }
 
     async loadTimetableData(isAutoRefresh = false) {
@@ -191,7 +381,20 @@ class TimetableApp {
             
             // No cached data - try to fetch from API
             console.log('📂 No cached data - fetching from API');
-            const response = await fetch('/api/timetable');
+            const response = await fetch(this.withTerm('/api/timetable'));
+            
+            if (response.status === 401) {
+                console.log('🔐 Not logged in - showing login');
+                this.hideLoadingScreen();
+                this.timetableData = [];
+                this.renderTimetable();
+                this.updateStats();
+                
+                if (!isAutoRefresh) {
+                    this.showLoginModal();
+                }
+                return;
+            }
             
             if (response.status === 404) {
                 console.log('📂 No data available - user needs to refresh');
@@ -331,7 +534,7 @@ class TimetableApp {
                 // Manual refresh forces fresh data from UMS API
                 console.log('🔄 Manual refresh - fetching fresh data from UMS...');
                 
-                const response = await fetch('/api/refresh', {
+                const response = await fetch(this.withTerm('/api/refresh'), {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -352,6 +555,12 @@ class TimetableApp {
                     return;
                 }
                 
+                // Not logged in (or session expired) - ask for UMS credentials
+                if (response.status === 401 && result.authRequired) {
+                    this.showLoginModal();
+                    return;
+                }
+                
                 if (!response.ok) {
                     throw new Error(result.message || 'Failed to refresh timetable');
                 }
@@ -382,6 +591,21 @@ class TimetableApp {
                 // Update last manual refresh time
                 this.lastManualRefresh = Date.now();
                 
+                // A refresh may have discovered new terms
+                this.loadTerms();
+                
+                if (result.parseWarning) {
+                    // UMS sent something the parser didn't trust; the saved timetable was kept
+                    this.showToast('⚠️ UMS timetable looked incomplete - showing your saved timetable');
+                } else if (result.changes && result.changes.length > 0) {
+                    this.showToast(`📜 ${result.changes.length} change${result.changes.length !== 1 ? 's' : ''} since last refresh`);
+                }
+                this.loadRecentChangeCount();
+                this.loadAttendance();
+                this.loadFreeSlots();
+                this.loadAcademicCalendar();
+                this.loadExams();
+                
                 // Show success message briefly
                 const originalText = refreshBtn.innerHTML;
                 refreshBtn.innerHTML = '✅';
@@ -403,6 +627,70 @@ class TimetableApp {
         }
     }
 
+    // Term Functions
+    withTerm(url) {
+        if (!this.selectedTerm) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}term=${encodeURIComponent(this.selectedTerm)}`;
+    }
+
+    async loadTerms() {
+        try {
+            const response = await fetch('/api/terms');
+            if (!response.ok) return;
+            
+            const result = await response.json();
+            if (!result.success || !result.terms) return;
+            
+            const select = document.getElementById('termSelect');
+            select.innerHTML = result.terms.map(term => `
+                <option value="${this.escapeHtml(term.id)}">${this.escapeHtml(term.name)}${term.current ? ' (current)' : ''}</option>
+            `).join('');
+            select.value = this.selectedTerm || result.currentTerm;
+            
+            this.currentTerm = result.currentTerm;
+            document.getElementById('termPicker').classList.toggle('hidden', result.terms.length < 2);
+        } catch (error) {
+            console.error('Error loading terms:', error);
+        }
+    }
+
+    async selectTerm(termId) {
+        // Picking the current term goes back to "follow the current term"
+        this.selectedTerm = termId === this.currentTerm ? null : termId;
+        if (this.selectedTerm) {
+            localStorage.setItem('selectedTerm', this.selectedTerm);
+        } else {
+            localStorage.removeItem('selectedTerm');
+        }
+        
+        try {
+            const response = await fetch(this.withTerm('/api/timetable'));
+            const result = await response.json();
+            
+            this.timetableData = response.ok && result.success ? result.data : [];
+            await this.db.saveTimetable(this.timetableData);
+            
+            if (result.timestamp) {
+                this.updateLastUpdateTimeFromTimestamp(result.timestamp);
+            }
+            
+            this.renderTimetable();
+            this.updateStats();
+            this.loadRecentChangeCount();
+            this.loadAttendance();
+            this.loadFreeSlots();
+            this.loadAcademicCalendar();
+            this.loadExams();
+            
+            if (response.status === 404) {
+                this.showToast('No saved timetable for this term yet - tap 🔄 to fetch it.');
+            }
+        } catch (error) {
+            console.error('Error switching term:', error);
+            this.showErrorModal('Failed to load the timetable for that term.');
+        }
+    }
+
     renderTimetable() {
         const container = document.getElementById('timetableContainer');
         container.innerHTML = '';
@@ -410,6 +698,18 @@ class TimetableApp {
         // Group classes by day
         const dayGroups = this.groupClassesByDay();
         
+        // The date sheet replaces the timetable in either view
+        if (this.currentFilter === 'exams') {
+            container.appendChild(this.createExamList());
+            return;
+        }
+        
+        // The grid always shows the whole week
+        if (this.viewMode === 'grid' && this.timetableData.length > 0) {
+            container.appendChild(this.createWeekGrid(dayGroups));
+            return;
+        }
+        
         // Render each day
         Object.keys(dayGroups).forEach(day => {
             if (this.currentFilter === 'all' || this.currentFilter === day) {
@@ -425,15 +725,24 @@ class TimetableApp {
 
     groupClassesByDay() {
         const groups = {};
+        const today = new Date();
+        const weekStart = this.db.getWeekKey(today);
+        const weekEnd = this.db.getDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7) + 6));
+        const comingUp = [];
         
         this.timetableData.forEach(classItem => {
             let day = classItem.Day;
             
-            // Convert date format (DD-MM-YYYY) to weekday name
-            if (day && day.includes('-') && day.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                const [dayNum, month, year] = day.split('-');
-                const date = new Date(year, month - 1, dayNum);
-                day = date.toLocaleDateString('en-US', { weekday: 'long' });
+            // One-off classes show on their date's weekday in that week only
+            const oneOffDate = this.getOneOffDate(classItem);
+            if (oneOffDate) {
+                const dateKey = this.db.getDateKey(oneOffDate);
+                if (dateKey < weekStart) return;
+                if (dateKey > weekEnd) {
+                    comingUp.push(classItem);
+                    return;
+                }
+                day = oneOffDate.toLocaleDateString('en-US', { weekday: 'long' });
             }
             
             if (!groups[day]) {
@@ -441,9 +750,15 @@ class TimetableApp {
             }
             groups[day].push(classItem);
         });
+        
+        // Later weeks' extra classes go last, in date order
+        if (comingUp.length > 0) {
+            groups['Coming up'] = comingUp.sort((a, b) =>
+                this.getOneOffDate(a) - this.getOneOffDate(b) || a.timeRange.start - b.timeRange.start);
+        }
 
         // Sort classes within each day by time
-        Object.keys(groups).forEach(day => {
+        Object.keys(groups).filter(day => day !== 'Coming up').forEach(day => {
             groups[day].sort((a, b) => {
                 return a.timeRange.start - b.timeRange.start;
             });
@@ -452,26 +767,54 @@ class TimetableApp {
         return groups;
     }
 
+    // Local date of a one-off (makeup/extra) class; null for weekly slots
+    getOneOffDate(classItem) {
+        const match = String(classItem.Day || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+        return match ? new Date(match[3], match[2] - 1, match[1]) : null;
+    }
+
+    // Whether a class takes place on `date`: its weekday, or its exact date for one-offs, unless the day is off
+    isClassOn(classItem, date = new Date()) {
+        if (this.getNoClassDay(date)) return false;
+        
+        const oneOffDate = this.getOneOffDate(classItem);
+        if (oneOffDate) {
+            return this.db.getDateKey(oneOffDate) === this.db.getDateKey(date);
+        }
+        return classItem.Day === date.toLocaleDateString('en-US', { weekday: 'long' });
+    }
+
     createDaySection(day, classes) {
         const section = document.createElement('div');
         section.className = 'day-section';
         
+        // This week's holidays and exam days list no classes
+        const weekDate = this.getWeekDate(day);
+        const dayOff = weekDate ? this.getNoClassDay(weekDate) : null;
+        
         // Create day header
         const header = document.createElement('div');
         header.className = 'day-header';
         header.innerHTML = `
             <span>${day}</span>
-            <span class="day-count">${classes.length} ${classes.length === 1 ? 'class' : 'classes'}</span>
+            <span class="day-count">${dayOff ? 'No classes' : `${classes.length} ${classes.length === 1 ? 'class' : 'classes'}`}</span>
         `;
         
         // Create classes container
         const classesContainer = document.createElement('div');
         classesContainer.className = 'class-list';
         
-        classes.forEach(classItem => {
-            const classElement = this.createClassElement(classItem);
-            classesContainer.appendChild(classElement);
-        });
+        if (dayOff) {
+            const note = document.createElement('div');
+            note.className = `day-off-note ${dayOff.type}`;
+            note.textContent = `${this.getNoClassIcon(dayOff)} ${dayOff.name} - ${classes.length} ${classes.length === 1 ? 'class' : 'classes'} off`;
+            classesContainer.appendChild(note);
+        } else {
+            classes.forEach(classItem => {
+                const classElement = this.createClassElement(classItem);
+                classesContainer.appendChild(classElement);
+            });
+        }
         
         section.appendChild(header);
         section.appendChild(classesContainer);
@@ -479,6 +822,101 @@ class TimetableApp {
         return section;
     }
 
+    // Days as columns, hours as rows; a class spans the rows from timeRange.start to end
+    createWeekGrid(dayGroups) {
+        const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const days = weekDays.filter(day => day !== 'Sunday' || dayGroups[day]);
+        const classes = this.timetableData.filter(classItem => classItem.timeRange);
+        
+        const firstHour = Math.min(...classes.map(classItem => Math.floor(classItem.timeRange.start / 60)));
+        const lastHour = Math.max(...classes.map(classItem => Math.ceil(classItem.timeRange.end / 60)));
+        const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'week-grid-wrapper';
+        
+        const grid = document.createElement('div');
+        grid.className = 'week-grid';
+        grid.style.gridTemplateColumns = `48px repeat(${days.length}, minmax(96px, 1fr))`;
+        grid.style.gridTemplateRows = `auto repeat(${lastHour - firstHour}, minmax(64px, auto))`;
+        
+        const daysOff = new Map(days.map(day => [day, this.getNoClassDay(this.getWeekDate(day))]));
+        
+        const cells = [];
+        days.forEach((day, index) => {
+            const dayOff = daysOff.get(day);
+            cells.push(`<div class="grid-day${day === today ? ' today' : ''}${dayOff ? ' day-off' : ''}" style="grid-column:${index + 2};grid-row:1"${dayOff ? ` title="${this.escapeHtml(dayOff.name)}"` : ''}>${day.slice(0, 3)}${dayOff ? ` ${this.getNoClassIcon(dayOff)}` : ''}</div>`);
+        });
+        
+        for (let hour = firstHour; hour < lastHour; hour++) {
+            const row = hour - firstHour + 2;
+            const label = `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+            cells.push(`<div class="grid-hour" style="grid-column:1;grid-row:${row}">${label}</div>`);
+            days.forEach((day, index) => {
+                cells.push(`<div class="grid-cell" style="grid-column:${index + 2};grid-row:${row}"></div>`);
+            });
+        }
+        
+        // Classes sharing a start time (e.g. different groups) share one block
+        days.forEach((day, index) => {
+            if (daysOff.get(day)) return;
+            
+            const slots = new Map();
+            (dayGroups[day] || []).filter(classItem => classItem.timeRange).forEach(classItem => {
+                const start = classItem.timeRange.start;
+                if (!slots.has(start)) slots.set(start, []);
+                slots.get(start).push(classItem);
+            });
+            
+            slots.forEach((slotClasses, start) => {
+                const end = Math.max(...slotClasses.map(classItem => classItem.timeRange.end));
+                const rowStart = Math.floor(start / 60) - firstHour + 2;
+                const rowEnd = Math.max(rowStart + 1, Math.ceil(end / 60) - firstHour + 2);
+                
+                cells.push(`
+                    <div class="grid-slot" style="grid-column:${index + 2};grid-row:${rowStart} / ${rowEnd}">
+                        ${slotClasses.map(classItem => {
+                            const classInfo = classItem.parsedInfo;
+                            return `
+                                <div class="grid-class ${classInfo.type.toLowerCase()}" title="${classInfo.courseName}">
+                                    <div class="grid-class-code">${classInfo.course}${this.getOneOffDate(classItem) ? ' ★' : ''}</div>
+                                    <div class="grid-class-time">${classItem.AttendanceTime}</div>
+                                    ${classInfo.room ? `<div class="grid-class-room">📍 ${classInfo.room}</div>` : ''}
+                                    ${classInfo.group && classInfo.group !== 'All' ? `<div class="grid-class-room">G${classInfo.group}</div>` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `);
+            });
+        });
+        
+        grid.innerHTML = cells.join('');
+        wrapper.appendChild(grid);
+        return wrapper;
+    }
+
+    // View Mode Functions
+    toggleViewMode() {
+        this.viewMode = this.viewMode === 'grid' ? 'list' : 'grid';
+        localStorage.setItem('viewMode', this.viewMode);
+        this.updateViewModeButton();
+        this.renderTimetable();
+    }
+
+    updateViewModeButton() {
+        const btn = document.getElementById('viewModeBtn');
+        const isGrid = this.viewMode === 'grid';
+        
+        if (btn) {
+            btn.innerHTML = isGrid ? '📋' : '🗓️';
+            btn.title = isGrid ? 'Switch to Day List' : 'Switch to Week Grid';
+        }
+        
+        // Day tabs only filter the list
+        document.querySelector('.day-filter').classList.toggle('hidden', isGrid);
+    }
+
     createClassElement(classItem) {
         const element = document.createElement('div');
         
@@ -488,14 +926,21 @@ class TimetableApp {
             ? 'Online' 
             : classInfo.building;
         
+        const attendance = this.sharedToken ? null : this.getCourseAttendance(classItem.CourseCode);
+        const oneOffDate = this.getOneOffDate(classItem);
+        const markDate = this.sharedToken ? null : this.getClassDate(classItem.Day);
+        const mark = markDate ? this.attendanceMarks.get(this.db.getMarkKey(markDate, classItem.timeRange ? classItem.timeRange.start : 0)) : null;
+        
         // Add class type to CSS classes
-        element.className = `class-item ${classInfo.type.toLowerCase()}`;
+        element.className = `class-item ${classInfo.type.toLowerCase()}${oneOffDate ? ' one-off' : ''}`;
         
         element.innerHTML = `
             <div class="class-header">
                 <div class="class-time-container">
                     <div class="class-time">${classItem.AttendanceTime}</div>
                     <span class="class-type ${classInfo.type.toLowerCase()}">${classInfo.type}</span>
+                    ${oneOffDate ? `<span class="class-extra" title="Extra / makeup class on this date only">Extra · ${oneOffDate.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short' })}</span>` : ''}
+                    ${attendance ? `<button class="attendance-badge ${this.getAttendanceLevel(attendance.percentage)}" data-course="${attendance.CourseCode}" title="Attendance: ${attendance.attended}/${attendance.delivered}${attendance.pendingMarks ? ` (incl. ${attendance.pendingMarks} of your marks)` : ''}">${Math.round(attendance.percentage)}%</button>` : ''}
                 </div>
                 <div class="class-info">
                     <div class="class-title">
@@ -538,6 +983,15 @@ class TimetableApp {
                     </div>
                 </div>` : ''}
             </div>
+            ${classItem.Location ? `<div class="class-navigation">
+                <span>${classItem.Location.name}${classItem.Location.floorLabel ? ` · ${classItem.Location.floorLabel}` : ''}</span>
+                <a class="navigate-btn" href="${classItem.Location.mapsUrl}" target="_blank" rel="noopener">🧭 Navigate</a>
+            </div>` : ''}
+            ${markDate ? `<div class="attendance-marks" data-course="${classItem.CourseCode}" data-date="${markDate}" data-slot="${classItem.AttendanceTime}" data-start="${classItem.timeRange ? classItem.timeRange.start : 0}">
+                ${Object.entries(this.getMarkStatuses()).map(([status, { icon, label }]) => `
+                    <button class="mark-btn${mark && mark.status === status ? ' active' : ''}" data-status="${status}" title="${label}">${icon} ${label}</button>
+                `).join('')}
+            </div>` : ''}
         `;
         
         return element;
@@ -548,19 +1002,8 @@ class TimetableApp {
     updateStats() {
         const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
         
-        // Count today's classes (including date-based classes)
-        const todayClasses = this.timetableData.filter(item => {
-            let classDay = item.Day;
-            
-            // Convert date format (DD-MM-YYYY) to weekday name for comparison
-            if (classDay && classDay.includes('-') && classDay.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                const [dayNum, month, year] = classDay.split('-');
-                const date = new Date(year, month - 1, dayNum);
-                classDay = date.toLocaleDateString('en-US', { weekday: 'long' });
-            }
-            
-            return classDay === today;
-        });
+        // Count today's classes (one-off classes only on their date)
+        const todayClasses = this.timetableData.filter(item => this.isClassOn(item));
         
         document.getElementById('totalClasses').textContent = this.timetableData.length;
         document.getElementById('todayClasses').textContent = todayClasses.length;
@@ -599,20 +1042,9 @@ class TimetableApp {
         let upcomingClass = null;
         let upcomingClasses = [];
 
-        // Get today's classes sorted by time (including date-based classes)
+        // Get today's classes sorted by time (one-off classes only on their date)
         const todayClasses = this.timetableData
-            .filter(classItem => {
-                let classDay = classItem.Day;
-                
-                // Convert date format (DD-MM-YYYY) to weekday name for comparison
-                if (classDay && classDay.includes('-') && classDay.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                    const [dayNum, month, year] = classDay.split('-');
-                    const date = new Date(year, month - 1, dayNum);
-                    classDay = date.toLocaleDateString('en-US', { weekday: 'long' });
-                }
-                
-                return classDay === currentDay;
-            })
+            .filter(classItem => this.isClassOn(classItem, now))
             .sort((a, b) => a.timeRange.start - b.timeRange.start);
 
         console.log(`Found ${todayClasses.length} classes for ${currentDay}:`);
@@ -630,9 +1062,110 @@ class TimetableApp {
 
         console.log(`Result - Upcoming: ${upcomingClass ? upcomingClass.AttendanceTime : 'None'}`);
 
+        this.updateDashboard(todayClasses, currentTime);
         this.autoScrollToUpcomingClass(upcomingClass);
     }
 
+    // Dashboard Functions
+    updateDashboard(todayClasses, currentTime) {
+        const dashboard = document.getElementById('dashboard');
+        
+        if (todayClasses.length === 0) {
+            const dayOff = this.getNoClassDay();
+            dashboard.innerHTML = `<div class="dashboard-row"><span class="dashboard-label">Today</span><span class="dashboard-title">${dayOff ? `${this.escapeHtml(dayOff.name)} - no classes ${this.getNoClassIcon(dayOff)}` : 'No classes today 🎉'}</span></div>`;
+            dashboard.classList.remove('hidden');
+            return;
+        }
+        
+        const currentClass = todayClasses.find(c => c.timeRange.start <= currentTime && currentTime < c.timeRange.end);
+        const nextClass = todayClasses.find(c => c.timeRange.start > currentTime);
+        const previousClass = todayClasses.filter(c => c.timeRange.end <= currentTime).pop();
+        let html = '';
+        
+        if (currentClass) {
+            const { start, end } = currentClass.timeRange;
+            const progress = Math.round((currentTime - start) / (end - start) * 100);
+            html += `
+                <div class="dashboard-row now">
+                    <span class="dashboard-label">Now · ${this.formatDuration(end - currentTime)} left</span>
+                    <span class="dashboard-title">${currentClass.parsedInfo.course} · ${currentClass.Room || 'Online'}</span>
+                    <div class="dashboard-progress"><div style="width:${progress}%"></div></div>
+                </div>
+            `;
+        } else if (nextClass) {
+            html += `
+                <div class="dashboard-row free">
+                    <span class="dashboard-label">Now</span>
+                    <span class="dashboard-title">${previousClass ? 'Free until' : 'First class at'} ${this.formatClock(nextClass.timeRange.start)}</span>
+                </div>
+            `;
+        } else {
+            html += `
+                <div class="dashboard-row done">
+                    <span class="dashboard-label">Today</span>
+                    <span class="dashboard-title">Done for today 🎉</span>
+                </div>
+            `;
+        }
+        
+        if (nextClass) {
+            // Walk from wherever the class before this one is
+            const fromClass = currentClass || previousClass;
+            const location = nextClass.Location;
+            const walk = fromClass ? this.getWalk(fromClass.Location, location) : null;
+            
+            let walkText = '';
+            if (walk && walk.minutes === 0) {
+                walkText = `Same building as ${fromClass.parsedInfo.course}`;
+            } else if (walk) {
+                walkText = `🚶 ${walk.minutes} min (${walk.meters} m) from ${fromClass.Location.name}`;
+            }
+            
+            html += `
+                <div class="dashboard-row next">
+                    <div class="dashboard-next-info">
+                        <span class="dashboard-label">Next · in ${this.formatDuration(nextClass.timeRange.start - currentTime)}</span>
+                        <span class="dashboard-title">${nextClass.parsedInfo.course} at ${nextClass.AttendanceTime} · ${nextClass.Room || 'Online'}${location && location.floorLabel ? ` (${location.floorLabel})` : ''}</span>
+                        ${walkText ? `<span class="dashboard-walk">${walkText}</span>` : ''}
+                    </div>
+                    ${location ? `<a class="navigate-btn" href="${location.mapsUrl}" target="_blank" rel="noopener">🧭</a>` : ''}
+                </div>
+            `;
+        }
+        
+        dashboard.innerHTML = html;
+        dashboard.classList.remove('hidden');
+    }
+
+    // 570 -> "9:30 AM"
+    formatClock(minutes) {
+        const hour = Math.floor(minutes / 60) % 24;
+        return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+
+    // 80 -> "1h 20m"
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return `${hours ? `${hours}h` : ''}${hours && rest ? ' ' : ''}${rest ? `${rest}m` : ''}` || '0m';
+    }
+
+    // Same estimate as BuildingDirectory.getWalk on the server
+    getWalk(from, to) {
+        if (!from || !to) return null;
+        if (from.number === to.number) return { meters: 0, minutes: 0 };
+        if (from.lat === null || to.lat === null) return null;
+        
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.lat - from.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+        const meters = Math.round(2 * 6371000 * Math.asin(Math.sqrt(a)) * 1.3 / 10) * 10;
+        
+        return { meters, minutes: Math.max(1, Math.round(meters / 75)) };
+    }
+
     // Time parsing now handled by API
 
     autoScrollToUpcomingClass(upcomingClass) {
@@ -644,6 +1177,9 @@ class TimetableApp {
         // Store upcoming class data
         this.currentClassData = upcomingClass;
         
+        // Leave the Exams tab alone
+        if (this.currentFilter === 'exams') return;
+        
         // First, make sure we're showing the current day
         const currentDay = new Date().toLocaleDateString('en-US', { weekday: 'long' });
         if (this.currentFilter !== currentDay) {
@@ -770,30 +1306,1169 @@ class TimetableApp {
         document.getElementById('errorModal').classList.add('hidden');
     }
 
-    showWelcomeModal() {
-        document.getElementById('welcomeModal').classList.remove('hidden');
-    }
-
-    hideWelcomeModal() {
-        document.getElementById('welcomeModal').classList.add('hidden');
+    showLoginModal(message = '') {
+        const errorElement = document.getElementById('loginError');
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+        
+        const storedUser = localStorage.getItem('umsUser');
+        if (storedUser) {
+            document.getElementById('loginRegNo').value = storedUser;
+        }
+        
+        document.getElementById('loginModal').classList.remove('hidden');
     }
 
-    // PWA Functions
-    setupPWAInstall() {
-        window.addEventListener('beforeinstallprompt', (e) => {
-            e.preventDefault();
-            this.deferredPrompt = e;
-            // Could add install button here if needed
-        });
-
-        window.addEventListener('appinstalled', () => {
-            this.deferredPrompt = null;
-            console.log('PWA installed successfully');
-        });
+    hideLoginModal() {
+        document.getElementById('loginModal').classList.add('hidden');
+        document.getElementById('loginPassword').value = '';
     }
 
-    async installPWA() {
-        if (!this.deferredPrompt) return;
+    // Account Functions
+    async login() {
+        const registrationNumber = document.getElementById('loginRegNo').value.trim();
+        const password = document.getElementById('loginPassword').value;
+        const submitBtn = document.getElementById('loginSubmitBtn');
+        
+        if (!registrationNumber || !password) {
+            this.showLoginModal('Enter your registration number and password.');
+            return;
+        }
+        
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Logging in...';
+        
+        try {
+            // The push subscription belongs to whoever was logged in before; drop it while
+            // that session still works, so their alerts can't reach the next student
+            const previousUser = localStorage.getItem('umsUser');
+            if (previousUser && this.isNotificationsEnabled()) {
+                await this.unsubscribeFromPush().catch(error => console.warn('⚠️ Could not drop push subscription:', error.message));
+            }
+            
+            // If no captcha service can solve it, the server asks us to
+            const captchaClientId = await this.createCaptchaClientId();
+            if (captchaClientId) this.startCaptchaPolling(captchaClientId);
+            
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ registrationNumber, password, captchaClientId })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                this.showLoginModal(result.error || 'Login failed. Please try again.');
+                return;
+            }
+            
+            // A different student on this device - drop the previous timetable; they turn notifications on themselves
+            if (previousUser && previousUser !== result.user.registrationNumber) {
+                await this.db.clearAll();
+                localStorage.removeItem('selectedTerm');
+                this.selectedTerm = null;
+                localStorage.setItem('notificationsEnabled', 'false');
+                this.updateNotificationButton(false);
+            } else if (this.isNotificationsEnabled()) {
+                await this.subscribeToPush().catch(error => console.warn('⚠️ Could not subscribe to push:', error.message));
+            }
+            
+            localStorage.setItem('umsUser', result.user.registrationNumber);
+            this.updateAccountButton();
+            this.hideLoginModal();
+            this.showToast(`👋 Logged in as ${result.user.registrationNumber}`);
+            
+            // Fetch this user's timetable straight away
+            this.lastManualRefresh = 0;
+            await this.refreshTimetable();
+        } catch (error) {
+            console.error('❌ Login failed:', error.message);
+            this.showLoginModal('Could not reach the server. Please try again.');
+        } finally {
+            this.stopCaptchaPolling();
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Log in';
+        }
+    }
+
+    // Manual Captcha Functions
+    // The server issues the client id; only this browser knows it, so only it can see and answer the captcha
+    async createCaptchaClientId() {
+        try {
+            const response = await fetch('/api/captcha/client', { method: 'POST' });
+            const result = await response.json();
+            return result.success ? result.clientId : null;
+        } catch (error) {
+            console.error('❌ Could not start the captcha check:', error.message);
+            return null;
+        }
+    }
+
+    startCaptchaPolling(clientId) {
+        this.stopCaptchaPolling();
+        this.captchaClientId = clientId;
+        this.captchaChallengeId = null;
+        
+        this.captchaPollInterval = setInterval(async () => {
+            try {
+                const response = await fetch('/api/captcha/pending', {
+                    headers: { 'X-Captcha-Client': clientId }
+                });
+                const result = await response.json();
+                
+                if (result.success && result.challenge && result.challenge.id !== this.captchaChallengeId) {
+                    this.showCaptchaModal(result.challenge);
+                }
+            } catch (error) {
+                console.error('❌ Captcha check failed:', error.message);
+            }
+        }, 2000);
+    }
+
+    stopCaptchaPolling() {
+        if (this.captchaPollInterval) {
+            clearInterval(this.captchaPollInterval);
+            this.captchaPollInterval = null;
+        }
+        this.hideCaptchaModal();
+    }
+
+    showCaptchaModal(challenge) {
+        this.captchaChallengeId = challenge.id;
+        document.getElementById('captchaImage').src = `data:image/png;base64,${challenge.image}`;
+        document.getElementById('captchaAnswer').value = '';
+        document.getElementById('captchaSubmitBtn').disabled = false;
+        document.getElementById('captchaModal').classList.remove('hidden');
+        document.getElementById('captchaAnswer').focus();
+    }
+
+    hideCaptchaModal() {
+        document.getElementById('captchaModal').classList.add('hidden');
+    }
+
+    async submitCaptcha() {
+        const answer = document.getElementById('captchaAnswer').value.trim();
+        if (!answer || !this.captchaChallengeId) return;
+        
+        document.getElementById('captchaSubmitBtn').disabled = true;
+        
+        try {
+            const response = await fetch(`/api/captcha/${encodeURIComponent(this.captchaChallengeId)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ clientId: this.captchaClientId, answer })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showToast('⚠️ Captcha expired, please log in again');
+            }
+            this.hideCaptchaModal();
+        } catch (error) {
+            console.error('❌ Captcha answer failed:', error.message);
+            document.getElementById('captchaSubmitBtn').disabled = false;
+        }
+    }
+
+    async logout() {
+        // Unsubscribe while the session is still valid, or the server keeps pushing
+        // this student's changes to whoever uses the browser next
+        if (this.isNotificationsEnabled()) {
+            try {
+                await this.unsubscribeFromPush();
+            } catch (error) {
+                console.error('❌ Could not drop push subscription:', error.message);
+            }
+        }
+        localStorage.setItem('notificationsEnabled', 'false');
+        this.updateNotificationButton(false);
+        
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('❌ Logout request failed:', error.message);
+        }
+        
+        localStorage.removeItem('umsUser');
+        localStorage.removeItem('selectedTerm');
+        this.selectedTerm = null;
+        await this.db.clearAll();
+        
+        this.timetableData = [];
+        this.attendance = null;
+        this.attendanceMarks = new Map();
+        this.freeSlots = null;
+        this.academicCalendar = null;
+        this.exams = null;
+        this.lastManualRefresh = 0;
+        this.renderTimetable();
+        this.updateStats();
+        document.getElementById('recentChanges').textContent = 0;
+        document.getElementById('freeToday').textContent = 0;
+        document.getElementById('dashboard').classList.add('hidden');
+        this.updateHolidayBanner();
+        this.updateExamsButton();
+        this.updateAccountButton();
+        this.updateLastUpdateTime();
+        this.showToast('👋 Logged out');
+    }
+
+    updateAccountButton() {
+        const btn = document.getElementById('logoutBtn');
+        const user = localStorage.getItem('umsUser');
+        
+        if (btn) {
+            btn.classList.toggle('hidden', !user);
+            btn.title = user ? `Log out (${user})` : 'Log out';
+        }
+    }
+
+    // Change History Functions
+    async loadRecentChangeCount() {
+        try {
+            const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+            const response = await fetch(this.withTerm(`/api/changes?from=${encodeURIComponent(since)}`));
+            if (!response.ok) return;
+            
+            const result = await response.json();
+            const total = result.history.reduce((sum, entry) => sum + entry.changes.length, 0);
+            document.getElementById('recentChanges').textContent = total;
+        } catch (error) {
+            console.error('❌ Failed to load change count:', error.message);
+        }
+    }
+
+    showChangesModal() {
+        document.getElementById('changesModal').classList.remove('hidden');
+        this.loadChangeHistory();
+    }
+
+    hideChangesModal() {
+        document.getElementById('changesModal').classList.add('hidden');
+    }
+
+    async loadChangeHistory() {
+        const timeline = document.getElementById('changesTimeline');
+        const type = document.getElementById('changesFilter').value;
+        timeline.innerHTML = '<p class="changes-empty">Loading...</p>';
+        
+        try {
+            const url = this.withTerm(`/api/changes${type ? `?type=${type}` : ''}`);
+            const response = await fetch(url);
+            const result = await response.json();
+            
+            if (response.status === 401 && result.authRequired) {
+                this.hideChangesModal();
+                this.showLoginModal();
+                return;
+            }
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to load changes');
+            }
+            
+            this.renderChangeHistory(result.history);
+        } catch (error) {
+            console.error('❌ Failed to load change history:', error.message);
+            timeline.innerHTML = '<p class="changes-empty">Could not load change history.</p>';
+        }
+    }
+
+    renderChangeHistory(history) {
+        const timeline = document.getElementById('changesTimeline');
+        
+        if (history.length === 0) {
+            timeline.innerHTML = '<p class="changes-empty">No changes recorded yet. Changes show up here after a refresh finds something different.</p>';
+            return;
+        }
+        
+        const icons = { added: '➕', removed: '➖', modified: '✏️', moved: '🔀' };
+        const esc = (value) => this.escapeHtml(value);
+        
+        timeline.innerHTML = history.map(entry => {
+            const when = new Date(entry.timestamp).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+            
+            return `
+                <div class="changes-entry">
+                    <div class="changes-date">${when}</div>
+                    ${entry.changes.map(change => `
+                        <div class="change-item ${esc(change.type)}">
+                            <span class="change-icon">${icons[change.type] || '•'}</span>
+                            <div>
+                                <div class="change-course">${esc(change.class.CourseCode)} · ${esc(change.class.Day)} ${esc(change.class.AttendanceTime)}</div>
+                                <div class="change-detail">${change.differences ? change.differences.map(esc).join(', ') : change.type === 'added' ? 'New class' : 'Class removed'}</div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Attendance Functions
+    async loadAttendance() {
+        // Show the last known numbers straight away, even offline
+        if (!this.attendance) {
+            const saved = await this.db.loadAttendance().catch(() => null);
+            if (saved) {
+                this.attendance = saved;
+                this.renderTimetable();
+            }
+        }
+        
+        try {
+            const response = await fetch(this.withTerm('/api/attendance'));
+            if (!response.ok) return;
+            
+            const result = await response.json();
+            if (!result.success) return;
+            
+            const { success, ...summary } = result;
+            const previous = this.attendance;
+            this.attendance = summary;
+            await this.db.saveAttendance(summary);
+            await this.reconcileAttendanceMarks(previous);
+            this.renderTimetable();
+        } catch (error) {
+            console.error('❌ Failed to load attendance:', error.message);
+        }
+    }
+
+    getOfficialAttendance(courseCode) {
+        if (!this.attendance) return null;
+        return this.attendance.courses.find(course => course.CourseCode === courseCode) || null;
+    }
+
+    // UMS numbers plus the student's marks UMS hasn't counted yet
+    getCourseAttendance(courseCode) {
+        const official = this.getOfficialAttendance(courseCode);
+        const pending = this.getPendingMarks(courseCode);
+        if (!official && pending.length === 0) return null;
+        
+        const attended = (official ? official.attended : 0) + pending.filter(mark => mark.status === 'attended').length;
+        const delivered = (official ? official.delivered : 0) + pending.length;
+        const classItem = this.timetableData.find(item => item.CourseCode === courseCode);
+        
+        return {
+            CourseCode: courseCode,
+            CourseName: official ? official.CourseName : classItem ? classItem.parsedInfo.courseName : courseCode,
+            attended,
+            delivered,
+            percentage: official && pending.length === 0
+                ? official.percentage
+                : delivered > 0 ? Math.round(attended / delivered * 10000) / 100 : 100,
+            official,
+            pendingMarks: pending.length,
+            ...this.calculateSkips(attended, delivered)
+        };
+    }
+
+    getAttendanceThreshold() {
+        return this.attendance ? this.attendance.threshold : 75;
+    }
+
+    // Same maths as AttendanceManager.calculateSkips on the server
+    calculateSkips(attended, delivered) {
+        const ratio = this.getAttendanceThreshold() / 100;
+        const canSkip = Math.max(0, Math.floor(attended / ratio - delivered + 1e-9));
+        
+        let mustAttend = 0;
+        if (attended < ratio * delivered) {
+            mustAttend = ratio < 1 ? Math.ceil((ratio * delivered - attended) / (1 - ratio) - 1e-9) : null;
+        }
+        
+        return { canSkip, mustAttend };
+    }
+
+    // Green above the threshold, amber within 5 points of it, red below
+    getAttendanceLevel(percentage) {
+        const threshold = this.getAttendanceThreshold();
+        if (percentage < threshold) return 'low';
+        return percentage < threshold + 5 ? 'warning' : 'good';
+    }
+
+    showAttendanceModal(courseCode) {
+        const course = this.getCourseAttendance(courseCode);
+        if (!course) return;
+        
+        this.attendanceCourse = course;
+        document.getElementById('attendanceTitle').textContent = `📊 ${course.CourseCode} attendance`;
+        document.getElementById('attendanceCourseName').textContent = course.CourseName;
+        document.getElementById('attendanceSummary').textContent = course.official
+            ? `UMS: ${course.official.attended} of ${course.official.delivered} classes attended (${course.official.percentage}%)`
+            : 'No UMS numbers yet - counting your own marks only.';
+        
+        const estimate = document.getElementById('attendanceEstimate');
+        estimate.textContent = `With ${course.pendingMarks} newer mark${course.pendingMarks !== 1 ? 's' : ''}: ${course.attended} of ${course.delivered} (${course.percentage}%)`;
+        estimate.classList.toggle('hidden', !course.pendingMarks);
+        
+        const threshold = this.getAttendanceThreshold();
+        document.getElementById('attendanceAdvice').textContent = course.mustAttend === null
+            ? `${threshold}% can no longer be reached this term.`
+            : course.mustAttend > 0
+                ? `Attend the next ${course.mustAttend} class${course.mustAttend !== 1 ? 'es' : ''} in a row to get back to ${threshold}%.`
+                : course.canSkip > 0
+                    ? `You can skip ${course.canSkip} class${course.canSkip !== 1 ? 'es' : ''} and stay at or above ${threshold}%.`
+                    : `You are right at ${threshold}% - don't skip the next class.`;
+        
+        document.getElementById('attendanceSkip').value = course.canSkip || 0;
+        document.getElementById('attendanceAttend').value = course.mustAttend || 0;
+        this.renderAttendanceProjection();
+        this.renderAttendanceMarksSummary();
+        
+        document.getElementById('attendanceModal').classList.remove('hidden');
+    }
+
+    hideAttendanceModal() {
+        document.getElementById('attendanceModal').classList.add('hidden');
+        this.attendanceCourse = null;
+    }
+
+    // Percentage after skipping and attending the numbers typed into the calculator
+    renderAttendanceProjection() {
+        const course = this.attendanceCourse;
+        if (!course) return;
+        
+        const skip = Math.max(0, parseInt(document.getElementById('attendanceSkip').value) || 0);
+        const attend = Math.max(0, parseInt(document.getElementById('attendanceAttend').value) || 0);
+        const delivered = course.delivered + skip + attend;
+        const percentage = delivered > 0 ? Math.round((course.attended + attend) / delivered * 10000) / 100 : 100;
+        
+        const projection = document.getElementById('attendanceProjection');
+        projection.textContent = `${percentage}%`;
+        projection.className = `attendance-projection ${this.getAttendanceLevel(percentage)}`;
+    }
+
+    // Attendance Mark Functions
+    getMarkStatuses() {
+        return {
+            attended: { icon: '✅', label: 'Attended' },
+            missed: { icon: '❌', label: 'Missed' },
+            cancelled: { icon: '🚫', label: 'Cancelled' }
+        };
+    }
+
+    async loadAttendanceMarks() {
+        try {
+            const marks = await this.db.getAttendanceMarks();
+            this.attendanceMarks = new Map(marks.map(mark => [mark.id, mark]));
+        } catch (error) {
+            console.error('❌ Failed to load attendance marks:', error.message);
+        }
+    }
+
+    // Date this week a class falls on (e.g. "2025-09-10"), or null while it is still ahead
+    getClassDate(day) {
+        const today = new Date();
+        let date;
+        
+        if (/^\d{2}-\d{2}-\d{4}$/.test(day)) {
+            const [dayNum, month, year] = day.split('-');
+            date = new Date(year, month - 1, dayNum);
+        } else {
+            const offset = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].indexOf(day);
+            if (offset < 0) return null;
+            date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7) + offset);
+        }
+        
+        const dateKey = this.db.getDateKey(date);
+        return dateKey <= this.db.getDateKey(today) ? dateKey : null;
+    }
+
+    // Marks are classes UMS hasn't counted yet until reconciled; cancelled classes never count.
+    // Oldest class first, whatever order they were marked in, since UMS counts them that way
+    getPendingMarks(courseCode) {
+        return [...this.attendanceMarks.values()]
+            .filter(mark => mark.courseCode === courseCode && !mark.reconciled && mark.status !== 'cancelled')
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.start || 0) - (b.start || 0));
+    }
+
+    // Tapping the active status again clears the mark
+    async toggleAttendanceMark({ course, date, slot, start }, status) {
+        const startMinutes = parseInt(start) || 0;
+        const id = this.db.getMarkKey(date, startMinutes);
+        const existing = this.attendanceMarks.get(id);
+        
+        try {
+            if (existing && existing.status === status) {
+                await this.db.deleteAttendanceMark(id);
+                this.attendanceMarks.delete(id);
+            } else {
+                const official = this.getOfficialAttendance(course);
+                const mark = await this.db.saveAttendanceMark({
+                    date,
+                    slot,
+                    start: startMinutes,
+                    courseCode: course,
+                    status,
+                    // UMS's delivered count when marked - reconciliation counts from here
+                    umsDelivered: existing ? existing.umsDelivered : official ? official.delivered : null,
+                    reconciled: existing ? existing.reconciled : false
+                });
+                this.attendanceMarks.set(id, mark);
+            }
+        } catch (error) {
+            console.error('❌ Failed to save attendance mark:', error.message);
+            this.showToast('Could not save that mark.');
+        }
+        
+        this.renderTimetable();
+    }
+
+    /**
+     * Fold marks into fresh UMS numbers. UMS counts classes in order, so when
+     * a course's delivered count rises by N since a mark's baseline, the N
+     * oldest pending marks are now in the official numbers.
+     */
+    async reconcileAttendanceMarks(previous) {
+        const updated = [];
+        const mismatched = [];
+        
+        for (const course of this.attendance.courses) {
+            const pending = this.getPendingMarks(course.CourseCode);
+            if (pending.length === 0) continue;
+            
+            // Marks made before any UMS numbers start from these
+            pending.filter(mark => mark.umsDelivered === null || mark.umsDelivered === undefined)
+                .forEach(mark => { mark.umsDelivered = course.delivered; });
+            
+            const baseline = Math.min(...pending.map(mark => mark.umsDelivered));
+            const covered = pending.slice(0, Math.max(0, course.delivered - baseline));
+            covered.forEach(mark => { mark.reconciled = true; });
+            
+            // Whatever is still pending waits for the next rise from here
+            pending.forEach(mark => {
+                if (!mark.reconciled) mark.umsDelivered = course.delivered;
+            });
+            updated.push(...pending);
+            
+            // Compare what UMS recorded with what was marked, when the counts line up
+            const before = previous && previous.courses.find(c => c.CourseCode === course.CourseCode);
+            if (before && covered.length > 0 && course.delivered - before.delivered === covered.length) {
+                const markedAttended = covered.filter(mark => mark.status === 'attended').length;
+                if (course.attended - before.attended !== markedAttended) {
+                    mismatched.push(course.CourseCode);
+                }
+            }
+        }
+        
+        if (updated.length > 0) {
+            await this.db.saveAttendanceMarks(updated);
+        }
+        if (mismatched.length > 0) {
+            this.showToast(`📊 UMS attendance for ${mismatched.join(', ')} differs from your marks`);
+        }
+    }
+
+    // The open course's marks grouped by week or month, newest first
+    renderAttendanceMarksSummary() {
+        const container = document.getElementById('attendanceMarksSummary');
+        const course = this.attendanceCourse;
+        if (!course) return;
+        
+        const period = document.getElementById('attendancePeriod').value;
+        const statuses = this.getMarkStatuses();
+        const groups = new Map();
+        
+        for (const mark of this.attendanceMarks.values()) {
+            if (mark.courseCode !== course.CourseCode) continue;
+            
+            const key = period === 'month' ? mark.date.slice(0, 7) : this.db.getWeekKey(new Date(`${mark.date}T00:00:00`));
+            if (!groups.has(key)) {
+                groups.set(key, { attended: 0, missed: 0, cancelled: 0 });
+            }
+            groups.get(key)[mark.status]++;
+        }
+        
+        if (groups.size === 0) {
+            container.innerHTML = '<p class="changes-empty">No marks yet. Mark classes on their cards with ✅ ❌ 🚫.</p>';
+            return;
+        }
+        
+        container.innerHTML = [...groups.entries()]
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([key, counts]) => {
+                const label = period === 'month'
+                    ? new Date(`${key}-01T00:00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+                    : `Week of ${new Date(`${key}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+                
+                return `
+                    <div class="marks-period">
+                        <span class="marks-period-label">${label}</span>
+                        <span>${Object.entries(statuses).map(([status, { icon }]) => `${icon} ${counts[status]}`).join(' ')}</span>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    // Academic Calendar Functions
+    async loadAcademicCalendar() {
+        // Holidays are known offline too, once fetched (the saved calendar is the current term's)
+        if (!this.academicCalendar && !this.selectedTerm) {
+            const saved = await this.db.loadAcademicCalendar().catch(() => null);
+            if (saved) {
+                this.academicCalendar = saved;
+                this.renderAcademicCalendar();
+            }
+        }
+        
+        try {
+            const calendar = await this.fetchAcademicCalendar(this.withTerm('/api/academic-calendar'));
+            if (!calendar) return;
+            
+            this.academicCalendar = calendar;
+            this.renderAcademicCalendar();
+            
+            // Reminders and the service worker's 8 AM refresh follow the current term,
+            // so a past term's end date must never be saved for them
+            const current = this.selectedTerm ? await this.fetchAcademicCalendar('/api/academic-calendar') : calendar;
+            if (current) {
+                await this.db.saveAcademicCalendar(current);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load academic calendar:', error.message);
+        }
+    }
+    
+    // { start, end, events, updatedAt } from the server, or null
+    async fetchAcademicCalendar(url) {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        
+        const result = await response.json();
+        if (!result.success) return null;
+        
+        const { start, end, events, updatedAt } = result;
+        return { start, end, events, updatedAt };
+    }
+    
+    renderAcademicCalendar() {
+        this.renderTimetable();
+        this.updateStats();
+        this.checkCurrentClass();
+        this.updateHolidayBanner();
+    }
+
+    // Why there are no classes on `date` ({ type, name }), or null on a teaching day
+    getNoClassDay(date = new Date()) {
+        return this.db.getNoClassDay(this.academicCalendar, this.db.getDateKey(date));
+    }
+    
+    getNoClassIcon(dayOff) {
+        return { holiday: '🏖️', exams: '📝' }[dayOff.type] || '🗓️';
+    }
+
+    // This week's date for a weekday name; null for other groups ("Coming up")
+    getWeekDate(day) {
+        const offset = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].indexOf(day);
+        if (offset < 0) return null;
+        
+        const today = new Date();
+        return new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7) + offset);
+    }
+
+    // Today's day off, or a holiday / exam week starting within the next 7 days
+    updateHolidayBanner() {
+        const banner = document.getElementById('holidayBanner');
+        const today = this.db.getDateKey();
+        const weekAhead = new Date();
+        weekAhead.setDate(weekAhead.getDate() + 7);
+        
+        const dayOff = this.getNoClassDay();
+        const upcoming = !dayOff && this.academicCalendar
+            ? this.academicCalendar.events.find(e =>
+                (e.type === 'holiday' || e.type === 'exams') && e.start > today && e.start <= this.db.getDateKey(weekAhead))
+            : null;
+        
+        if (dayOff) {
+            const event = this.academicCalendar.events.find(e => e.name === dayOff.name && e.start <= today && today <= e.end);
+            banner.textContent = `${this.getNoClassIcon(dayOff)} ${dayOff.name}${event && event.end > today ? ` until ${this.formatCalendarDate(event.end)}` : ''} - no classes`;
+            banner.className = `holiday-banner ${dayOff.type}`;
+        } else if (upcoming) {
+            const range = upcoming.end > upcoming.start
+                ? `${this.formatCalendarDate(upcoming.start)} - ${this.formatCalendarDate(upcoming.end)}`
+                : this.formatCalendarDate(upcoming.start);
+            banner.textContent = `${this.getNoClassIcon(upcoming)} Coming up: ${upcoming.name} (${range})`;
+            banner.className = `holiday-banner upcoming ${upcoming.type}`;
+        } else {
+            banner.className = 'holiday-banner hidden';
+        }
+    }
+
+    // "2025-10-20" -> "Mon 20 Oct"
+    formatCalendarDate(dateKey) {
+        const [year, month, day] = dateKey.split('-');
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+
+    // Exam Functions
+    async loadExams() {
+        // The date sheet is known offline too, once fetched (the saved one is the current term's)
+        if (!this.exams && !this.selectedTerm) {
+            const saved = await this.db.loadExams().catch(() => null);
+            if (saved) {
+                this.exams = saved;
+                this.renderExams();
+            }
+        }
+        
+        try {
+            const schedule = await this.fetchExams(this.withTerm('/api/exams'));
+            if (!schedule) return;
+            
+            this.exams = schedule;
+            this.renderExams();
+            
+            // Exam reminders are rebuilt from the current term only, so viewing a past
+            // term's date sheet doesn't wipe the upcoming ones
+            const current = this.selectedTerm ? await this.fetchExams('/api/exams') : schedule;
+            if (current) {
+                await this.db.saveExams(current);
+                await this.db.saveExamReminders(current.exams);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load exams:', error.message);
+        }
+    }
+    
+    // { updatedAt, exams } from the server, or null
+    async fetchExams(url) {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        
+        const result = await response.json();
+        if (!result.success) return null;
+        
+        return { updatedAt: result.updatedAt, exams: result.exams };
+    }
+    
+    renderExams() {
+        this.updateExamsButton();
+        if (this.currentFilter === 'exams') {
+            this.renderTimetable();
+        }
+    }
+    
+    updateExamCountdowns() {
+        if (!this.exams) return;
+        
+        this.updateExamsButton();
+        if (this.currentFilter === 'exams') {
+            this.renderTimetable();
+        }
+    }
+
+    // 'upcoming', 'ongoing' or 'done', from the exam's IST start and end
+    getExamStatus(exam, now = new Date()) {
+        if (now < new Date(exam.startsAt)) return 'upcoming';
+        return now < new Date(exam.endsAt) ? 'ongoing' : 'done';
+    }
+    
+    // "in 3 days", "in 1d 4h", "in 2h 10m"
+    formatExamCountdown(exam, now = new Date()) {
+        const status = this.getExamStatus(exam, now);
+        if (status === 'ongoing') return exam.allDay ? 'Today' : 'Now';
+        if (status === 'done') return 'Done';
+        
+        const minutes = Math.ceil((new Date(exam.startsAt) - now) / 60000);
+        const days = Math.floor(minutes / (24 * 60));
+        if (days >= 2) return `in ${days} days`;
+        if (days === 1) return `in 1d ${Math.floor(minutes % (24 * 60) / 60)}h`;
+        return `in ${this.formatDuration(minutes)}`;
+    }
+
+    updateExamsButton() {
+        const btn = document.querySelector('[data-day="exams"]');
+        const upcoming = this.exams ? this.exams.exams.filter(exam => this.getExamStatus(exam) !== 'done').length : 0;
+        btn.textContent = upcoming > 0 ? `📝 Exams (${upcoming})` : '📝 Exams';
+    }
+
+    // Upcoming exams with countdowns, then the ones already written
+    createExamList() {
+        const section = document.createElement('div');
+        section.className = 'day-section';
+        
+        const now = new Date();
+        const exams = this.exams ? this.exams.exams : [];
+        const upcoming = exams.filter(exam => this.getExamStatus(exam, now) !== 'done');
+        
+        section.innerHTML = `
+            <div class="day-header">
+                <span>Exams</span>
+                <span class="day-count">${upcoming.length} upcoming</span>
+            </div>
+            <div class="class-list">
+                ${exams.length === 0 ? '<div class="day-off-note">No exams on the date sheet yet - UMS publishes it a few weeks before each exam.</div>' : ''}
+                ${[...upcoming, ...exams.filter(exam => this.getExamStatus(exam, now) === 'done')].map(exam => {
+                    const status = this.getExamStatus(exam, now);
+                    return `
+                        <div class="exam-item ${status}">
+                            <div class="exam-header">
+                                <div class="class-title">
+                                    <div class="course-code">${exam.CourseCode}</div>
+                                    <div class="course-name">${exam.CourseName}</div>
+                                </div>
+                                <div class="exam-countdown">${this.formatExamCountdown(exam, now)}</div>
+                            </div>
+                            <div class="exam-details">
+                                <span class="exam-type ${exam.kind}">${exam.examType}</span>
+                                <span>📅 ${this.formatCalendarDate(exam.date)}</span>
+                                ${exam.time ? `<span>🕘 ${exam.time}</span>` : ''}
+                                ${exam.room ? `<span>📍 ${exam.room}</span>` : ''}
+                                ${exam.seat ? `<span>💺 Seat ${exam.seat}</span>` : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+        
+        return section;
+    }
+
+    // Free Period Functions
+    async loadFreeSlots() {
+        try {
+            const min = document.getElementById('freeSlotsMin').value;
+            const response = await fetch(this.withTerm(`/api/free-slots?min=${min}`));
+            if (!response.ok) return;
+            
+            const result = await response.json();
+            if (!result.success) return;
+            
+            this.freeSlots = result;
+            this.updateFreeToday();
+            this.renderFreeSlots();
+        } catch (error) {
+            console.error('❌ Failed to load free periods:', error.message);
+        }
+    }
+
+    // Free hours left in today's window (or all of today's, before it starts)
+    updateFreeToday() {
+        const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+        const day = this.freeSlots && this.freeSlots.days.find(d => d.day === today);
+        const now = new Date().getHours() * 60 + new Date().getMinutes();
+        
+        const minutes = day
+            ? day.slots.reduce((total, slot) => total + Math.max(0, slot.end - Math.max(slot.start, now)), 0)
+            : 0;
+        document.getElementById('freeToday').textContent = Math.round(minutes / 30) / 2;
+    }
+
+    showFreeSlotsModal() {
+        document.getElementById('freeSlotsModal').classList.remove('hidden');
+        this.renderFreeSlots();
+    }
+
+    hideFreeSlotsModal() {
+        document.getElementById('freeSlotsModal').classList.add('hidden');
+    }
+
+    renderFreeSlots() {
+        const list = document.getElementById('freeSlotsList');
+        
+        if (!this.freeSlots) {
+            list.innerHTML = '<p class="changes-empty">Free periods show up once your timetable is loaded.</p>';
+            return;
+        }
+        
+        const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+        
+        document.getElementById('freeSlotsWindow').textContent = `Between ${this.freeSlots.window.from} and ${this.freeSlots.window.to}`;
+        list.innerHTML = this.freeSlots.days.map(day => `
+            <div class="free-day${day.day === today ? ' today' : ''}">
+                <div class="free-day-header">
+                    <span>${day.day}</span>
+                    <span class="free-day-total">${day.classCount === 0 ? 'No classes' : `${day.freeMinutes ? this.formatDuration(day.freeMinutes) : 'No'} free`}</span>
+                </div>
+                ${day.slots.map(slot => `
+                    <div class="free-slot">
+                        <span>${slot.label}</span>
+                        <span class="free-slot-duration">${this.formatDuration(slot.minutes)}</span>
+                    </div>
+                `).join('') || '<div class="free-slot">Back-to-back classes</div>'}
+            </div>
+        `).join('');
+    }
+
+    // Calendar Export Functions
+    showCalendarModal() {
+        document.getElementById('calendarDownloadBtn').href = this.withTerm('/api/timetable.ics?download=true');
+        document.getElementById('calendarModal').classList.remove('hidden');
+        this.loadCalendarFeed();
+    }
+
+    hideCalendarModal() {
+        document.getElementById('calendarModal').classList.add('hidden');
+    }
+
+    async loadCalendarFeed(rotate = false) {
+        const input = document.getElementById('calendarFeedUrl');
+        
+        try {
+            const response = await fetch('/api/calendar/feed', { method: rotate ? 'POST' : 'GET' });
+            
+            if (response.status === 401) {
+                this.hideCalendarModal();
+                this.showLoginModal('Log in to get your calendar link.');
+                return;
+            }
+            
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            input.value = this.withTerm(result.url);
+            if (rotate) {
+                this.showToast('🔑 New calendar link created - the old one no longer works');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load calendar link:', error.message);
+            input.value = '';
+            input.placeholder = 'Could not load link';
+        }
+    }
+
+    async copyCalendarLink() {
+        const input = document.getElementById('calendarFeedUrl');
+        if (!input.value) return;
+        
+        try {
+            await navigator.clipboard.writeText(input.value);
+        } catch (error) {
+            input.select();
+            document.execCommand('copy');
+        }
+        this.showToast('📋 Calendar link copied');
+    }
+
+    // Share & Compare Functions
+    async loadSharedTimetable() {
+        document.body.classList.add('shared-view');
+        
+        try {
+            const response = await fetch(`/api/shared/${encodeURIComponent(this.sharedToken)}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            document.getElementById('sharedBannerText').textContent = `Viewing ${result.name}'s timetable (read-only)`;
+            document.getElementById('sharedBanner').classList.remove('hidden');
+            
+            this.timetableData = result.data;
+            this.renderTimetable();
+            this.updateStats();
+            this.checkCurrentClass();
+            this.hideLoadingScreen();
+        } catch (error) {
+            console.error('❌ Failed to load shared timetable:', error.message);
+            this.hideLoadingScreen();
+            this.showErrorModal(error.message || 'Could not load this shared timetable.');
+        }
+    }
+
+    showCompareModal() {
+        document.getElementById('compareLinks').value = localStorage.getItem('compareLinks') || '';
+        document.getElementById('compareModal').classList.remove('hidden');
+        this.loadShareLink();
+    }
+
+    hideCompareModal() {
+        document.getElementById('compareModal').classList.add('hidden');
+    }
+
+    async loadShareLink(method = 'GET', body = null) {
+        try {
+            const response = await fetch('/api/share', {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            
+            if (response.status === 401) {
+                this.hideCompareModal();
+                this.showLoginModal('Log in to share or compare timetables.');
+                return null;
+            }
+            
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.renderShareLink(result);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to load share link:', error.message);
+            this.showToast('Could not load your share link');
+            return null;
+        }
+    }
+
+    renderShareLink(link) {
+        const urlInput = document.getElementById('shareUrl');
+        
+        urlInput.value = link.shared ? link.url : '';
+        urlInput.classList.toggle('hidden', !link.shared);
+        document.getElementById('shareCopyBtn').classList.toggle('hidden', !link.shared);
+        document.getElementById('shareRevokeNote').classList.toggle('hidden', !link.shared);
+        document.getElementById('shareCreateBtn').textContent = link.shared ? 'New link' : 'Create link';
+        if (link.shared) {
+            document.getElementById('shareName').value = link.name;
+        }
+    }
+
+    async createShareLink() {
+        const hadLink = Boolean(document.getElementById('shareUrl').value);
+        const name = document.getElementById('shareName').value.trim();
+        
+        const result = await this.loadShareLink('POST', { name });
+        if (result) {
+            this.showToast(hadLink ? '🔗 New share link created - the old one no longer works' : '🔗 Share link created');
+        }
+    }
+
+    async revokeShareLink() {
+        const result = await this.loadShareLink('DELETE');
+        if (result) {
+            this.showToast('🔒 Stopped sharing your timetable');
+        }
+    }
+
+    async copyShareLink() {
+        const input = document.getElementById('shareUrl');
+        if (!input.value) return;
+        
+        try {
+            await navigator.clipboard.writeText(input.value);
+        } catch (error) {
+            input.select();
+            document.execCommand('copy');
+        }
+        this.showToast('📋 Share link copied');
+    }
+
+    async compareTimetables() {
+        const results = document.getElementById('compareResults');
+        const text = document.getElementById('compareLinks').value;
+        const links = text.split(/\s+/).filter(Boolean);
+        
+        localStorage.setItem('compareLinks', text.trim());
+        results.innerHTML = '<p class="changes-empty">Comparing...</p>';
+        
+        try {
+            const response = await fetch('/api/compare', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ links })
+            });
+            
+            if (response.status === 401) {
+                this.hideCompareModal();
+                this.showLoginModal('Log in to compare timetables.');
+                return;
+            }
+            
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.renderComparison(result);
+        } catch (error) {
+            console.error('❌ Failed to compare timetables:', error.message);
+            results.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'changes-empty';
+            message.textContent = error.message || 'Could not compare timetables.';
+            results.appendChild(message);
+        }
+    }
+
+    // Names come from UMS and other students' links, so never trust them as HTML (or attribute values)
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    renderComparison(result) {
+        const esc = (value) => this.escapeHtml(value);
+        const freeDays = result.freeSlots.filter(day => day.slots.length > 0);
+        
+        document.getElementById('compareResults').innerHTML = `
+            <p class="login-note">${result.participants.map(p => esc(p.name)).join(', ')} · between ${result.window.from} and ${result.window.to}</p>
+            <div class="compare-section">🕳️ Free together</div>
+            ${freeDays.map(day => `
+                <div class="free-day">
+                    <div class="free-day-header"><span>${day.day}</span></div>
+                    ${day.slots.map(slot => `<div class="free-slot"><span>${slot.label}</span></div>`).join('')}
+                </div>
+            `).join('') || '<p class="changes-empty">No common free time</p>'}
+            <div class="compare-section">📚 Shared classes</div>
+            ${result.sharedClasses.map(course => `
+                <div class="free-day">
+                    <div class="free-day-header">
+                        <span>${esc(course.CourseCode)} · ${esc(course.Section)}</span>
+                        <span class="free-day-total">${course.people.map(esc).join(', ')}</span>
+                    </div>
+                    ${course.sessions.map(session => `
+                        <div class="free-slot">
+                            <span>${session.day} ${esc(session.AttendanceTime)} · ${esc(session.Room)}</span>
+                            <span class="free-slot-duration">${session.people.length === course.people.length ? 'Everyone' : session.people.map(esc).join(', ')}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('') || '<p class="changes-empty">No classes in common</p>'}
+            <div class="compare-section">🚶 Walk together</div>
+            ${result.transitions.map(moment => `
+                <div class="free-slot">
+                    <span>${moment.day} ${moment.time} · ${moment.direction} ${esc(moment.building)}</span>
+                    <span class="free-slot-duration">${moment.people.map(p => esc(p.name)).join(', ')}</span>
+                </div>
+            `).join('') || '<p class="changes-empty">No shared building change-overs</p>'}
+        `;
+    }
+
+    showWelcomeModal() {
+        document.getElementById('welcomeModal').classList.remove('hidden');
+    }
+
+    hideWelcomeModal() {
+        document.getElementById('welcomeModal').classList.add('hidden');
+    }
+
+    // PWA Functions
+    setupPWAInstall() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            // Could add install button here if needed
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            console.log('PWA installed successfully');
+        });
+    }
+
+    async installPWA() {
+        if (!this.deferredPrompt) return;
 
         this.deferredPrompt.prompt();
         const { outcome } = await this.deferredPrompt.userChoice;
@@ -848,89 +2523,214 @@ class TimetableApp {
         this.updateDarkModeButton();
     }
 
-    // TODO: Re-implement toggleNotifications method when OneSignal integration is implemented
-    // async toggleNotifications() {
-    //     try {
-    //         const currentState = this.notificationManager.isEnabled();
-    //         
-    //         if (!currentState) {
-    //             // Show informative modal before enabling
-    //             this.showNotificationModal();
-    //         } else {
-    //             // Disable directly
-    //             const isEnabled = await this.notificationManager.toggleNotifications();
-    //             this.updateNotificationButton(isEnabled);
-    //             this.updateNotificationInfo(isEnabled);
-    //             this.showToast('🔕 Notifications disabled.');
-    //         }
-    //     } catch (error) {
-    //         console.error('Error toggling notifications:', error);
-    //         this.showErrorModal('Failed to toggle notifications. Please check browser permissions.');
-    //     }
-    // }
-
-    // TODO: Re-implement enableNotificationsFromModal method when OneSignal integration is implemented
-    // async enableNotificationsFromModal() {
-    //     try {
-    //         this.hideNotificationModal();
-    //         const isEnabled = await this.notificationManager.toggleNotifications();
-    //         this.updateNotificationButton(isEnabled);
-    //         this.updateNotificationInfo(isEnabled);
-    //         
-    //         if (isEnabled) {
-    //             this.showToast('🔔 Notifications enabled! You\'ll get alerts 10 minutes before any room or class changes.');
-    //         }
-    //     } catch (error) {
-    //         console.error('Error enabling notifications:', error);
-    //         this.showErrorModal('Failed to enable notifications. Please check browser permissions.');
-    //     }
-    // }
-
-    // TODO: Re-implement updateNotificationButton method when OneSignal integration is implemented
-    // updateNotificationButton(isEnabled) {
-    //     const btn = document.getElementById('notificationBtn');
-    //     const icon = document.getElementById('notificationIcon');
-    //     
-    //     if (btn && icon) {
-    //         if (isEnabled) {
-    //             btn.classList.remove('disabled');
-    //             btn.title = 'Notifications Enabled - Click to Disable';
-    //             icon.textContent = '🔔';
-    //         } else {
-    //             btn.classList.add('disabled');
-    //             btn.title = 'Notifications Disabled - Click to Enable';
-    //             icon.textContent = '🔕';
-    //         }
-    //     }
-    // }
-
-    // TODO: Re-implement updateNotificationInfo method when OneSignal integration is implemented
-    // updateNotificationInfo(isEnabled) {
-    //     const info = document.getElementById('notificationInfo');
-    //     if (info) {
-    //         if (isEnabled) {
-    //             info.classList.add('hidden');
-    //         } else {
-    //             info.classList.remove('hidden');
-    //         }
-    //     }
-    // }
-
-    // TODO: Re-implement showNotificationModal method when OneSignal integration is implemented
-    // showNotificationModal() {
-    //     const modal = document.getElementById('notificationModal');
-    //     if (modal) {
-    //         modal.classList.remove('hidden');
-    //     }
-    // }
-
-    // TODO: Re-implement hideNotificationModal method when OneSignal integration is implemented
-    // hideNotificationModal() {
-    //     const modal = document.getElementById('notificationModal');
-    //     if (modal) {
-    //         modal.classList.add('hidden');
-    //     }
-    // }
+    // Notification Functions
+    async initPushNotifications() {
+        const btn = document.getElementById('notificationBtn');
+        if (!('serviceWorker' in navigator) || !('Notification' in window)) {
+            return;
+        }
+        
+        btn.classList.remove('hidden');
+        this.updateNotificationButton(this.isNotificationsEnabled());
+        
+        // Change alerts over Web Push are optional; reminders work without them
+        if (!('PushManager' in window)) return;
+        
+        try {
+            const response = await fetch('/api/push/key');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                this.pushPublicKey = result.publicKey;
+            }
+        } catch (error) {
+            console.error('❌ Push setup failed:', error.message);
+        }
+    }
+
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    isNotificationsEnabled() {
+        return localStorage.getItem('notificationsEnabled') === 'true' &&
+            'Notification' in window && Notification.permission === 'granted';
+    }
+
+    getReminderSettings() {
+        let mutedCourses = [];
+        try {
+            mutedCourses = JSON.parse(localStorage.getItem('mutedCourses') || '[]');
+        } catch (error) {
+            // Corrupt value - start with nothing muted
+        }
+        
+        return {
+            leadMinutes: parseInt(localStorage.getItem('reminderLeadMinutes')) || 10,
+            mutedCourses
+        };
+    }
+
+    showNotificationModal() {
+        this.renderReminderSettings();
+        document.getElementById('notificationModal').classList.remove('hidden');
+    }
+
+    hideNotificationModal() {
+        document.getElementById('notificationModal').classList.add('hidden');
+    }
+
+    renderReminderSettings() {
+        const enabled = this.isNotificationsEnabled();
+        const { leadMinutes, mutedCourses } = this.getReminderSettings();
+        
+        document.getElementById('notificationStatus').textContent = enabled
+            ? `You'll be reminded ${leadMinutes} minutes before each class${this.pushPublicKey ? ' and alerted when your timetable changes' : ''}.`
+            : 'Get a reminder with the room before each class.';
+        document.getElementById('notificationToggleBtn').textContent = enabled ? 'Turn off' : 'Turn on';
+        document.getElementById('reminderLeadTime').value = String(leadMinutes);
+        document.getElementById('reminderSettings').classList.toggle('hidden', !enabled);
+        
+        // One checkbox per course in the current timetable
+        const courses = new Map();
+        this.timetableData.forEach(item => {
+            if (item.parsedInfo) courses.set(item.parsedInfo.course, item.parsedInfo.courseName);
+        });
+        
+        document.getElementById('reminderCourses').innerHTML = [...courses].sort().map(([code, name]) => `
+            <label class="reminder-course">
+                <input type="checkbox" data-course="${this.escapeHtml(code)}" ${mutedCourses.includes(code) ? '' : 'checked'}>
+                <span><strong>${this.escapeHtml(code)}</strong> ${this.escapeHtml(name)}</span>
+            </label>
+        `).join('');
+    }
+
+    setReminderLeadTime(minutes) {
+        localStorage.setItem('reminderLeadMinutes', String(minutes));
+        this.renderReminderSettings();
+    }
+
+    setCourseMuted(courseCode, muted) {
+        const { mutedCourses } = this.getReminderSettings();
+        const updated = muted
+            ? [...new Set([...mutedCourses, courseCode])]
+            : mutedCourses.filter(code => code !== courseCode);
+        localStorage.setItem('mutedCourses', JSON.stringify(updated));
+    }
+
+    async toggleNotifications() {
+        try {
+            if (this.isNotificationsEnabled()) {
+                // Disable directly
+                localStorage.setItem('notificationsEnabled', 'false');
+                await this.unsubscribeFromPush();
+                this.updateNotificationButton(false);
+                this.renderReminderSettings();
+                this.showToast('🔕 Notifications disabled.');
+                return;
+            }
+            
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                this.showToast('🔕 Notifications are blocked in your browser settings.');
+                return;
+            }
+            
+            localStorage.setItem('notificationsEnabled', 'true');
+            this.updateNotificationButton(true);
+            this.renderReminderSettings();
+            
+            await this.subscribeToPush();
+            this.showToast('🔔 Notifications enabled!');
+        } catch (error) {
+            console.error('Error toggling notifications:', error);
+            this.showErrorModal('Failed to toggle notifications. Please check browser permissions.');
+        }
+    }
+
+    async subscribeToPush() {
+        if (!this.pushPublicKey) return;
+        
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.urlBase64ToUint8Array(this.pushPublicKey)
+            });
+        
+        const response = await fetch('/api/push/subscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscription.toJSON())
+        });
+        
+        // Reminders still work; change alerts need a logged-in user
+        if (!response.ok) {
+            await subscription.unsubscribe();
+            console.warn('⚠️ Push subscription not saved:', response.status);
+        }
+    }
+
+    async unsubscribeFromPush() {
+        if (!('PushManager' in window)) return;
+        
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return;
+        
+        await fetch('/api/push/unsubscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        }).catch(() => {});
+        await subscription.unsubscribe();
+    }
+
+    // Show "class starts in N minutes" reminders that are due
+    async checkReminders() {
+        if (!this.isNotificationsEnabled() || this.checkingReminders) return;
+        this.checkingReminders = true;
+        
+        try {
+            const { leadMinutes, mutedCourses } = this.getReminderSettings();
+            const pending = await this.db.getPendingNotifications(leadMinutes, mutedCourses);
+            if (pending.length === 0) return;
+            
+            const registration = await navigator.serviceWorker.ready;
+            
+            for (const reminder of pending) {
+                const minutesLeft = reminder.startMinutes - (new Date().getHours() * 60 + new Date().getMinutes());
+                const location = reminder.building && reminder.roomNumber
+                    ? `Building ${reminder.building}, Room ${reminder.roomNumber}`
+                    : reminder.room || 'Room not listed';
+                
+                await registration.showNotification(`⏰ ${reminder.courseCode} ${reminder.type} in ${minutesLeft} min`, {
+                    body: `${reminder.courseName}\n📍 ${location}\n🕘 ${reminder.classTime}`,
+                    icon: '/assets/icons/icon-192.png',
+                    badge: '/assets/icons/icon-96.png',
+                    tag: `reminder-${reminder.id}`,
+                    data: { url: '/' }
+                });
+                
+                await this.db.markNotificationSent(reminder.id);
+            }
+        } catch (error) {
+            console.error('❌ Reminder check failed:', error.message);
+        } finally {
+            this.checkingReminders = false;
+        }
+    }
+
+    updateNotificationButton(isEnabled) {
+        const btn = document.getElementById('notificationBtn');
+        
+        if (btn) {
+            btn.classList.toggle('disabled', !isEnabled);
+            btn.title = isEnabled ? 'Notifications On' : 'Notifications Off';
+            btn.textContent = isEnabled ? '🔔' : '🔕';
+        }
+    }
 
     showToast(message) {
         // Create toast element
@@ -985,9 +2785,7 @@ class TimetableApp {
                 
                 // Handle notification check requests
                 if (event.data && event.data.type === 'CHECK_NOTIFICATIONS') {
-                    if (this.notificationManager) {
-                        this.notificationManager.checkForUpcomingClasses();
-                    }
+                    this.checkReminders();
                 }
             });
 
@@ -6,7 +6,7 @@
 class TimetableDB {
     constructor() {
         this.dbName = 'LPUTimetableDB';
-        this.version = 2;
+        this.version = 4;
         this.db = null;
     }
 
@@ -50,11 +50,39 @@ class TimetableDB {
                     notifStore.createIndex('notified', 'notified', { unique: false });
                 }
 
+                // The student's own attended/missed/cancelled marks, one per date + start time
+                if (!db.objectStoreNames.contains('attendanceMarks')) {
+                    const marksStore = db.createObjectStore('attendanceMarks', { keyPath: 'id' });
+                    marksStore.createIndex('courseCode', 'courseCode', { unique: false });
+                    marksStore.createIndex('date', 'date', { unique: false });
+                } else if (event.oldVersion < 4) {
+                    // Marks used to be keyed on the time label ("2025-09-10|9-10 AM")
+                    this.migrateMarkKeys(event.target.transaction.objectStore('attendanceMarks'));
+                }
+
                 console.log('📦 IndexedDB schema created/upgraded');
             };
         });
     }
 
+    /**
+     * Re-key label-keyed attendance marks on their start minutes, inside the upgrade transaction
+     */
+    migrateMarkKeys(store) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const mark = cursor.value;
+            const id = this.getMarkKey(mark.date, mark.start);
+            if (typeof mark.start === 'number' && mark.id !== id) {
+                cursor.delete();
+                store.put({ ...mark, id });
+            }
+            cursor.continue();
+        };
+    }
+
     /**
      * Save timetable data
      */
@@ -139,6 +167,36 @@ class TimetableDB {
         });
     }
 
+    /**
+     * Key identifying a class slot, so reminder state survives a refresh.
+     * Uses the start time rather than the label, which UMS formats loosely
+     */
+    getReminderKey(item) {
+        return `${item.courseCode}|${item.day}|${item.startMinutes}`;
+    }
+
+    /**
+     * Monday of the current week (local time), e.g. "2025-09-08"
+     */
+    getWeekKey(date = new Date()) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        return this.getDateKey(monday);
+    }
+
+    /**
+     * Local calendar date, e.g. "2025-09-10"
+     */
+    getDateKey(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Key of an attendance mark: one class on one date, by start minutes, e.g. "2025-09-10|540"
+     */
+    getMarkKey(date, start) {
+        return `${date}|${start}`;
+    }
+
     /**
      * Save notification schedule
      */
@@ -148,35 +206,110 @@ class TimetableDB {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['notifications'], 'readwrite');
             const store = transaction.objectStore('notifications');
+            const existingRequest = store.getAll();
+
+            existingRequest.onsuccess = () => {
+                // Keep "already reminded" state for classes that are still there
+                const sentThisWeek = new Map(existingRequest.result
+                    .filter(notif => notif.notified)
+                    .map(notif => [this.getReminderKey(notif), notif.notifiedWeek]));
+
+                // Clear old class reminders (exam reminders are saved separately)
+                existingRequest.result
+                    .filter(notif => !notif.exam)
+                    .forEach(notif => store.delete(notif.id));
+
+                // Add new notification entries for each class
+                classData.forEach(classItem => {
+                    if (classItem.timeRange && classItem.timeRange.start) {
+                        const entry = {
+                            classTime: classItem.AttendanceTime,
+                            day: classItem.Day,
+                            courseName: classItem.parsedInfo.courseName,
+                            courseCode: classItem.parsedInfo.course,
+                            building: classItem.parsedInfo.building,
+                            roomNumber: classItem.parsedInfo.roomNumber,
+                            room: classItem.parsedInfo.room,
+                            type: classItem.parsedInfo.type,
+                            startMinutes: classItem.timeRange.start,
+                            notified: false,
+                            notifiedWeek: null,
+                            timestamp: Date.now()
+                        };
+
+                        const key = this.getReminderKey(entry);
+                        if (sentThisWeek.has(key)) {
+                            entry.notified = true;
+                            entry.notifiedWeek = sentThisWeek.get(key);
+                        }
+
+                        store.add(entry);
+                    }
+                });
+            };
+
+            transaction.oncomplete = () => {
+                console.log('🔔 Notification schedule saved');
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to save notification schedule:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
 
-            // Clear old notifications
-            store.clear();
-
-            // Add new notification entries for each class
-            classData.forEach(classItem => {
-                if (classItem.timeRange && classItem.timeRange.start) {
-                    store.add({
-                        classTime: classItem.AttendanceTime,
-                        day: classItem.Day,
-                        courseName: classItem.parsedInfo.courseName,
-                        courseCode: classItem.parsedInfo.course,
-                        building: classItem.parsedInfo.building,
-                        roomNumber: classItem.parsedInfo.roomNumber,
-                        type: classItem.parsedInfo.type,
-                        startMinutes: classItem.timeRange.start,
+    /**
+     * Replace the exam reminders, one per timed exam on its date
+     */
+    async saveExamReminders(exams) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['notifications'], 'readwrite');
+            const store = transaction.objectStore('notifications');
+            const existingRequest = store.getAll();
+
+            existingRequest.onsuccess = () => {
+                const sent = new Map(existingRequest.result
+                    .filter(notif => notif.exam && notif.notified)
+                    .map(notif => [this.getReminderKey(notif), notif.notifiedWeek]));
+
+                existingRequest.result
+                    .filter(notif => notif.exam)
+                    .forEach(notif => store.delete(notif.id));
+
+                exams.filter(exam => exam.start !== null && exam.status !== 'done').forEach(exam => {
+                    const [year, month, day] = exam.date.split('-');
+                    const entry = {
+                        exam: true,
+                        classTime: exam.time,
+                        day: `${day}-${month}-${year}`,
+                        courseName: exam.CourseName,
+                        courseCode: exam.CourseCode,
+                        room: exam.room ? `${exam.room}${exam.seat ? `, Seat ${exam.seat}` : ''}` : null,
+                        type: exam.examType,
+                        startMinutes: exam.start,
                         notified: false,
+                        notifiedWeek: null,
                         timestamp: Date.now()
-                    });
-                }
-            });
+                    };
+
+                    const key = this.getReminderKey(entry);
+                    if (sent.has(key)) {
+                        entry.notified = true;
+                        entry.notifiedWeek = sent.get(key);
+                    }
+                    store.add(entry);
+                });
+            };
 
             transaction.oncomplete = () => {
-                console.log('🔔 Notification schedule saved');
                 resolve();
             };
 
             transaction.onerror = () => {
-                console.error('Failed to save notification schedule:', transaction.error);
                 reject(transaction.error);
             };
         });
@@ -184,31 +317,52 @@ class TimetableDB {
 
     /**
      * Get notifications that need to be sent
+     * @param {number} leadMinutes - how long before class to remind
+     * @param {Array<string>} mutedCourses - course codes without reminders
      */
-    async getPendingNotifications() {
+    async getPendingNotifications(leadMinutes = 10, mutedCourses = []) {
         if (!this.db) await this.init();
 
+        // No class reminders on holidays, exam days or outside the term
+        const dayOff = this.getNoClassDay(await this.loadAcademicCalendar());
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['notifications'], 'readonly');
+            const transaction = this.db.transaction(['notifications'], 'readwrite');
             const store = transaction.objectStore('notifications');
             const request = store.getAll();
+            let pending = [];
 
             request.onsuccess = () => {
                 const now = new Date();
                 const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
+                const currentDate = `${String(now.getDate()).padStart(2, '0')}-${String(now.getMonth() + 1).padStart(2, '0')}-${now.getFullYear()}`;
                 const currentTime = now.getHours() * 60 + now.getMinutes();
+                const currentWeek = this.getWeekKey(now);
+
+                request.result.forEach(notif => {
+                    // Weekly reset: last week's reminders can fire again
+                    if (notif.notified && notif.notifiedWeek !== currentWeek) {
+                        notif.notified = false;
+                        notif.notifiedWeek = null;
+                        store.put(notif);
+                    }
+                });
 
-                // Filter for classes happening today, 10 minutes from now, and not yet notified
-                const pending = request.result.filter(notif => {
+                // Filter for classes happening today within the lead time, not yet notified
+                pending = request.result.filter(notif => {
                     const timeDiff = notif.startMinutes - currentTime;
-                    return !notif.notified && notif.day === currentDay && timeDiff > 0 && timeDiff <= 10;
+                    const isToday = notif.day === currentDay || notif.day === currentDate;
+                    return (!dayOff || notif.exam) && !notif.notified && isToday && timeDiff > 0 && timeDiff <= leadMinutes &&
+                        !mutedCourses.includes(notif.courseCode);
                 });
+            };
 
+            transaction.oncomplete = () => {
                 resolve(pending);
             };
 
-            request.onerror = () => {
-                reject(request.error);
+            transaction.onerror = () => {
+                reject(transaction.error);
             };
         });
     }
@@ -228,6 +382,7 @@ class TimetableDB {
                 const notification = getRequest.result;
                 if (notification) {
                     notification.notified = true;
+                    notification.notifiedWeek = this.getWeekKey();
                     store.put(notification);
                 }
             };
@@ -242,6 +397,231 @@ class TimetableDB {
         });
     }
 
+    /**
+     * Save the attendance summary from /api/attendance
+     */
+    async saveAttendance(summary) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            transaction.objectStore('metadata').put({ key: 'attendance', ...summary });
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Load the saved attendance summary
+     */
+    async loadAttendance() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readonly');
+            const request = transaction.objectStore('metadata').get('attendance');
+
+            transaction.oncomplete = () => {
+                const { key, ...summary } = request.result || {};
+                resolve(request.result ? summary : null);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Save the exam schedule
+     */
+    async saveExams(schedule) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            transaction.objectStore('metadata').put({ key: 'exams', ...schedule });
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Load the saved exam schedule
+     */
+    async loadExams() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readonly');
+            const request = transaction.objectStore('metadata').get('exams');
+
+            transaction.oncomplete = () => {
+                const { key, ...schedule } = request.result || {};
+                resolve(request.result ? schedule : null);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Save the current term's academic calendar (holidays, exam weeks, term dates);
+     * class reminders and the service worker's auto-refresh skip its days off
+     */
+    async saveAcademicCalendar(calendar) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            transaction.objectStore('metadata').put({ key: 'academicCalendar', ...calendar });
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Load the saved academic calendar
+     */
+    async loadAcademicCalendar() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readonly');
+            const request = transaction.objectStore('metadata').get('academicCalendar');
+
+            transaction.oncomplete = () => {
+                const { key, ...calendar } = request.result || {};
+                resolve(request.result ? calendar : null);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Why a date has no classes (same rules as the server's
+     * AcademicCalendar.getDayStatus), or null on a teaching day
+     * @param {Object} calendar - from loadAcademicCalendar()
+     * @param {string} dateKey - "YYYY-MM-DD"
+     */
+    getNoClassDay(calendar, dateKey = this.getDateKey()) {
+        if (!calendar || !Array.isArray(calendar.events)) return null;
+
+        const event = calendar.events.find(e =>
+            (e.type === 'holiday' || e.type === 'exams') && e.start <= dateKey && dateKey <= e.end);
+        if (event) return { type: event.type, name: event.name };
+
+        if (calendar.start && dateKey < calendar.start) return { type: 'beforeTerm', name: 'Term has not started' };
+        if (calendar.end && dateKey > calendar.end) return { type: 'afterTerm', name: 'Term is over' };
+        return null;
+    }
+
+    /**
+     * Save (or replace) an attendance mark
+     */
+    async saveAttendanceMark(mark) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['attendanceMarks'], 'readwrite');
+            const record = { id: this.getMarkKey(mark.date, mark.start), markedAt: Date.now(), ...mark };
+            transaction.objectStore('attendanceMarks').put(record);
+
+            transaction.oncomplete = () => {
+                resolve(record);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Save several marks at once (e.g. after reconciling with UMS)
+     */
+    async saveAttendanceMarks(marks) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['attendanceMarks'], 'readwrite');
+            const store = transaction.objectStore('attendanceMarks');
+            marks.forEach(mark => store.put(mark));
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Remove an attendance mark
+     */
+    async deleteAttendanceMark(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['attendanceMarks'], 'readwrite');
+            transaction.objectStore('attendanceMarks').delete(id);
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Load attendance marks, optionally for one course, oldest first
+     */
+    async getAttendanceMarks(courseCode = null) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['attendanceMarks'], 'readonly');
+            const store = transaction.objectStore('attendanceMarks');
+            const request = courseCode ? store.index('courseCode').getAll(courseCode) : store.getAll();
+
+            transaction.oncomplete = () => {
+                resolve(request.result.sort((a, b) => a.date.localeCompare(b.date) || (a.start || 0) - (b.start || 0)));
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
     /**
      * Clear all data
      */
@@ -250,13 +630,14 @@ class TimetableDB {
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(
-                ['timetable', 'metadata', 'notifications'], 
+                ['timetable', 'metadata', 'notifications', 'attendanceMarks'], 
                 'readwrite'
             );
 
             transaction.objectStore('timetable').clear();
             transaction.objectStore('metadata').clear();
             transaction.objectStore('notifications').clear();
+            transaction.objectStore('attendanceMarks').clear();
 
             transaction.oncomplete = () => {
                 console.log('🗑️ Cleared all IndexedDB data');
@@ -297,5 +678,5 @@ class TimetableDB {
     }
 }
 
-// Export singleton instance
-window.TimetableDB = new TimetableDB();
+// Export singleton instance (the service worker imports this file too)
+(typeof window !== 'undefined' ? window : self).TimetableDB = new TimetableDB();
@@ -1,8 +1,11 @@
 // Enhanced PWA Service Worker with Offline Support and Background Notifications
-const VERSION = '3.1.0';
+const VERSION = '3.2.0';
 const CACHE_NAME = `lpu-timetable-v${VERSION}`;
 const DATA_CACHE_NAME = `lpu-data-v${VERSION}`;
 
+// Shared IndexedDB helpers (academic calendar for the auto-refresh)
+importScripts(`/assets/js/db.js?v=${VERSION}`);
+
 // Files to cache immediately (with version for cache busting)
 const STATIC_FILES = [
   '/',
@@ -301,6 +304,13 @@ async function checkAndAutoRefresh() {
       const today = istTime.toISOString().split('T')[0];
       const lastRefreshDate = lastAutoRefresh ? new Date(lastAutoRefresh).toISOString().split('T')[0] : null;
       
+      // Nothing to refresh for on holidays, exam days or outside the term
+      const dayOff = self.TimetableDB.getNoClassDay(await self.TimetableDB.loadAcademicCalendar(), today);
+      if (dayOff) {
+        console.log(`[SW] Skipping auto-refresh: ${dayOff.name}`);
+        return;
+      }
+      
       if (lastRefreshDate !== today) {
         console.log('[SW] Triggering daily auto-refresh at 8:00 AM IST');
         await triggerAutoRefresh();
@@ -342,9 +352,33 @@ async function triggerAutoRefresh() {
   }
 }
 
+// Web Push - schedule changes sent by /api/refresh
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+  
+  const data = payload.data || {};
+  
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'LPU Timetable', {
+      body: payload.body || 'Your timetable has changed.',
+      icon: payload.icon || '/assets/icons/icon-192.png',
+      badge: payload.badge || '/assets/icons/icon-96.png',
+      // One notification per class, replaced if it changes again
+      tag: data.courseCode ? `change-${data.courseCode}-${data.day}` : 'schedule-change',
+      data: { ...data, url: payload.url || '/' }
+    })
+  );
+});
+
 // Handle notification clicks
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
+  const targetUrl = (event.notification.data && event.notification.data.url) || '/';
   
   event.waitUntil(
     self.clients.matchAll({ type: 'window', includeUncontrolled: true })
@@ -357,7 +391,7 @@ self.addEventListener('notificationclick', (event) => {
         }
         // Otherwise, open a new window
         if (self.clients.openWindow) {
-          return self.clients.openWindow('/');
+          return self.clients.openWindow(targetUrl);
         }
       })
   );
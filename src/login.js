@@ -2,10 +2,11 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const https = require('https');
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const ac = require('@antiadmin/anticaptchaofficial');
+const CredentialVault = require('./modules/vault.js');
+const { CaptchaSolverChain } = require('./modules/captcha.js');
+const UmsEndpoints = require('./modules/endpoints.js');
 
 // ============================================
 // 🔧 CONFIGURATION
@@ -17,14 +18,9 @@ require('dotenv').config();
 // Detect Vercel environment
 const isVercel = process.env.VERCEL === '1';
 const tempDir = isVercel ? '/tmp' : path.join(__dirname, '..', 'temp');
-const dataDir = isVercel ? '/tmp' : path.join(__dirname, 'data');
 
 // Configuration constants
 const CONFIG = {
-    antiCaptcha: {
-        apiKey: process.env.ANTICAPTCHA_API_KEY || '',
-        minBalance: parseFloat(process.env.ANTICAPTCHA_MIN_BALANCE) || 0.001
-    },
     credentials: {
         username: process.env.UMS_USERNAME || '',
         password: process.env.UMS_PASSWORD || ''
@@ -39,26 +35,17 @@ const CONFIG = {
         captchaImagePath: path.join(tempDir, 'captcha_debug.png')
     },
     cookies: {
-        saveSessionCookies: process.env.SAVE_SESSION_COOKIES !== 'false',
-        cookieFile: path.join(dataDir, 'session_cookies.json')
-    },
-    urls: {
-        loginPage: 'https://ums.lpu.in/lpuums/LoginNew.aspx',
-        captchaParams: 'https://ums.lpu.in/LpuUms/BotDetectCaptcha.ashx?get=p&c=c_loginnew_examplecaptcha',
-        captchaImage: 'https://ums.lpu.in/LpuUms/BotDetectCaptcha.ashx?get=image&c=c_loginnew_examplecaptcha'
+        // Session cookies are only ever persisted encrypted, via CredentialVault
+        saveSessionCookies: process.env.SAVE_SESSION_COOKIES !== 'false'
     }
 };
 
 // Validation function
-function validateConfig() {
+function validateConfig(credentials = CONFIG.credentials, hasStoredPassword = false) {
     const errors = [];
     
-    if (!CONFIG.credentials.username || !CONFIG.credentials.password) {
-        errors.push('UMS credentials not configured - Set UMS_USERNAME and UMS_PASSWORD environment variables');
-    }
-    
-    if (!CONFIG.antiCaptcha.apiKey) {
-        errors.push('Anti-Captcha API key not configured - Set ANTICAPTCHA_API_KEY environment variable');
+    if (!credentials.username || (!credentials.password && !hasStoredPassword)) {
+        errors.push('UMS credentials not configured - Set UMS_USERNAME and UMS_PASSWORD (or UMS_PASSWORD_ENCRYPTED) environment variables');
     }
     
     if (errors.length > 0) {
@@ -67,7 +54,6 @@ function validateConfig() {
         console.error('\n📝 Please set the required environment variables:');
         console.error('   • UMS_USERNAME=your_username');
         console.error('   • UMS_PASSWORD=your_password');
-        console.error('   • ANTICAPTCHA_API_KEY=your_api_key');
         return false;
     }
     
@@ -80,22 +66,37 @@ function validateConfig() {
 // ============================================
 
 class LPUAutomatedLogin {
-    constructor() {
+    constructor(options = {}) {
+        // Per-user credentials (multi-user mode) or the single .env account
+        this.credentials = options.username
+            ? { username: options.username, password: options.password || '' }
+            : CONFIG.credentials;
+        
+        // Stored passwords and session cookies are read/written encrypted
+        this.vault = options.vault || new CredentialVault();
+        const hasStoredPassword = !!options.vault || !!process.env.UMS_PASSWORD_ENCRYPTED;
+        
         this.httpsAgent = new https.Agent({
             rejectUnauthorized: false
         });
         
+        // UMS URLs (base URL and per-endpoint overrides) come from the endpoint registry
+        this.endpoints = options.endpoints || new UmsEndpoints({ baseUrl: options.baseUrl });
+        
         this.cookies = '';
         this.sessionCookies = '';
         this.scrapedData = null;
         
+        // Captcha backends are tried in order (CAPTCHA_SOLVERS); the context
+        // lets the manual solver reach the browser that started the login
+        this.captchaChain = options.captchaChain || new CaptchaSolverChain();
+        this.captchaContext = options.captchaContext || {};
+        this.captchaSolver = null;
+        
         // Validate configuration
-        if (!validateConfig()) {
+        if (!validateConfig(this.credentials, hasStoredPassword)) {
             throw new Error('Configuration validation failed');
         }
-        
-        // Initialize Anti-Captcha
-        ac.setAPIKey(CONFIG.antiCaptcha.apiKey);
     }
 
     // ============================================
@@ -105,9 +106,10 @@ class LPUAutomatedLogin {
         console.log('📥 Scraping login page...');
         
         try {
-            const response = await axios.get(CONFIG.urls.loginPage, {
+            const loginUrl = this.endpoints.get('loginPage');
+            const response = await axios.get(loginUrl, {
                 headers: {
-                    'Host': 'ums.lpu.in',
+                    'Host': new URL(loginUrl).host,
                     'Sec-Ch-Ua': '"Not=A?Brand";v="24", "Chromium";v="140"',
                     'Sec-Ch-Ua-Mobile': '?0',
                     'Sec-Ch-Ua-Platform': '"macOS"',
@@ -171,9 +173,10 @@ class LPUAutomatedLogin {
         const vcid = this.scrapedData.BDC_VCID_c_loginnew_examplecaptcha;
         
         try {
-            const response = await axios.get(`${CONFIG.urls.captchaParams}&t=${vcid}&d=${currentTime}`, {
+            const paramsUrl = this.endpoints.get('captchaParams');
+            const response = await axios.get(`${paramsUrl}&t=${vcid}&d=${currentTime}`, {
                 headers: {
-                    'Host': 'ums.lpu.in',
+                    'Host': new URL(paramsUrl).host,
                     'Cookie': this.cookies,
                     'Sec-Ch-Ua-Platform': '"macOS"',
                     'Accept-Language': 'en-GB,en;q=0.9',
@@ -184,7 +187,7 @@ class LPUAutomatedLogin {
                     'Sec-Fetch-Site': 'same-origin',
                     'Sec-Fetch-Mode': 'cors',
                     'Sec-Fetch-Dest': 'empty',
-                    'Referer': 'https://ums.lpu.in/lpuums/',
+                    'Referer': this.endpoints.get('portal'),
                     'Accept-Encoding': 'gzip, deflate, br',
                     'Priority': 'u=1, i',
                     'Connection': 'keep-alive'
@@ -215,9 +218,10 @@ class LPUAutomatedLogin {
         console.log('🖼️ Downloading captcha...');
         
         try {
-            const response = await axios.get(`${CONFIG.urls.captchaImage}&t=${captchaParams.vcid}&d=${captchaParams.timestamp}`, {
+            const imageUrl = this.endpoints.get('captchaImage');
+            const response = await axios.get(`${imageUrl}&t=${captchaParams.vcid}&d=${captchaParams.timestamp}`, {
                 headers: {
-                    'Host': 'ums.lpu.in',
+                    'Host': new URL(imageUrl).host,
                     'Cookie': this.cookies,
                     'Sec-Ch-Ua-Platform': '"macOS"',
                     'Accept-Language': 'en-GB,en;q=0.9',
@@ -228,7 +232,7 @@ class LPUAutomatedLogin {
                     'Sec-Fetch-Site': 'same-origin',
                     'Sec-Fetch-Mode': 'no-cors',
                     'Sec-Fetch-Dest': 'image',
-                    'Referer': 'https://ums.lpu.in/lpuums/',
+                    'Referer': this.endpoints.get('portal'),
                     'Accept-Encoding': 'gzip, deflate, br',
                     'Priority': 'i',
                     'Connection': 'keep-alive'
@@ -243,7 +247,7 @@ class LPUAutomatedLogin {
                 await fs.writeFile(CONFIG.debug.captchaImagePath, response.data);
             }
             
-            // Convert to base64 for Anti-Captcha (keep in memory only)
+            // Convert to base64 for the captcha solvers (keep in memory only)
             const base64Image = Buffer.from(response.data).toString('base64');
             console.log('✅ Captcha downloaded');
             return base64Image;
@@ -254,24 +258,16 @@ class LPUAutomatedLogin {
     }
 
     // ============================================
-    // 🤖 STEP 4: SOLVE CAPTCHA USING ANTI-CAPTCHA
+    // 🤖 STEP 4: SOLVE CAPTCHA (SOLVER CHAIN)
     // ============================================
     async solveCaptcha(base64Image) {
         console.log('🤖 Solving captcha...');
         
         try {
-            // Check account balance
-            const balance = await ac.getBalance();
-            
-            if (balance < CONFIG.antiCaptcha.minBalance) {
-                throw new Error(`Insufficient balance in Anti-Captcha account. Minimum required: $${CONFIG.antiCaptcha.minBalance}`);
-            }
-
-            // Solve the captcha
-            const captchaResult = await ac.solveImage(base64Image, true);
-            console.log(`✅ Captcha solved: ${captchaResult}`);
+            const { text, solver } = await this.captchaChain.solve(base64Image, this.captchaContext);
+            this.captchaSolver = solver;
             
-            return captchaResult;
+            return text;
         } catch (error) {
             console.error('❌ Error solving captcha:', error.message);
             throw error;
@@ -319,16 +315,37 @@ class LPUAutomatedLogin {
             }
         }
         
-        console.log(`✅ Converted: ${text} → ${result}`);
         return result;
     }
 
+    // ============================================
+    // 🔑 PASSWORD LOOKUP (plaintext never touches disk)
+    // ============================================
+    async resolvePassword() {
+        if (this.credentials.password) {
+            return this.credentials.password;
+        }
+        
+        const storedPassword = await this.vault.getSecret('password');
+        if (storedPassword) {
+            return storedPassword;
+        }
+        
+        if (process.env.UMS_PASSWORD_ENCRYPTED && this.credentials.username === CONFIG.credentials.username) {
+            return CredentialVault.decryptFromString(process.env.UMS_PASSWORD_ENCRYPTED);
+        }
+        
+        throw new Error('No UMS password available for this account');
+    }
+
     // ============================================
     // 📤 STEP 6: SUBMIT LOGIN FORM
     // ============================================
     async submitLoginForm(convertedCaptcha) {
         console.log('📤 Submitting login...');
         
+        const password = await this.resolvePassword();
+        
         // Prepare form data
         const formData = new URLSearchParams();
         formData.append('__LASTFOCUS', '');
@@ -340,8 +357,8 @@ class LPUAutomatedLogin {
         formData.append('__SCROLLPOSITIONY', this.scrapedData.__SCROLLPOSITIONY);
         formData.append('__EVENTVALIDATION', this.scrapedData.__EVENTVALIDATION);
         formData.append('DropDownList1', '1');
-        formData.append('txtU', CONFIG.credentials.username);
-        formData.append('TxtpwdAutoId_8767', CONFIG.credentials.password);
+        formData.append('txtU', this.credentials.username);
+        formData.append('TxtpwdAutoId_8767', password);
         formData.append('CaptchaCodeTextBox', convertedCaptcha);
         formData.append('BDC_VCID_c_loginnew_examplecaptcha', this.scrapedData.BDC_VCID_c_loginnew_examplecaptcha);
         formData.append('BDC_BackWorkaround_c_loginnew_examplecaptcha', this.scrapedData.BDC_BackWorkaround_c_loginnew_examplecaptcha || '1');
@@ -350,9 +367,10 @@ class LPUAutomatedLogin {
         formData.append('iBtnLogins150203125', 'Login');
 
         try {
-            const response = await axios.post(CONFIG.urls.loginPage, formData.toString(), {
+            const loginUrl = this.endpoints.get('loginPage');
+            const response = await axios.post(loginUrl, formData.toString(), {
                 headers: {
-                    'Host': 'ums.lpu.in',
+                    'Host': new URL(loginUrl).host,
                     'Cookie': this.cookies,
                     'Content-Length': formData.toString().length,
                     'Cache-Control': 'max-age=0',
@@ -360,7 +378,7 @@ class LPUAutomatedLogin {
                     'Sec-Ch-Ua-Mobile': '?0',
                     'Sec-Ch-Ua-Platform': '"macOS"',
                     'Accept-Language': 'en-GB,en;q=0.9',
-                    'Origin': 'https://ums.lpu.in',
+                    'Origin': new URL(loginUrl).origin,
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'Upgrade-Insecure-Requests': '1',
                     'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
@@ -369,7 +387,7 @@ class LPUAutomatedLogin {
                     'Sec-Fetch-Mode': 'navigate',
                     'Sec-Fetch-User': '?1',
                     'Sec-Fetch-Dest': 'document',
-                    'Referer': 'https://ums.lpu.in/lpuums/LoginNew.aspx',
+                    'Referer': loginUrl,
                     'Accept-Encoding': 'gzip, deflate, br',
                     'Priority': 'u=0, i',
                     'Connection': 'keep-alive'
@@ -438,19 +456,9 @@ class LPUAutomatedLogin {
     // 🍪 COOKIE MANAGEMENT METHOD
     // ============================================
     async extractAndSaveCookies(response) {
-        if (!CONFIG.cookies.saveSessionCookies) {
-            return;
-        }
-        
         console.log('🍪 Saving cookies...');
         
         try {
-            // Ensure the directory exists
-            const cookieDir = path.dirname(CONFIG.cookies.cookieFile);
-            if (!fsSync.existsSync(cookieDir)) {
-                await fs.mkdir(cookieDir, { recursive: true });
-                console.log('📁 Created cookie directory:', cookieDir);
-            }
             // Extract cookies from Set-Cookie header
             const setCookieHeader = response.headers['set-cookie'];
             let allCookies = [];
@@ -478,16 +486,20 @@ class LPUAutomatedLogin {
             
             this.sessionCookies = combinedCookies.join('; ');
             
-            // Save cookies to file for reuse
+            if (!CONFIG.cookies.saveSessionCookies) {
+                return;
+            }
+            
+            // Save cookies (encrypted) for reuse
             const cookieData = {
                 timestamp: new Date().toISOString(),
-                username: CONFIG.credentials.username,
+                username: this.credentials.username,
                 cookies: this.sessionCookies,
                 cookieArray: combinedCookies,
                 loginSuccess: true
             };
             
-            await fs.writeFile(CONFIG.cookies.cookieFile, JSON.stringify(cookieData, null, 2), 'utf8');
+            await this.vault.setSecret('session', JSON.stringify(cookieData));
             
             console.log('✅ Cookies saved');
             
@@ -515,6 +527,9 @@ class LPUAutomatedLogin {
             );
             const result = await this.submitLoginForm(convertedCaptcha);
             
+            // Feed the solver's success rate
+            await this.captchaChain.reportResult(this.captchaSolver, result.success);
+            
             console.log('\n' + (result.success ? '✅ LOGIN SUCCESSFUL' : '❌ LOGIN FAILED'));
             
             return result;
@@ -0,0 +1,183 @@
+const fs = require('fs').promises;
+const cheerio = require('cheerio');
+
+const ACADEMIC_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // The calendar is published once a term
+const NO_CLASS_TYPES = ['holiday', 'exams'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PATTERN = /(\d{1,2})[-/. ]([A-Za-z]{3,9}|\d{1,2})[-/. ,]+(\d{4})/g;
+
+// Checked in order: "End Term Examinations" is exams, "Last day of teaching" is the term end
+const EVENT_TYPES = [
+    { type: 'termStart', pattern: /commencement|(classes|teaching|term|semester) (begin|start|commence)|start of (classes|teaching|term|semester)/i },
+    { type: 'termEnd', pattern: /last (working |teaching )?day|end of (classes|teaching|term|semester)|(term|semester|teaching) ends/i },
+    { type: 'exams', pattern: /exam|mid[\s-]?term|end[\s-]?term|\bMTE\b|\bETE\b/i },
+    { type: 'holiday', pattern: /holiday|vacation|break|closed|festival/i }
+];
+
+// "20-10-2025", "20/10/2025", "20 Oct 2025" or "2025-10-20" -> "2025-10-20"
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const match = new RegExp(DATE_PATTERN.source).exec(text);
+    if (!match) return null;
+
+    const month = /^\d+$/.test(match[2]) ? parseInt(match[2]) : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+    if (month < 1 || month > 12) return null;
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function normalizeEvent(event) {
+    const start = normalizeDate(event.start || event.date);
+    if (!start) return null;
+
+    const end = normalizeDate(event.end) || start;
+    return {
+        type: String(event.type || 'event'),
+        name: String(event.name || event.type || 'Event').trim(),
+        start,
+        end: end < start ? start : end
+    };
+}
+
+/**
+ * Holidays, exam weeks and term dates, so the app knows which days have no
+ * classes. Scraped from the UMS academic calendar with the same session
+ * TimetableManager uses and cached per term; a JSON file
+ * (ACADEMIC_CALENDAR_FILE: { start, end, events: [{ type, name, start, end }] })
+ * adds events and overrides the term dates.
+ */
+class AcademicCalendar {
+    constructor(timetableManager) {
+        this.timetableManager = timetableManager;
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    static parseCalendarFile(content) {
+        const parsed = JSON.parse(content);
+        return {
+            start: normalizeDate(parsed.start),
+            end: normalizeDate(parsed.end),
+            events: (Array.isArray(parsed.events) ? parsed.events : []).map(normalizeEvent).filter(Boolean)
+        };
+    }
+
+    static async loadCalendarFile() {
+        const file = process.env.ACADEMIC_CALENDAR_FILE;
+        if (!file) return null;
+
+        try {
+            return AcademicCalendar.parseCalendarFile(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Error loading academic calendar ${file}:`, error.message);
+            return null;
+        }
+    }
+
+    static classifyEvent(name) {
+        const match = EVENT_TYPES.find(({ pattern }) => pattern.test(name));
+        return match ? match.type : 'event';
+    }
+
+    // Any table row with a date and some text is an entry; a second date is its end
+    parseAcademicCalendar(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const calendar = { start: null, end: null, events: [] };
+
+        $('tr').each((rowIndex, row) => {
+            const cells = $(row).children('td').map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+            const dates = cells.join(' ').match(DATE_PATTERN) || [];
+            const name = cells.find(text => /[A-Za-z]{3,}/.test(text.replace(DATE_PATTERN, '')));
+            if (dates.length === 0 || !name) return;
+
+            const type = AcademicCalendar.classifyEvent(name);
+            const event = normalizeEvent({ type, name, start: dates[0], end: dates[1] });
+            if (!event) return;
+
+            if (type === 'termStart') {
+                calendar.start = event.start;
+            } else if (type === 'termEnd') {
+                calendar.end = event.end;
+            } else {
+                calendar.events.push(event);
+            }
+        });
+
+        return calendar;
+    }
+
+    async fetchAcademicCalendar() {
+        await this.timetableManager.ensureSession();
+
+        console.log('🗓️ Fetching academic calendar from UMS...');
+
+        const html = await this.timetableManager.fetchPage(this.timetableManager.endpoints.get('academicCalendarPage'));
+        const calendar = this.parseAcademicCalendar(html);
+        console.log(`✅ Found ${calendar.events.length} academic calendar events`);
+
+        return calendar;
+    }
+
+    // Scrape UMS (at most once a week per term); a failed scrape keeps the cached calendar
+    async refresh(cacheManager, forceRefresh = false) {
+        const cached = await cacheManager.loadAcademicCache();
+        if (!forceRefresh && cached && Date.now() - cached.lastUpdate < ACADEMIC_CACHE_TTL_MS) {
+            return await this.load(cacheManager);
+        }
+
+        try {
+            const calendar = await this.fetchAcademicCalendar();
+            if (calendar.events.length > 0 || calendar.start || calendar.end) {
+                await cacheManager.saveAcademicCache(calendar);
+            }
+        } catch (error) {
+            // The calendar only hides classes - never fail a refresh over it
+            console.error('❌ Error fetching academic calendar:', error.message);
+        }
+
+        return await this.load(cacheManager);
+    }
+
+    // Scraped calendar with the file's events and term dates on top
+    async load(cacheManager) {
+        const scraped = cacheManager ? await cacheManager.loadAcademicCache() : null;
+        const file = await AcademicCalendar.loadCalendarFile();
+
+        const events = new Map();
+        for (const event of [...(scraped ? scraped.events : []), ...(file ? file.events : [])]) {
+            events.set(`${event.start}|${event.name}`, event);
+        }
+
+        const calendar = {
+            start: (file && file.start) || (scraped && scraped.start) || null,
+            end: (file && file.end) || (scraped && scraped.end) || null,
+            events: [...events.values()].sort((a, b) => a.start.localeCompare(b.start)),
+            updatedAt: scraped ? new Date(scraped.lastUpdate).toISOString() : null
+        };
+
+        if (this.verbose) console.log(`🗓️ Academic calendar loaded (${calendar.events.length} events)`);
+        return calendar;
+    }
+
+    /**
+     * Why a date has no classes, or null on a normal teaching day.
+     * @param {Object} calendar - from load()
+     * @param {string} dateKey - "YYYY-MM-DD" (IST)
+     * @returns {Object|null} { type: 'holiday'|'exams'|'beforeTerm'|'afterTerm', name }
+     */
+    static getDayStatus(calendar, dateKey) {
+        if (!calendar) return null;
+
+        const event = calendar.events.find(e => NO_CLASS_TYPES.includes(e.type) && e.start <= dateKey && dateKey <= e.end);
+        if (event) return { type: event.type, name: event.name };
+
+        if (calendar.start && dateKey < calendar.start) return { type: 'beforeTerm', name: 'Term has not started' };
+        if (calendar.end && dateKey > calendar.end) return { type: 'afterTerm', name: 'Term is over' };
+        return null;
+    }
+}
+
+AcademicCalendar.NO_CLASS_TYPES = NO_CLASS_TYPES;
+AcademicCalendar.normalizeDate = normalizeDate;
+
+module.exports = AcademicCalendar;
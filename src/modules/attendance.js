@@ -0,0 +1,148 @@
+const cheerio = require('cheerio');
+
+const ATTENDANCE_CACHE_TTL_MS = 3 * 60 * 60 * 1000; // UMS marks attendance a few times a day at most
+const DEFAULT_THRESHOLD = 75; // LPU's minimum attendance, in percent
+const COURSE_CODE_PATTERN = /^([A-Z]{3}[A-Z0-9]{2,5})\b\s*[:\-]?\s*(.*)$/;
+
+function toNumber(text) {
+    const match = String(text || '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+function roundPercentage(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Per-course attendance from the UMS attendance summary page, scraped with
+ * the same session TimetableManager uses. Cached per term next to the
+ * timetable and refreshed at most every few hours.
+ */
+class AttendanceManager {
+    constructor(timetableManager) {
+        this.timetableManager = timetableManager;
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    // Minimum attendance in percent (ATTENDANCE_THRESHOLD, default 75)
+    static getThreshold() {
+        const threshold = parseFloat(process.env.ATTENDANCE_THRESHOLD);
+        return threshold > 0 && threshold <= 100 ? threshold : DEFAULT_THRESHOLD;
+    }
+
+    /**
+     * How many classes can be missed while staying at the threshold, or how
+     * many must be attended in a row to get back to it.
+     * @returns {Object} { canSkip, mustAttend } - mustAttend is null when unreachable
+     */
+    static calculateSkips(attended, delivered, threshold = AttendanceManager.getThreshold()) {
+        const ratio = threshold / 100;
+
+        // attended / (delivered + skip) >= ratio
+        const canSkip = Math.max(0, Math.floor(attended / ratio - delivered + 1e-9));
+
+        // (attended + n) / (delivered + n) >= ratio
+        let mustAttend = 0;
+        if (attended < ratio * delivered) {
+            mustAttend = ratio < 1 ? Math.ceil((ratio * delivered - attended) / (1 - ratio) - 1e-9) : null;
+        }
+
+        return { canSkip, mustAttend };
+    }
+
+    // Attendance rows are recognised by their header: delivered, attended and percentage columns
+    parseAttendance(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const courses = new Map();
+
+        $('table').each((tableIndex, table) => {
+            let columns = null;
+
+            $(table).find('tr').each((rowIndex, row) => {
+                const cells = $(row).children('th, td').map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+
+                if (!columns) {
+                    const delivered = cells.findIndex(text => /deliver/i.test(text));
+                    const attended = cells.findIndex(text => /attend/i.test(text) && !/deliver|last/i.test(text));
+                    if (delivered >= 0 && attended >= 0) {
+                        columns = {
+                            delivered,
+                            attended,
+                            percentage: cells.findIndex(text => /%|percent/i.test(text)),
+                            course: cells.findIndex(text => /course|subject/i.test(text))
+                        };
+                    }
+                    return;
+                }
+
+                const courseCell = columns.course >= 0 ? cells[columns.course] : cells.find(text => COURSE_CODE_PATTERN.test(text));
+                const match = String(courseCell || '').match(COURSE_CODE_PATTERN);
+                const delivered = toNumber(cells[columns.delivered]);
+                const attended = toNumber(cells[columns.attended]);
+                if (!match || delivered === null || attended === null) return;
+
+                const reported = columns.percentage >= 0 ? toNumber(cells[columns.percentage]) : null;
+                courses.set(match[1], {
+                    CourseCode: match[1],
+                    CourseName: match[2].trim() || null,
+                    delivered,
+                    attended,
+                    percentage: reported !== null ? reported : delivered > 0 ? roundPercentage(attended / delivered * 100) : 100
+                });
+            });
+        });
+
+        return [...courses.values()];
+    }
+
+    async fetchAttendance() {
+        await this.timetableManager.ensureSession();
+
+        console.log('📊 Fetching attendance from UMS...');
+
+        const html = await this.timetableManager.fetchPage(this.timetableManager.endpoints.get('attendancePage'));
+        const courses = this.parseAttendance(html);
+        console.log(`✅ Found attendance for ${courses.length} courses`);
+
+        return courses;
+    }
+
+    // Scrape UMS when the cache is stale; a failed scrape keeps the cached numbers
+    async refresh(cacheManager, forceRefresh = false) {
+        const cached = await cacheManager.loadAttendanceCache();
+        if (!forceRefresh && cached && Date.now() - cached.lastUpdate < ATTENDANCE_CACHE_TTL_MS) {
+            return cached;
+        }
+
+        try {
+            const courses = await this.fetchAttendance();
+            if (courses.length > 0) {
+                await cacheManager.saveAttendanceCache(courses);
+            }
+        } catch (error) {
+            console.error('❌ Error fetching attendance:', error.message);
+        }
+
+        return await cacheManager.loadAttendanceCache();
+    }
+
+    // Cached attendance plus the skip calculator for each course
+    summarize(attendanceData, threshold = AttendanceManager.getThreshold()) {
+        const courses = (attendanceData ? attendanceData.courses : []).map(course => ({
+            ...course,
+            CourseName: course.CourseName || this.timetableManager.getCourseName(course.CourseCode),
+            ...AttendanceManager.calculateSkips(course.attended, course.delivered, threshold)
+        }));
+
+        if (this.verbose) console.log(`📊 Attendance summary for ${courses.length} courses`);
+        return {
+            threshold,
+            updatedAt: attendanceData ? new Date(attendanceData.lastUpdate).toISOString() : null,
+            courses
+        };
+    }
+}
+
+AttendanceManager.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+module.exports = AttendanceManager;
@@ -1,31 +1,52 @@
 const fs = require('fs').promises;
 const path = require('path');
+const CredentialVault = require('./vault.js');
 
 class AuthManager {
-    constructor() {
+    constructor(options = {}) {
         this.sessionCookies = null;
+        this.userId = options.userId || null;
+        
+        // Per-user credentials, falling back to the single .env account
+        this.credentials = options.username
+            ? { username: options.username, password: options.password || '' }
+            : { username: process.env.UMS_USERNAME || '', password: process.env.UMS_PASSWORD || '' };
         
         // Use /tmp directory for Vercel serverless, local path for development
         const isVercel = process.env.VERCEL === '1';
         const baseDir = isVercel ? '/tmp' : './src/data';
-        this.SESSION_FILE = path.join(baseDir, 'session_cookies.json');
+        const dataDir = this.userId ? path.join(baseDir, 'users', this.userId) : baseDir;
+        
+        // Cookies are stored encrypted in the vault; the old plaintext files are migrated on load.
+        // The .env account (ownsLegacyData) also owns the one from before per-user storage.
+        this.vault = new CredentialVault({ userId: this.userId });
+        this.LEGACY_SESSION_FILE = path.join(dataDir, 'session_cookies.json');
+        this.LEGACY_SESSION_FILES = options.ownsLegacyData && dataDir !== baseDir
+            ? [this.LEGACY_SESSION_FILE, path.join(baseDir, 'session_cookies.json')]
+            : [this.LEGACY_SESSION_FILE];
         
         // In-memory session for Vercel
         this.memorySession = null;
+        
+        // Optional CaptchaSolverChain override (tests use a scripted solver)
+        this.captchaChain = options.captchaChain || null;
+        
+        // UMS URL registry shared with this user's TimetableManager and scrapers
+        this.endpoints = options.endpoints || null;
     }
 
     async saveSessionData() {
         try {
-            // Read existing session_cookies.json to preserve login data
+            // Read the existing vault session to preserve login data
             let sessionData;
             try {
-                const existingContent = await fs.readFile(this.SESSION_FILE, 'utf8');
-                sessionData = JSON.parse(existingContent);
+                sessionData = JSON.parse(await this.vault.getSecret('session'));
+                if (!sessionData) throw new Error('No stored session');
             } catch (error) {
-                // File doesn't exist or is invalid, create new structure
+                // Nothing stored or invalid, create new structure
                 sessionData = {
                     timestamp: new Date().toISOString(),
-                    username: process.env.UMS_USERNAME || '',
+                    username: this.credentials.username,
                     cookies: '',
                     cookieArray: [],
                     loginSuccess: false
@@ -41,13 +62,9 @@ class AuthManager {
             // Save to memory for Vercel
             this.memorySession = sessionData;
             
-            // Try to save to file
-            try {
-                await fs.writeFile(this.SESSION_FILE, JSON.stringify(sessionData, null, 2));
-                console.log('💾 Session saved');
-            } catch (fsError) {
-                console.log('💾 Session saved to memory (file unavailable)');
-            }
+            // Persist encrypted (kept in memory only when VAULT_KEY is not set)
+            await this.vault.setSecret('session', JSON.stringify(sessionData));
+            console.log(CredentialVault.isConfigured() ? '💾 Session saved (encrypted)' : '💾 Session saved to memory (VAULT_KEY not set)');
         } catch (error) {
             console.error('❌ Error saving session data:', error.message);
         }
@@ -73,9 +90,10 @@ class AuthManager {
                 return true;
             }
             
-            // Try file session
-            const sessionContent = await fs.readFile(this.SESSION_FILE, 'utf8');
-            const sessionData = JSON.parse(sessionContent);
+            // Try the encrypted vault session
+            await this.migrateLegacySession();
+            const sessionContent = await this.vault.getSecret('session');
+            const sessionData = sessionContent ? JSON.parse(sessionContent) : null;
             
             if (sessionData && sessionData.cookies && sessionData.loginSuccess) {
                 const sessionTime = new Date(sessionData.timestamp);
@@ -104,20 +122,59 @@ class AuthManager {
         }
     }
 
+    // Sessions saved before the vault existed sit in plaintext; move them in and delete
+    // the files, but only once the vault file really holds a session
+    async migrateLegacySession() {
+        for (const file of this.LEGACY_SESSION_FILES) {
+            await this.migrateLegacySessionFile(file);
+        }
+    }
+
+    async migrateLegacySessionFile(file) {
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            return; // Nothing to migrate
+        }
+
+        if (!CredentialVault.isConfigured()) {
+            console.error(`⚠️ ${file} holds plaintext session cookies; set VAULT_KEY to move them into the vault`);
+            return;
+        }
+
+        try {
+            JSON.parse(content); // Only carry over a readable session
+        } catch (error) {
+            console.error(`⚠️ Leaving unreadable legacy session file ${file} in place:`, error.message);
+            return;
+        }
+
+        if (!await this.vault.getSecret('session')) {
+            await this.vault.setSecret('session', content);
+        }
+        // setSecret only logs a failed write, so read the vault file back before deleting anything
+        if (!await this.vault.getSecret('session')) {
+            console.error(`⚠️ Could not write the vault; keeping ${file}`);
+            return;
+        }
+
+        await fs.unlink(file).catch(() => {});
+        console.log('🔑 Moved legacy session cookies into the vault');
+    }
+
     async clearSessionData() {
         this.sessionCookies = null;
         this.memorySession = null;
         
-        // Also delete the session file to prevent reloading expired session
-        try {
-            await fs.unlink(this.SESSION_FILE);
-            console.log('🗑️ Session cleared and file deleted');
-        } catch (error) {
-            console.log('🗑️ Session cleared');
-        }
+        // Also drop the stored session to prevent reloading an expired one
+        await this.vault.deleteSecret('session');
+        
+        const deleted = await Promise.all(this.LEGACY_SESSION_FILES.map(file => fs.unlink(file).then(() => true, () => false)));
+        console.log(deleted.includes(true) ? '🗑️ Session cleared and file deleted' : '🗑️ Session cleared');
     }
 
-    async authenticateWithUMS(forceRefresh = false) {
+    async authenticateWithUMS(forceRefresh = false, options = {}) {
         try {
             // Try to load existing session first (unless force refresh)
             if (!forceRefresh && this.sessionCookies) {
@@ -129,7 +186,14 @@ class AuthManager {
             
             // Import and use the login automation
             const { LPUAutomatedLogin } = require('../login.js');
-            const automation = new LPUAutomatedLogin();
+            const automation = new LPUAutomatedLogin({
+                username: this.credentials.username,
+                password: this.credentials.password,
+                vault: this.vault,
+                captchaChain: this.captchaChain || undefined,
+                captchaContext: options.captchaContext,
+                endpoints: this.endpoints || undefined
+            });
             
             const result = await automation.runAutomation();
             
@@ -0,0 +1,147 @@
+const fs = require('fs');
+
+const WALKING_METERS_PER_MINUTE = 75;
+const ROUTE_FACTOR = 1.3; // paths between blocks are longer than the straight line
+
+// Built-in blocks, used until BUILDINGS_FILE says otherwise. None ship yet:
+// without surveyed positions, lookup() names a block after its number, map
+// links search by name and getWalk() has no estimate.
+const DEFAULT_BUILDINGS = [];
+
+function normalizeBuilding(number, entry) {
+    const key = String(number || '').trim();
+    if (!key || !entry) return null;
+
+    const lat = parseFloat(entry.lat);
+    const lng = parseFloat(entry.lng);
+    const hasPosition = Number.isFinite(lat) && Number.isFinite(lng);
+
+    return {
+        number: key,
+        name: String(entry.name || `Block ${key}`).trim(),
+        lat: hasPosition ? lat : null,
+        lng: hasPosition ? lng : null
+    };
+}
+
+let cachedDirectory = null;
+
+/**
+ * LPU block number -> name and position, plus the floor a room is on.
+ * Sources, lowest to highest priority: built-in blocks, then a JSON file
+ * (BUILDINGS_FILE) holding [{ number, name, lat, lng }] or
+ * { "34": { name, lat, lng } }. Lookups are synchronous so
+ * TimetableManager.processClassItem can attach them to every class.
+ */
+class BuildingDirectory {
+    static parseDirectory(content) {
+        const parsed = JSON.parse(content);
+        const entries = Array.isArray(parsed)
+            ? parsed.map(item => normalizeBuilding(item.number || item.building, item))
+            : Object.entries(parsed).map(([number, entry]) => normalizeBuilding(number, entry));
+        return entries.filter(Boolean);
+    }
+
+    static loadDirectoryFile() {
+        const file = process.env.BUILDINGS_FILE;
+        if (!file) return [];
+
+        try {
+            return BuildingDirectory.parseDirectory(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Error loading building directory ${file}:`, error.message);
+            return [];
+        }
+    }
+
+    // Read once per process; the file is deployment config, not user data
+    static getDirectory() {
+        if (!cachedDirectory) {
+            cachedDirectory = new Map();
+            for (const source of [DEFAULT_BUILDINGS, BuildingDirectory.loadDirectoryFile()]) {
+                for (const entry of source) {
+                    const building = normalizeBuilding(entry.number, entry);
+                    cachedDirectory.set(building.number, building);
+                }
+            }
+        }
+        return cachedDirectory;
+    }
+
+    static reset() {
+        cachedDirectory = null;
+    }
+
+    // "602D" -> 6, "1004" -> 10, "34" or "G12" -> 0 (ground)
+    static getFloor(roomNumber) {
+        const digits = String(roomNumber || '').match(/^(\d+)/);
+        if (!digits) return /^g/i.test(String(roomNumber || '')) ? 0 : null;
+
+        return digits[1].length >= 3 ? parseInt(digits[1].slice(0, -2)) : 0;
+    }
+
+    static getFloorLabel(floor) {
+        if (floor === null) return null;
+        if (floor === 0) return 'Ground floor';
+
+        const suffix = floor % 100 >= 11 && floor % 100 <= 13
+            ? 'th'
+            : ({ 1: 'st', 2: 'nd', 3: 'rd' }[floor % 10] || 'th');
+        return `${floor}${suffix} floor`;
+    }
+
+    static getMapsUrl(building) {
+        return building.lat !== null
+            ? `https://www.google.com/maps/dir/?api=1&destination=${building.lat},${building.lng}&travelmode=walking`
+            : `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(`${building.name} Lovely Professional University`)}`;
+    }
+
+    /**
+     * Where a class is: building name, floor and a map link.
+     * @returns {Object|null} null for online ("Assignment") or unparsed rooms
+     */
+    static lookup(buildingNumber, roomNumber) {
+        const key = String(buildingNumber || '').trim();
+        if (!key || !/^\d+$/.test(key)) return null;
+
+        const building = BuildingDirectory.getDirectory().get(key) || normalizeBuilding(key, {});
+        const floor = BuildingDirectory.getFloor(roomNumber);
+
+        return {
+            ...building,
+            floor,
+            floorLabel: BuildingDirectory.getFloorLabel(floor),
+            mapsUrl: BuildingDirectory.getMapsUrl(building)
+        };
+    }
+
+    // Great-circle distance in meters
+    static distanceMeters(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.lat - from.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Walking estimate between two buildings (numbers or lookup() results).
+     * @returns {Object|null} { meters, minutes }, null when a position is unknown
+     */
+    static getWalk(from, to) {
+        const a = typeof from === 'object' && from ? from : BuildingDirectory.lookup(from);
+        const b = typeof to === 'object' && to ? to : BuildingDirectory.lookup(to);
+
+        if (!a || !b) return null;
+        if (a.number === b.number) return { meters: 0, minutes: 0 };
+        if (a.lat === null || b.lat === null) return null;
+
+        const meters = Math.round(BuildingDirectory.distanceMeters(a, b) * ROUTE_FACTOR / 10) * 10;
+        return { meters, minutes: Math.max(1, Math.round(meters / WALKING_METERS_PER_MINUTE)) };
+    }
+}
+
+BuildingDirectory.DEFAULT_BUILDINGS = DEFAULT_BUILDINGS;
+
+module.exports = BuildingDirectory;
@@ -1,14 +1,34 @@
 const fs = require('fs').promises;
 const path = require('path');
+const ClassDates = require('./classdates.js');
+const ClassTimes = require('./classtimes.js');
+
+// Before per-user storage the app always fetched this term for the single .env account
+const LEGACY_TERM_ID = '25261';
 
 class CacheManager {
-    constructor() {
+    constructor(options = {}) {
         // Use /tmp directory for Vercel serverless, local path for development
         const isVercel = process.env.VERCEL === '1';
         const baseDir = isVercel ? '/tmp' : './src/data';
+        this.baseDir = baseDir;
+        
+        // Each logged-in user gets their own cache directory, split per academic term
+        this.userId = options.userId || null;
+        this.termId = options.termId || null;
+        this.rootDir = this.userId ? path.join(baseDir, 'users', this.userId) : baseDir;
+        this.dataDir = this.termId ? path.join(this.rootDir, 'terms', this.termId) : this.rootDir;
+        this.termCaches = new Map();
         
-        this.CACHE_FILE = path.join(baseDir, 'timetable_cache.json');
-        this.PREVIOUS_TIMETABLE_FILE = path.join(baseDir, 'previous_timetable.json');
+        this.TERMS_FILE = path.join(this.rootDir, 'terms.json');
+        this.CACHE_FILE = path.join(this.dataDir, 'timetable_cache.json');
+        this.PREVIOUS_TIMETABLE_FILE = path.join(this.dataDir, 'previous_timetable.json');
+        this.COURSES_FILE = path.join(this.dataDir, 'courses.json');
+        this.ATTENDANCE_FILE = path.join(this.dataDir, 'attendance.json');
+        this.ACADEMIC_FILE = path.join(this.dataDir, 'academic_calendar.json');
+        this.EXAMS_FILE = path.join(this.dataDir, 'exams.json');
+        this.PARSE_REPORT_FILE = path.join(this.dataDir, 'parse_report.json');
+        this.HISTORY_FILE = path.join(this.dataDir, 'change_history.jsonl');
         this.lastCacheUpdate = null;
         this.lastTimetableData = null;
         this.verbose = process.env.VERBOSE_LOGS === 'true';
@@ -17,10 +37,203 @@ class CacheManager {
         this.memoryCache = null;
     }
 
+    forTerm(termId) {
+        if (!termId || termId === this.termId) {
+            return this;
+        }
+        
+        if (!this.termCaches.has(termId)) {
+            this.termCaches.set(termId, new CacheManager({ userId: this.userId, termId }));
+        }
+        return this.termCaches.get(termId);
+    }
+
+    /**
+     * Move the .env account's cache from before per-user storage (timetable and
+     * change baseline, straight under the data directory) into its term directory.
+     * Runs once: the legacy files are gone afterwards, and newer data is never overwritten.
+     */
+    async migrateLegacyCache() {
+        const target = this.forTerm(LEGACY_TERM_ID);
+        const files = [
+            [path.join(this.baseDir, 'timetable_cache.json'), target.CACHE_FILE],
+            [path.join(this.baseDir, 'previous_timetable.json'), target.PREVIOUS_TIMETABLE_FILE]
+        ];
+
+        for (const [legacyFile, file] of files) {
+            if (legacyFile === file) continue;
+            try {
+                await fs.access(legacyFile);
+            } catch (error) {
+                continue; // Nothing to migrate
+            }
+
+            try {
+                await fs.access(file);
+                continue; // Already has its own data
+            } catch (error) {
+                // Free to move in
+            }
+
+            try {
+                await fs.mkdir(target.dataDir, { recursive: true });
+                await fs.copyFile(legacyFile, file);
+                await fs.unlink(legacyFile);
+                console.log(`📦 Moved ${path.basename(legacyFile)} into ${target.dataDir}`);
+            } catch (error) {
+                console.error(`❌ Error migrating ${legacyFile}:`, error.message);
+            }
+        }
+    }
+
+    async saveTermsCache(terms) {
+        try {
+            await fs.mkdir(this.rootDir, { recursive: true });
+            await fs.writeFile(this.TERMS_FILE, JSON.stringify({
+                terms,
+                lastUpdate: Date.now()
+            }, null, 2));
+            if (this.verbose) console.log(`💾 Cached ${terms.length} terms`);
+        } catch (error) {
+            console.error('❌ Error saving terms:', error.message);
+        }
+    }
+
+    async loadTermsCache() {
+        try {
+            const termsData = JSON.parse(await fs.readFile(this.TERMS_FILE, 'utf8'));
+            return termsData && Array.isArray(termsData.terms) ? termsData : null;
+        } catch (error) {
+            if (this.verbose) console.log('📂 No cached terms found');
+            return null;
+        }
+    }
+
+    async saveCourseCache(courses) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this.COURSES_FILE, JSON.stringify({
+                courses,
+                lastUpdate: Date.now()
+            }, null, 2));
+            if (this.verbose) console.log(`💾 Cached ${courses.length} course names`);
+        } catch (error) {
+            console.error('❌ Error saving course names:', error.message);
+        }
+    }
+
+    async loadCourseCache() {
+        try {
+            const courseData = JSON.parse(await fs.readFile(this.COURSES_FILE, 'utf8'));
+            return courseData && Array.isArray(courseData.courses) ? courseData : null;
+        } catch (error) {
+            if (this.verbose) console.log('📂 No cached course names found');
+            return null;
+        }
+    }
+
+    async saveAttendanceCache(courses) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this.ATTENDANCE_FILE, JSON.stringify({
+                courses,
+                lastUpdate: Date.now()
+            }, null, 2));
+            if (this.verbose) console.log(`💾 Cached attendance for ${courses.length} courses`);
+        } catch (error) {
+            console.error('❌ Error saving attendance:', error.message);
+        }
+    }
+
+    async loadAttendanceCache() {
+        try {
+            const attendanceData = JSON.parse(await fs.readFile(this.ATTENDANCE_FILE, 'utf8'));
+            return attendanceData && Array.isArray(attendanceData.courses) ? attendanceData : null;
+        } catch (error) {
+            if (this.verbose) console.log('📂 No cached attendance found');
+            return null;
+        }
+    }
+
+    // One-off classes drop out of the cache the day after they happen
+    static withoutExpired(cacheData) {
+        const data = ClassDates.removeExpired(cacheData.data);
+        return data.length === cacheData.data.length ? cacheData : { ...cacheData, data, classCount: data.length };
+    }
+
+    async saveAcademicCache(calendar) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this.ACADEMIC_FILE, JSON.stringify({
+                ...calendar,
+                lastUpdate: Date.now()
+            }, null, 2));
+            if (this.verbose) console.log(`💾 Cached ${calendar.events.length} academic calendar events`);
+        } catch (error) {
+            console.error('❌ Error saving academic calendar:', error.message);
+        }
+    }
+
+    async loadAcademicCache() {
+        try {
+            const academicData = JSON.parse(await fs.readFile(this.ACADEMIC_FILE, 'utf8'));
+            return academicData && Array.isArray(academicData.events) ? academicData : null;
+        } catch (error) {
+            if (this.verbose) console.log('📂 No cached academic calendar found');
+            return null;
+        }
+    }
+
+    async saveExamCache(exams) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this.EXAMS_FILE, JSON.stringify({
+                exams,
+                lastUpdate: Date.now()
+            }, null, 2));
+            if (this.verbose) console.log(`💾 Cached ${exams.length} exams`);
+        } catch (error) {
+            console.error('❌ Error saving exam schedule:', error.message);
+        }
+    }
+
+    async loadExamCache() {
+        try {
+            const examData = JSON.parse(await fs.readFile(this.EXAMS_FILE, 'utf8'));
+            return examData && Array.isArray(examData.exams) ? examData : null;
+        } catch (error) {
+            if (this.verbose) console.log('📂 No cached exam schedule found');
+            return null;
+        }
+    }
+
+    async saveParseReport(report) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this.PARSE_REPORT_FILE, JSON.stringify({
+                ...report,
+                lastUpdate: Date.now()
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving parse report:', error.message);
+        }
+    }
+
+    async loadParseReport() {
+        try {
+            return JSON.parse(await fs.readFile(this.PARSE_REPORT_FILE, 'utf8'));
+        } catch (error) {
+            if (this.verbose) console.log('📂 No timetable parse report found');
+            return null;
+        }
+    }
+
     async saveTimetableCache(data, sessionCookies, isManualRefresh = false) {
         try {
+            data = ClassDates.removeExpired(data);
             const cacheData = {
                 data: data,
+                termId: this.termId,
                 timestamp: new Date().toISOString(),
                 lastUpdate: Date.now(),
                 classCount: data.length,
@@ -32,6 +245,7 @@ class CacheManager {
             
             // Try to save to file system (works in /tmp on Vercel)
             try {
+                await fs.mkdir(this.dataDir, { recursive: true });
                 await fs.writeFile(this.CACHE_FILE, JSON.stringify(cacheData, null, 2));
                 this.lastCacheUpdate = Date.now();
             } catch (fsError) {
@@ -54,7 +268,7 @@ class CacheManager {
                 
                 if (this.verbose) console.log(`📂 Memory cache loaded (${minutesSinceUpdate}m old, ${this.memoryCache.classCount} classes)`);
                 
-                return this.memoryCache;
+                return CacheManager.withoutExpired(this.memoryCache);
             }
             
             // Try file cache
@@ -69,7 +283,7 @@ class CacheManager {
                 
                 if (this.verbose) console.log(`📂 Cache loaded (${minutesSinceUpdate}m old, ${cacheData.classCount || cacheData.data.length} classes)`);
                 
-                return cacheData; // Return full cache object with timestamp
+                return CacheManager.withoutExpired(cacheData); // Return full cache object with timestamp
             }
             
             return null;
@@ -87,6 +301,7 @@ class CacheManager {
                 timestamp: Date.now(),
                 lastUpdate: Date.now()
             };
+            await fs.mkdir(this.dataDir, { recursive: true });
             await fs.writeFile(this.PREVIOUS_TIMETABLE_FILE, JSON.stringify(previousData, null, 2));
             if (this.verbose) console.log('💾 Previous timetable data saved');
         } catch (error) {
@@ -114,6 +329,52 @@ class CacheManager {
         }
     }
 
+    // Identity of a class slot across refreshes - changes to anything else
+    // (room, group, section) count as a modification of the same class.
+    // Times are the canonical minutes; AttendanceTime is only a label.
+    static getClassKey(cls) {
+        const range = ClassTimes.getRange(cls);
+        return `${cls.CourseCode}-${cls.Day}-${range ? `${range.start}-${range.end}` : cls.AttendanceTime}`;
+    }
+
+    // Same course, section and group - the same class even if its slot changed
+    static getMoveKey(cls) {
+        return `${cls.CourseCode}-${cls.Section || ''}-${cls.Group || ''}`;
+    }
+
+    // "Mon 9-10 AM"; date-specific classes keep their date
+    static formatSlot(cls) {
+        const day = /^\d{2}-\d{2}-\d{4}$/.test(cls.Day || '') ? cls.Day : String(cls.Day || '').slice(0, 3);
+        return `${day} ${cls.AttendanceTime}`;
+    }
+
+    static compareClassDetails(oldClass, newClass) {
+        const fields = ['Type', 'CourseName', 'Room', 'Building', 'Group', 'Section'];
+        return fields
+            .filter(field => (oldClass[field] || null) !== (newClass[field] || null))
+            .map(field => `${field === 'CourseName' ? 'Name' : field}: ${oldClass[field]} → ${newClass[field]}`);
+    }
+
+    // Pair each removed class with an added one of the same course/section/group,
+    // preferring the same type, then the same day, so multi-slot courses pair sensibly
+    static pairMovedClasses(removed, added) {
+        const moves = [];
+        const unmatched = new Set(added);
+
+        for (const oldClass of removed) {
+            const candidates = [...unmatched].filter(cls => CacheManager.getMoveKey(cls) === CacheManager.getMoveKey(oldClass));
+            if (candidates.length === 0) continue;
+
+            const score = cls => (cls.Type === oldClass.Type ? 2 : 0) + (cls.Day === oldClass.Day ? 1 : 0);
+            const newClass = candidates.sort((a, b) => score(b) - score(a))[0];
+
+            unmatched.delete(newClass);
+            moves.push({ oldClass, newClass });
+        }
+
+        return moves;
+    }
+
     detectScheduleChanges(newTimetableData) {
         if (!this.lastTimetableData) {
             // First time loading, no changes to detect
@@ -122,26 +383,50 @@ class CacheManager {
         }
 
         const changes = [];
-        const oldClasses = this.lastTimetableData;
-        const newClasses = newTimetableData;
+        // A one-off class that has happened expired - it wasn't removed. Older
+        // snapshots list long practicals slot by slot, so merge them the same way
+        const oldClasses = ClassTimes.mergePracticals(ClassDates.removeExpired(this.lastTimetableData));
+        const newClasses = ClassDates.removeExpired(newTimetableData);
 
         // Create maps for easier comparison
         const oldClassMap = new Map();
         const newClassMap = new Map();
 
         oldClasses.forEach(cls => {
-            const key = `${cls.CourseCode}-${cls.Day}-${cls.AttendanceTime}`;
-            oldClassMap.set(key, cls);
+            oldClassMap.set(CacheManager.getClassKey(cls), cls);
         });
 
         newClasses.forEach(cls => {
-            const key = `${cls.CourseCode}-${cls.Day}-${cls.AttendanceTime}`;
-            newClassMap.set(key, cls);
+            newClassMap.set(CacheManager.getClassKey(cls), cls);
         });
 
+        // Classes that disappeared from one slot and appeared in another
+        const added = [...newClassMap].filter(([key]) => !oldClassMap.has(key)).map(([, cls]) => cls);
+        const removed = [...oldClassMap].filter(([key]) => !newClassMap.has(key)).map(([, cls]) => cls);
+        const moves = CacheManager.pairMovedClasses(removed, added);
+
+        for (const { oldClass, newClass } of moves) {
+            const differences = [
+                `Time: ${CacheManager.formatSlot(oldClass)} → ${CacheManager.formatSlot(newClass)}`,
+                ...CacheManager.compareClassDetails(oldClass, newClass)
+            ];
+
+            changes.push({
+                type: 'moved',
+                class: newClass,
+                oldClass: oldClass,
+                differences: differences,
+                message: `${newClass.CourseCode} moved from ${CacheManager.formatSlot(oldClass)} to ${CacheManager.formatSlot(newClass)}` +
+                    (differences.length > 1 ? ` (${differences.slice(1).join(', ')})` : '')
+            });
+        }
+
+        const movedOld = new Set(moves.map(move => move.oldClass));
+        const movedNew = new Set(moves.map(move => move.newClass));
+
         // Find added classes
-        for (const [key, newClass] of newClassMap) {
-            if (!oldClassMap.has(key)) {
+        for (const newClass of added) {
+            if (!movedNew.has(newClass)) {
                 changes.push({
                     type: 'added',
                     class: newClass,
@@ -151,8 +436,8 @@ class CacheManager {
         }
 
         // Find removed classes
-        for (const [key, oldClass] of oldClassMap) {
-            if (!newClassMap.has(key)) {
+        for (const oldClass of removed) {
+            if (!movedOld.has(oldClass)) {
                 changes.push({
                     type: 'removed',
                     class: oldClass,
@@ -165,20 +450,7 @@ class CacheManager {
         for (const [key, newClass] of newClassMap) {
             if (oldClassMap.has(key)) {
                 const oldClass = oldClassMap.get(key);
-                const differences = [];
-
-                if (oldClass.Room !== newClass.Room) {
-                    differences.push(`Room: ${oldClass.Room} → ${newClass.Room}`);
-                }
-                if (oldClass.Building !== newClass.Building) {
-                    differences.push(`Building: ${oldClass.Building} → ${newClass.Building}`);
-                }
-                if (oldClass.Group !== newClass.Group) {
-                    differences.push(`Group: ${oldClass.Group} → ${newClass.Group}`);
-                }
-                if (oldClass.Section !== newClass.Section) {
-                    differences.push(`Section: ${oldClass.Section} → ${newClass.Section}`);
-                }
+                const differences = CacheManager.compareClassDetails(oldClass, newClass);
 
                 if (differences.length > 0) {
                     changes.push({
@@ -218,17 +490,84 @@ class CacheManager {
             return { hasChanges: false, changes: [] };
         }
         
-        // Use the existing change detection logic
+        // Use the existing change detection logic against the loaded snapshot
+        this.lastTimetableData = previousData;
         const changeDetection = this.detectScheduleChanges(newTimetableData);
         
         // Save the new data as previous for next time
         if (changeDetection.hasChanges) {
             await this.savePreviousTimetableData(newTimetableData);
+            await this.appendChangeHistory(changeDetection.changes);
         }
         
         return changeDetection;
     }
 
+    // ==================== CHANGE HISTORY ====================
+
+    // One JSON line per refresh that changed something; never rewritten
+    async appendChangeHistory(changes) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            termId: this.termId,
+            summary: {
+                added: changes.filter(c => c.type === 'added').length,
+                removed: changes.filter(c => c.type === 'removed').length,
+                modified: changes.filter(c => c.type === 'modified').length,
+                moved: changes.filter(c => c.type === 'moved').length
+            },
+            changes
+        };
+
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.appendFile(this.HISTORY_FILE, JSON.stringify(entry) + '\n');
+            if (this.verbose) console.log(`📜 Logged ${changes.length} changes to history`);
+        } catch (error) {
+            console.error('❌ Error saving change history:', error.message);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Change history, newest first.
+     * @param {Object} filters - { from, to } as Dates, { type } to keep only
+     *   added/removed/modified/moved changes, { limit } on the number of entries
+     */
+    async loadChangeHistory(filters = {}) {
+        let content;
+        try {
+            content = await fs.readFile(this.HISTORY_FILE, 'utf8');
+        } catch (error) {
+            if (this.verbose) console.log('📂 No change history found');
+            return [];
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Skip a line truncated by an interrupted write
+            }
+        }
+
+        const { from, to, type, limit } = filters;
+        const filtered = entries
+            .filter(entry => {
+                const time = new Date(entry.timestamp).getTime();
+                return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+            })
+            .map(entry => type ? { ...entry, changes: entry.changes.filter(c => c.type === type) } : entry)
+            .filter(entry => entry.changes.length > 0)
+            .reverse();
+
+        return limit ? filtered.slice(0, limit) : filtered;
+    }
+
 
     getCacheTimestamp() {
         return this.lastCacheUpdate ? new Date(this.lastCacheUpdate).toISOString() : null;
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const CacheManager = require('./cache.js');
+
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000; // IST has no daylight saving
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Asia/Kolkata has been a fixed +05:30 since 1945
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// RFC 5545 text escaping
+function escapeText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds an iCalendar (RFC 5545) feed from processed timetable items.
+ * Weekly classes become recurring events until the term ends; date-specific
+ * classes (Day = DD-MM-YYYY) become one-off events. UIDs are keyed on the
+ * class (course, section, group, type) and its place among that class's
+ * weekly slots, not on the day or time, so a room change or a move to
+ * another slot updates the existing event in subscribed calendars instead
+ * of adding a new one. Exams are one-off events keyed by course and exam
+ * type, so a rescheduled exam moves rather than duplicates.
+ */
+class CalendarExporter {
+    constructor(options = {}) {
+        this.userId = options.userId || 'default';
+        this.termId = options.termId || null;
+        this.calendarName = options.calendarName || 'LPU Timetable';
+        this.host = options.host || 'lpu-timetable';
+    }
+
+    // The class a slot belongs to; one-off classes also keep their date
+    static getSeriesKey(classItem) {
+        const info = classItem.parsedInfo || {};
+        const series = [
+            classItem.CourseCode || info.course,
+            classItem.Section || info.section || '',
+            classItem.Group || info.group || '',
+            classItem.Type || info.type || ''
+        ].join('|');
+        return /^\d{2}-\d{2}-\d{4}$/.test(classItem.Day || '') ? `${series}|${classItem.Day}` : series;
+    }
+
+    // `occurrence` tells apart a class's slots in a week, numbered in week order from 0
+    getUid(classItem, occurrence = 0) {
+        const key = `${this.userId}|${this.termId || ''}|${CalendarExporter.getSeriesKey(classItem)}|${occurrence}`;
+        const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 24);
+        return `${hash}@${this.host}`;
+    }
+
+    // Stable across reschedules; `occurrence` tells apart a course's exams of the
+    // same type (e.g. two practicals), numbered in date order from 0
+    getExamUid(exam, occurrence = 0) {
+        const key = `${this.userId}|${this.termId || ''}|exam|${exam.CourseCode}|${exam.examType}${occurrence > 0 ? `|${occurrence}` : ''}`;
+        const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 24);
+        return `${hash}@${this.host}`;
+    }
+
+    // Today's date in IST, as { year, month (0-11), day, weekday }
+    getIstToday(now = new Date()) {
+        const ist = new Date(now.getTime() + IST_OFFSET_MS);
+        return {
+            year: ist.getUTCFullYear(),
+            month: ist.getUTCMonth(),
+            day: ist.getUTCDate(),
+            weekday: ist.getUTCDay()
+        };
+    }
+
+    // First date of the event: the given date for one-off classes,
+    // otherwise the weekday's occurrence in the week of `now`
+    getStartDate(dayValue, now) {
+        const dateMatch = String(dayValue || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+        if (dateMatch) {
+            const [, day, month, year] = dateMatch;
+            const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+            return { date, weekday: date.getUTCDay(), recurring: false };
+        }
+
+        const weekday = WEEKDAYS.indexOf(dayValue);
+        if (weekday < 0) return null;
+
+        const today = this.getIstToday(now);
+        // Weeks start on Monday, so Sunday classes land at the end of the week
+        const mondayOffset = (today.weekday + 6) % 7;
+        const offset = ((weekday + 6) % 7) - mondayOffset;
+        const date = new Date(Date.UTC(today.year, today.month, today.day + offset));
+
+        return { date, weekday, recurring: true };
+    }
+
+    // UNTIL for weekly events: the end of the term's last day in IST, as UTC (RFC 5545 with a TZID start)
+    getUntil(termEnd) {
+        const match = String(termEnd || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+
+        const [, year, month, day] = match;
+        return formatUtc(new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23, 59, 59) - IST_OFFSET_MS));
+    }
+
+    formatLocal(date, minutes) {
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+    }
+
+    buildEvent(classItem, stamp, now, occurrence = 0, until = null) {
+        const start = this.getStartDate(classItem.Day, now);
+        const timeRange = classItem.timeRange;
+        if (!start || !timeRange) return null;
+
+        const info = classItem.parsedInfo || {};
+        const courseCode = classItem.CourseCode || info.course || 'Class';
+        const courseName = classItem.CourseName || info.courseName || courseCode;
+        const type = info.type || classItem.Type || 'Lecture';
+        const room = info.room || classItem.Room || '';
+
+        const description = [
+            `${courseCode} - ${courseName}`,
+            `Type: ${type}`,
+            room ? `Room: ${room}` : null,
+            info.group ? `Group: ${info.group}` : null,
+            info.section ? `Section: ${info.section}` : null
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${this.getUid(classItem, occurrence)}`,
+            `DTSTAMP:${stamp}`,
+            `LAST-MODIFIED:${stamp}`,
+            `DTSTART;TZID=${TIMEZONE}:${this.formatLocal(start.date, timeRange.start)}`,
+            `DTEND;TZID=${TIMEZONE}:${this.formatLocal(start.date, timeRange.end)}`,
+            `SUMMARY:${escapeText(`${courseCode} ${type}${courseName !== courseCode ? ` - ${courseName}` : ''}`)}`,
+            room ? `LOCATION:${escapeText(room)}` : null,
+            `DESCRIPTION:${escapeText(description)}`,
+            `CATEGORIES:${escapeText(type)}`,
+            start.recurring ? `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[start.weekday]}${until ? `;UNTIL=${until}` : ''}` : null,
+            'END:VEVENT'
+        ];
+
+        return lines.filter(Boolean);
+    }
+
+    // Exams without a time are all-day events
+    buildExamEvent(exam, stamp, occurrence = 0) {
+        const date = exam.date.replace(/-/g, '');
+        const courseName = exam.CourseName || exam.CourseCode;
+
+        const description = [
+            `${exam.CourseCode} - ${courseName}`,
+            `Exam: ${exam.examType}`,
+            exam.time ? `Time: ${exam.time}` : null,
+            exam.room ? `Room: ${exam.room}` : null,
+            exam.seat ? `Seat: ${exam.seat}` : null
+        ].filter(Boolean).join('\n');
+
+        let when;
+        if (exam.start === null) {
+            const nextDay = new Date(`${exam.date}T00:00:00Z`);
+            nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+            when = [`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${nextDay.toISOString().slice(0, 10).replace(/-/g, '')}`];
+        } else {
+            const day = new Date(`${exam.date}T00:00:00Z`);
+            const end = exam.end !== null ? exam.end : exam.start + 3 * 60;
+            when = [
+                `DTSTART;TZID=${TIMEZONE}:${this.formatLocal(day, exam.start)}`,
+                `DTEND;TZID=${TIMEZONE}:${this.formatLocal(day, end)}`
+            ];
+        }
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${this.getExamUid(exam, occurrence)}`,
+            `DTSTAMP:${stamp}`,
+            `LAST-MODIFIED:${stamp}`,
+            ...when,
+            `SUMMARY:${escapeText(`📝 ${exam.CourseCode} ${exam.examType}${courseName !== exam.CourseCode ? ` - ${courseName}` : ''}`)}`,
+            exam.room ? `LOCATION:${escapeText(exam.room)}` : null,
+            `DESCRIPTION:${escapeText(description)}`,
+            'CATEGORIES:Exam',
+            'END:VEVENT'
+        ].filter(Boolean);
+    }
+
+    /**
+     * @param {Array} classes - items from TimetableManager.processClassItem
+     * @param {Object} options - { timestamp } of the cached timetable, { exams } from ExamScheduleManager,
+     *   { termEnd } ("YYYY-MM-DD") from the academic calendar to end weekly events
+     * @returns {string} the .ics document
+     */
+    build(classes, options = {}) {
+        // Anchor recurrences on the fetch time so the feed only changes on refresh
+        const updatedAt = options.timestamp ? new Date(options.timestamp) : new Date();
+        const stamp = formatUtc(updatedAt);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//LPU Timetable//Timetable Feed//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(this.calendarName)}`,
+            `X-WR-TIMEZONE:${TIMEZONE}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+            'X-PUBLISHED-TTL:PT6H',
+            ...VTIMEZONE
+        ];
+
+        // Slots are numbered in week order, so each class's UIDs survive its slots moving
+        const weekOrder = classItem => (WEEKDAYS.indexOf(classItem.Day) + 6) % 7;
+        const sorted = [...classes].sort((a, b) =>
+            weekOrder(a) - weekOrder(b) || ((a.timeRange && a.timeRange.start) || 0) - ((b.timeRange && b.timeRange.start) || 0));
+        const until = this.getUntil(options.termEnd);
+
+        const seen = new Set();
+        const classOccurrences = new Map();
+        for (const classItem of sorted) {
+            // UMS occasionally lists the same slot twice; one event per slot
+            const slot = CacheManager.getClassKey(classItem);
+            if (seen.has(slot)) continue;
+
+            const series = CalendarExporter.getSeriesKey(classItem);
+            const occurrence = classOccurrences.get(series) || 0;
+            const event = this.buildEvent(classItem, stamp, updatedAt, occurrence, until);
+            if (event) {
+                seen.add(slot);
+                classOccurrences.set(series, occurrence + 1);
+                lines.push(...event);
+            }
+        }
+
+        const exams = [...(options.exams || [])]
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.start || 0) - (b.start || 0));
+        const seenExams = new Set();
+        const occurrences = new Map();
+        for (const exam of exams) {
+            // Only a sitting listed twice is dropped; other exams of the same type get their own UID
+            const sitting = `${exam.CourseCode}|${exam.examType}|${exam.date}|${exam.start}`;
+            if (seenExams.has(sitting)) continue;
+            seenExams.add(sitting);
+
+            const type = `${exam.CourseCode}|${exam.examType}`;
+            const occurrence = occurrences.get(type) || 0;
+            occurrences.set(type, occurrence + 1);
+            lines.push(...this.buildExamEvent(exam, stamp, occurrence));
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = CalendarExporter;
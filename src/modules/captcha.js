@@ -0,0 +1,359 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const ac = require('@antiadmin/anticaptchaofficial');
+
+const DEFAULT_SOLVER_ORDER = 'anticaptcha,2captcha,ocr,manual';
+const MANUAL_TIMEOUT_MS = 2 * 60 * 1000; // How long a login waits for the user to type the captcha
+const POLL_INTERVAL_MS = 5000;
+const POLL_TIMEOUT_MS = 120000;
+
+const MANUAL_CLIENT_TTL_MS = 10 * 60 * 1000; // How long a browser may use the client id it was issued
+const MAX_MANUAL_CLIENTS = 1000; // Live client ids across all browsers; issuing needs no login, so it is capped
+const MAX_MANUAL_CLIENTS_PER_IP = 5; // Live client ids per address - a few logins, not a flood
+
+// Challenges waiting for a human, keyed by challenge id (process-wide)
+const manualChallenges = new Map();
+
+// Client ids issued to browsers over HTTP -> { expiresAt, ip }; only these can see or answer a challenge
+const manualClients = new Map();
+
+/**
+ * Base class for captcha backends. `solve()` resolves with the captcha text
+ * or throws; `isAvailable()` says whether the backend is configured at all.
+ */
+class CaptchaSolver {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async isAvailable() {
+        return false;
+    }
+
+    async solve(base64Image, context = {}) {
+        throw new Error(`${this.name} solver is not implemented`);
+    }
+}
+
+// Paid Anti-Captcha service (anti-captcha.com)
+class AntiCaptchaSolver extends CaptchaSolver {
+    constructor() {
+        super('anticaptcha');
+        this.apiKey = process.env.ANTICAPTCHA_API_KEY || '';
+        this.minBalance = parseFloat(process.env.ANTICAPTCHA_MIN_BALANCE) || 0.001;
+    }
+
+    async isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async solve(base64Image) {
+        ac.setAPIKey(this.apiKey);
+
+        // Check account balance
+        const balance = await ac.getBalance();
+        if (balance < this.minBalance) {
+            throw new Error(`Insufficient balance in Anti-Captcha account. Minimum required: $${this.minBalance}`);
+        }
+
+        return await ac.solveImage(base64Image, true);
+    }
+}
+
+// 2Captcha's in.php/res.php API, also spoken by compatible services (TWOCAPTCHA_URL)
+class TwoCaptchaSolver extends CaptchaSolver {
+    constructor() {
+        super('2captcha');
+        this.apiKey = process.env.TWOCAPTCHA_API_KEY || '';
+        this.baseUrl = (process.env.TWOCAPTCHA_URL || 'https://2captcha.com').replace(/\/+$/, '');
+    }
+
+    async isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async solve(base64Image) {
+        const form = new URLSearchParams({ key: this.apiKey, method: 'base64', body: base64Image, json: '1' });
+        const submit = await axios.post(`${this.baseUrl}/in.php`, form.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 15000
+        });
+
+        if (submit.data.status !== 1) {
+            throw new Error(`2Captcha rejected the task: ${submit.data.request}`);
+        }
+
+        const taskId = submit.data.request;
+        const deadline = Date.now() + POLL_TIMEOUT_MS;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+            const result = await axios.get(`${this.baseUrl}/res.php`, {
+                params: { key: this.apiKey, action: 'get', id: taskId, json: 1 },
+                timeout: 15000
+            });
+
+            if (result.data.status === 1) {
+                return result.data.request;
+            }
+            if (result.data.request !== 'CAPCHA_NOT_READY') {
+                throw new Error(`2Captcha failed: ${result.data.request}`);
+            }
+        }
+
+        throw new Error('2Captcha timed out');
+    }
+}
+
+// Local Tesseract binary - no network, no account, lower accuracy
+class LocalOcrSolver extends CaptchaSolver {
+    constructor() {
+        super('ocr');
+        this.binary = process.env.TESSERACT_PATH || 'tesseract';
+        this.available = null;
+    }
+
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.binary, args, { timeout: 15000 }, (error, stdout) => {
+                if (error) reject(error);
+                else resolve(stdout);
+            });
+        });
+    }
+
+    async isAvailable() {
+        if (this.available === null) {
+            try {
+                await this.run(['--version']);
+                this.available = true;
+            } catch (error) {
+                this.available = false;
+            }
+        }
+        return this.available;
+    }
+
+    async solve(base64Image) {
+        const imagePath = path.join(os.tmpdir(), `captcha_${crypto.randomBytes(6).toString('hex')}.png`);
+        await fs.writeFile(imagePath, Buffer.from(base64Image, 'base64'));
+
+        try {
+            // --psm 7: a single line of text; UMS captchas are letters and digits
+            const output = await this.run([
+                imagePath, 'stdout', '--psm', '7',
+                '-c', 'tessedit_char_whitelist=abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+            ]);
+            const text = output.replace(/[^A-Za-z0-9]/g, '');
+
+            if (text.length < 4) {
+                throw new Error(`OCR result "${text}" is too short`);
+            }
+            return text;
+        } finally {
+            await fs.unlink(imagePath).catch(() => {});
+        }
+    }
+}
+
+// Human in the loop: the PWA shows the image and the user types the answer.
+// Challenges live in process memory, so this needs a long-running server.
+class ManualCaptchaSolver extends CaptchaSolver {
+    constructor() {
+        super('manual');
+        this.timeoutMs = parseInt(process.env.CAPTCHA_MANUAL_TIMEOUT_MS) || MANUAL_TIMEOUT_MS;
+    }
+
+    // Only for interactive logins where a browser is waiting with a client id
+    async isAvailable(context = {}) {
+        return !!context.clientId;
+    }
+
+    async solve(base64Image, context = {}) {
+        const id = crypto.randomBytes(16).toString('hex');
+
+        return await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                manualChallenges.delete(id);
+                reject(new Error('Nobody answered the captcha in time'));
+            }, this.timeoutMs);
+
+            manualChallenges.set(id, {
+                id,
+                clientId: context.clientId,
+                image: base64Image,
+                createdAt: Date.now(),
+                resolve: (answer) => {
+                    clearTimeout(timer);
+                    manualChallenges.delete(id);
+                    resolve(answer);
+                }
+            });
+
+            console.log('✍️ Waiting for the user to type the captcha...');
+        });
+    }
+
+    /**
+     * A fresh secret client id for one browser login; ids sent over HTTP must come from here.
+     * @returns {string|null} null when `ip` or the server already holds too many live ids
+     */
+    static createClient(ip = null, now = Date.now()) {
+        let fromIp = 0;
+        for (const [id, client] of manualClients) {
+            if (client.expiresAt <= now) {
+                manualClients.delete(id);
+            } else if (client.ip === ip) {
+                fromIp++;
+            }
+        }
+
+        if (fromIp >= MAX_MANUAL_CLIENTS_PER_IP || manualClients.size >= MAX_MANUAL_CLIENTS) {
+            return null;
+        }
+
+        const id = crypto.randomBytes(32).toString('hex');
+        manualClients.set(id, { expiresAt: now + MANUAL_CLIENT_TTL_MS, ip });
+        return id;
+    }
+
+    static isIssuedClient(clientId, now = Date.now()) {
+        const client = manualClients.get(clientId);
+        return !!client && client.expiresAt > now;
+    }
+
+    static getPendingChallenge(clientId) {
+        for (const challenge of manualChallenges.values()) {
+            if (challenge.clientId === clientId) {
+                return { id: challenge.id, image: challenge.image, createdAt: challenge.createdAt };
+            }
+        }
+        return null;
+    }
+
+    static answerChallenge(id, clientId, answer) {
+        const challenge = manualChallenges.get(id);
+        if (!challenge || challenge.clientId !== clientId) {
+            return false;
+        }
+        challenge.resolve(String(answer).trim());
+        return true;
+    }
+}
+
+const SOLVERS = {
+    anticaptcha: AntiCaptchaSolver,
+    '2captcha': TwoCaptchaSolver,
+    ocr: LocalOcrSolver,
+    manual: ManualCaptchaSolver
+};
+
+/**
+ * Tries the solvers listed in CAPTCHA_SOLVERS in order, skipping ones that
+ * are not configured and falling through on errors. Per-solver attempts,
+ * errors and login outcomes are kept in captcha_stats.json.
+ */
+class CaptchaSolverChain {
+    constructor(options = {}) {
+        // Use /tmp directory for Vercel serverless, local path for development
+        const isVercel = process.env.VERCEL === '1';
+        const baseDir = isVercel ? '/tmp' : './src/data';
+        this.STATS_FILE = path.join(baseDir, 'captcha_stats.json');
+
+        const order = options.order || process.env.CAPTCHA_SOLVERS || DEFAULT_SOLVER_ORDER;
+        this.solvers = options.solvers || order
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => {
+                if (!SOLVERS[name]) console.error(`⚠️ Unknown captcha solver "${name}" ignored`);
+                return !!SOLVERS[name];
+            })
+            .map(name => new SOLVERS[name]());
+    }
+
+    async solve(base64Image, context = {}) {
+        const errors = [];
+
+        for (const solver of this.solvers) {
+            if (!(await solver.isAvailable(context))) continue;
+
+            console.log(`🤖 Solving captcha with ${solver.name}...`);
+            try {
+                const text = String(await solver.solve(base64Image, context) || '').trim();
+                if (!text) throw new Error('empty answer');
+
+                await this.recordStat(solver.name, 'solved');
+                console.log(`✅ Captcha solved by ${solver.name}`);
+                return { text, solver: solver.name };
+            } catch (error) {
+                await this.recordStat(solver.name, 'errors');
+                console.error(`❌ ${solver.name} could not solve the captcha:`, error.message);
+                errors.push(`${solver.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(errors.length > 0
+            ? `All captcha solvers failed (${errors.join('; ')})`
+            : 'No captcha solver available - set ANTICAPTCHA_API_KEY, TWOCAPTCHA_API_KEY or install tesseract');
+    }
+
+    // Whether UMS accepted the answer - the only real measure of accuracy
+    async reportResult(solverName, accepted) {
+        if (!solverName) return;
+        await this.recordStat(solverName, accepted ? 'accepted' : 'rejected');
+    }
+
+    async loadStats() {
+        try {
+            return JSON.parse(await fs.readFile(this.STATS_FILE, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async recordStat(solverName, field) {
+        try {
+            const stats = await this.loadStats();
+            const entry = stats[solverName] || { solved: 0, errors: 0, accepted: 0, rejected: 0 };
+            entry[field] = (entry[field] || 0) + 1;
+            entry.lastUsed = new Date().toISOString();
+            stats[solverName] = entry;
+
+            await fs.mkdir(path.dirname(this.STATS_FILE), { recursive: true });
+            await fs.writeFile(this.STATS_FILE, JSON.stringify(stats, null, 2));
+        } catch (error) {
+            // Stats are best effort
+        }
+    }
+
+    // Stats with success rates: accepted logins per attempt
+    async getStats() {
+        const stats = await this.loadStats();
+        const result = {};
+
+        for (const [name, entry] of Object.entries(stats)) {
+            const attempts = entry.solved + entry.errors;
+            result[name] = {
+                ...entry,
+                attempts,
+                successRate: attempts > 0 ? Math.round((entry.accepted / attempts) * 1000) / 1000 : null
+            };
+        }
+
+        return result;
+    }
+}
+
+module.exports = {
+    CaptchaSolver,
+    AntiCaptchaSolver,
+    TwoCaptchaSolver,
+    LocalOcrSolver,
+    ManualCaptchaSolver,
+    CaptchaSolverChain
+};
@@ -0,0 +1,65 @@
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000; // IST has no daylight saving
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_PATTERN = /^(\d{2})-(\d{2})-(\d{4})$/;
+
+function toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Weekly slots have a weekday as their Day; one-off classes (makeup and
+ * extra sessions) have a DD-MM-YYYY date instead and only happen on that
+ * date. Dates are IST calendar days, as "YYYY-MM-DD" keys that sort and
+ * compare as strings.
+ */
+class ClassDates {
+    // "14-11-2026" -> "2026-11-14"; null for weekly slots
+    static getDate(dayValue) {
+        const match = String(dayValue || '').match(DATE_PATTERN);
+        return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+    }
+
+    static isOneOff(classItem) {
+        return ClassDates.getDate(classItem.Day) !== null;
+    }
+
+    // Weekday name for a Day value, whichever form it takes
+    static getWeekday(dayValue) {
+        const date = ClassDates.getDate(dayValue);
+        return date ? WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] : dayValue;
+    }
+
+    // Today's IST date key
+    static getToday(now = new Date()) {
+        return toDateKey(new Date(now.getTime() + IST_OFFSET_MS));
+    }
+
+    // IST Monday and Sunday of the week containing `now`
+    static getWeekRange(now = new Date()) {
+        const ist = new Date(now.getTime() + IST_OFFSET_MS);
+        const monday = new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() - ((ist.getUTCDay() + 6) % 7)));
+        const sunday = new Date(monday.getTime() + 6 * 24 * 60 * 60 * 1000);
+        return { start: toDateKey(monday), end: toDateKey(sunday) };
+    }
+
+    // One-off classes whose date has passed; weekly slots never expire
+    static isExpired(classItem, now = new Date()) {
+        const date = ClassDates.getDate(classItem.Day);
+        return date !== null && date < ClassDates.getToday(now);
+    }
+
+    static removeExpired(classes, now = new Date()) {
+        return classes.filter(classItem => !ClassDates.isExpired(classItem, now));
+    }
+
+    // Whether a class happens in the week of `now` (weekly slots always do)
+    static isInWeek(classItem, now = new Date()) {
+        const date = ClassDates.getDate(classItem.Day);
+        if (date === null) return true;
+
+        const { start, end } = ClassDates.getWeekRange(now);
+        return date >= start && date <= end;
+    }
+}
+
+module.exports = ClassDates;
@@ -0,0 +1,115 @@
+const NOON = 12 * 60;
+const UMS_RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+const LABEL_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?\s*-\s*(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i;
+
+function formatPart(minutes) {
+    const hour = Math.floor(minutes / 60) % 24;
+    const minute = minutes % 60;
+    return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}`;
+}
+
+// Label hour -> 24-hour minutes. Hours above 12 are already 24-hour ("11-13 AM"
+// from older caches), and a closing "12 AM" is noon ("11-12 AM").
+function toMinutes(hour, minute, period, isEnd) {
+    if (hour > 12 || !period) return hour * 60 + minute;
+    if (period === 'AM') return (hour === 12 && !isEnd ? 0 : hour) * 60 + minute;
+    return (hour % 12 + 12) * 60 + minute;
+}
+
+/**
+ * Class times as minutes since midnight. UMS sends each slot as a 24-hour
+ * "09:00-10:00" range, kept as the canonical StartMinutes/EndMinutes;
+ * AttendanceTime ("9-10 AM") is only a label built from them. Caches from
+ * before StartMinutes existed are read back through parseLabel.
+ */
+class ClassTimes {
+    // "09:00-10:00" -> { start: 540, end: 600 }; null when malformed
+    static parseUmsRange(text) {
+        const match = String(text || '').trim().match(UMS_RANGE_PATTERN);
+        if (!match) return null;
+
+        const [start, end] = [match[1] * 60 + Number(match[2]), match[3] * 60 + Number(match[4])];
+        return end > start && end <= 24 * 60 ? { start, end } : null;
+    }
+
+    // 540, 600 -> "9-10 AM"; 660, 720 -> "11-12 AM"; 660, 780 -> "11 AM-1 PM"; 570, 660 -> "9:30-11 AM"
+    static formatLabel(start, end) {
+        if (start < NOON && end > NOON) {
+            return `${formatPart(start)} AM-${formatPart(end)} PM`;
+        }
+        return `${formatPart(start)}-${formatPart(end)} ${start < NOON ? 'AM' : 'PM'}`;
+    }
+
+    // Any label formatLabel makes, plus older ones like "11-01 PM" and "12-13 PM"
+    static parseLabel(label) {
+        const match = String(label || '').trim().match(LABEL_PATTERN);
+        if (!match) return null;
+
+        const startHour = parseInt(match[1]);
+        const endHour = parseInt(match[4]);
+        const endPeriod = match[6] ? match[6].toUpperCase() : null;
+        let startPeriod = match[3] ? match[3].toUpperCase() : null;
+
+        // "11-01 PM" starts before noon; "12-01 PM" and "02-03 PM" don't
+        if (!startPeriod && endPeriod) {
+            startPeriod = endPeriod === 'PM' && startHour % 12 > endHour % 12 ? 'AM' : endPeriod;
+        }
+
+        const start = toMinutes(startHour, parseInt(match[2] || 0), startPeriod, false);
+        let end = toMinutes(endHour, parseInt(match[5] || 0), endPeriod, true);
+        if (end <= start) end += NOON;
+
+        return { start, end };
+    }
+
+    /**
+     * Start and end of a class in minutes since midnight.
+     * @returns {Object|null} { start, end }, null when neither minutes nor label can be read
+     */
+    static getRange(classItem) {
+        if (Number.isFinite(classItem.StartMinutes) && Number.isFinite(classItem.EndMinutes)) {
+            return { start: classItem.StartMinutes, end: classItem.EndMinutes };
+        }
+        return ClassTimes.parseLabel(classItem.AttendanceTime);
+    }
+
+    // A cached class with StartMinutes/EndMinutes filled in from its label if missing
+    static withMinutes(classItem) {
+        if (Number.isFinite(classItem.StartMinutes)) return classItem;
+
+        const range = ClassTimes.parseLabel(classItem.AttendanceTime);
+        return range ? { ...classItem, StartMinutes: range.start, EndMinutes: range.end } : classItem;
+    }
+
+    // Back-to-back practical slots of one course, group and room are one
+    // session ("9-10 AM" + "10-11 AM" -> "9-11 AM"); the input order is kept
+    static mergePracticals(classes) {
+        const blocks = classes.map((classItem, index) => ({ index, classItem: ClassTimes.withMinutes(classItem) }));
+        const open = new Map();
+        const merged = [];
+
+        // By start time, so a block only ever grows at its end
+        for (const block of [...blocks].sort((a, b) => (a.classItem.StartMinutes || 0) - (b.classItem.StartMinutes || 0))) {
+            const classItem = block.classItem;
+            if (classItem.Type === 'Practical' && Number.isFinite(classItem.StartMinutes)) {
+                const key = `${classItem.Day}|${classItem.CourseCode}|${classItem.Section}|${classItem.Group}|${classItem.Room}`;
+                const previous = open.get(key);
+
+                if (previous && previous.classItem.EndMinutes === classItem.StartMinutes) {
+                    previous.classItem = {
+                        ...previous.classItem,
+                        EndMinutes: classItem.EndMinutes,
+                        AttendanceTime: ClassTimes.formatLabel(previous.classItem.StartMinutes, classItem.EndMinutes)
+                    };
+                    continue;
+                }
+                open.set(key, block);
+            }
+            merged.push(block);
+        }
+
+        return merged.sort((a, b) => a.index - b.index).map(block => block.classItem);
+    }
+}
+
+module.exports = ClassTimes;
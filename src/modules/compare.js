@@ -0,0 +1,115 @@
+const FreeSlotFinder = require('./freeslots.js');
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+function byDayAndTime(a, b) {
+    return DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) || a.time - b.time;
+}
+
+/**
+ * Overlays several people's timetables: free time they all share, classes
+ * they take together (same CourseCode + Section) and change-overs where
+ * they leave or head into the same building at the same time.
+ */
+class TimetableComparer {
+    /**
+     * @param {Array} participants - [{ name, classes }] with processed classes; names must be unique
+     * @param {Object} options - free slot window, see FreeSlotFinder.getOptions
+     */
+    static compare(participants, options = {}) {
+        return {
+            participants: participants.map(({ name, classes }) => ({ name, classCount: classes.length })),
+            freeSlots: FreeSlotFinder.findCommonFreeSlots(participants.map(participant => participant.classes), options),
+            sharedClasses: TimetableComparer.findSharedClasses(participants),
+            transitions: TimetableComparer.findSameBuildingTransitions(participants)
+        };
+    }
+
+    static findSharedClasses(participants) {
+        const courses = new Map();
+
+        for (const { name, classes } of participants) {
+            for (const classItem of classes) {
+                if (!classItem.CourseCode || !classItem.Section) continue;
+
+                const key = `${classItem.CourseCode}|${classItem.Section}`;
+                if (!courses.has(key)) {
+                    courses.set(key, {
+                        CourseCode: classItem.CourseCode,
+                        CourseName: classItem.CourseName,
+                        Section: classItem.Section,
+                        people: new Set(),
+                        sessions: new Map()
+                    });
+                }
+
+                const course = courses.get(key);
+                course.people.add(name);
+
+                // Practical groups of one section meet at different times
+                const day = FreeSlotFinder.getWeekday(classItem.Day);
+                const sessionKey = `${day}|${classItem.timeRange ? `${classItem.timeRange.start}-${classItem.timeRange.end}` : classItem.AttendanceTime}|${classItem.Room}`;
+                if (!course.sessions.has(sessionKey)) {
+                    course.sessions.set(sessionKey, {
+                        day,
+                        time: classItem.timeRange ? classItem.timeRange.start : 0,
+                        AttendanceTime: classItem.AttendanceTime,
+                        Room: classItem.Room,
+                        Type: classItem.Type,
+                        people: new Set()
+                    });
+                }
+                course.sessions.get(sessionKey).people.add(name);
+            }
+        }
+
+        return [...courses.values()]
+            .filter(course => course.people.size > 1)
+            .map(course => ({
+                ...course,
+                people: [...course.people],
+                sessions: [...course.sessions.values()]
+                    .sort(byDayAndTime)
+                    .map(({ time, ...session }) => ({ ...session, people: [...session.people] }))
+            }))
+            .sort((a, b) => a.CourseCode.localeCompare(b.CourseCode));
+    }
+
+    // Moments two or more people, coming from or going to different classes, are at the same building
+    static findSameBuildingTransitions(participants) {
+        const moments = new Map();
+
+        for (const { name, classes } of participants) {
+            for (const classItem of classes) {
+                if (!classItem.timeRange || !classItem.Building || /^assignment$/i.test(classItem.Building)) continue;
+
+                const day = FreeSlotFinder.getWeekday(classItem.Day);
+                const classKey = `${classItem.CourseCode}|${classItem.Section}|${classItem.Group}`;
+
+                for (const [direction, time] of [['leaving', classItem.timeRange.end], ['arriving', classItem.timeRange.start]]) {
+                    const key = `${day}|${time}|${classItem.Building}|${direction}`;
+                    if (!moments.has(key)) {
+                        moments.set(key, { day, time, building: classItem.Building, direction, people: new Map(), classes: new Set() });
+                    }
+
+                    const moment = moments.get(key);
+                    moment.people.set(name, classItem.CourseCode);
+                    moment.classes.add(classKey);
+                }
+            }
+        }
+
+        return [...moments.values()]
+            .filter(moment => moment.people.size > 1 && moment.classes.size > 1)
+            .sort(byDayAndTime)
+            .map(moment => ({
+                day: moment.day,
+                time: FreeSlotFinder.formatClock(moment.time),
+                building: moment.building,
+                direction: moment.direction,
+                people: [...moment.people].map(([name, courseCode]) => ({ name, CourseCode: courseCode }))
+            }));
+    }
+}
+
+module.exports = TimetableComparer;
@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+
+const COURSE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Registered courses rarely change mid-term
+const COURSE_CODE_PATTERN = /^[A-Z]{3}[A-Z0-9]{2,5}$/;
+
+// Built-in names, used until UMS or a catalogue file says otherwise
+const DEFAULT_COURSES = [
+    { CourseCode: 'CAP100M', CourseName: 'PROGRAMME ORIENTATION' },
+    { CourseCode: 'CAP443', CourseName: 'LINUX AND SHELL SCRIPTING - LAB' },
+    { CourseCode: 'CAP455', CourseName: 'OBJECT ORIENTED PROGRAMMING USING C++' },
+    { CourseCode: 'CAP476', CourseName: 'DATA COMMUNICATION AND NETWORKING' },
+    { CourseCode: 'CAP477', CourseName: 'ADVANCED INTERNET PROGRAMMING USING JAVA' },
+    { CourseCode: 'CAP478', CourseName: 'DATA COMMUNICATION AND NETWORKING - LABORATORY' },
+    { CourseCode: 'CAP570', CourseName: 'ADVANCED DATABASE TECHNIQUES' },
+    { CourseCode: 'CAP598', CourseName: 'SOFTWARE ENGINEERING AND PROJECT MANAGEMENT' },
+    { CourseCode: 'CAC203', CourseName: 'AI ASSISTED CYBER SECURITY FUNDAMENTAL' },
+    { CourseCode: 'MTH403', CourseName: 'MATHEMATICAL FOUNDATION FOR COMPUTER SCIENCE' },
+    { CourseCode: 'PEA515', CourseName: 'ANALYTICAL SKILLS-I' },
+    { CourseCode: 'PEL544', CourseName: 'CORPORATE COMMUNICATION SKILLS' },
+    { CourseCode: 'PETV67', CourseName: 'BUILDING WEALTH' }
+];
+
+function normalizeEntry(code, name) {
+    const courseCode = String(code || '').trim().toUpperCase();
+    const courseName = String(name || '').trim();
+    return courseCode && courseName ? { CourseCode: courseCode, CourseName: courseName } : null;
+}
+
+/**
+ * Course code -> name lookup for TimetableManager.
+ * Sources, lowest to highest priority: built-in defaults, a JSON/CSV
+ * catalogue file (COURSE_CATALOGUE_FILE), names scraped from the UMS
+ * registered courses page (cached per user and term), admin overrides.
+ */
+class CourseCatalogue {
+    constructor(timetableManager) {
+        this.timetableManager = timetableManager;
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    static getOverridesFile() {
+        // Use /tmp directory for Vercel serverless, local path for development
+        const isVercel = process.env.VERCEL === '1';
+        return path.join(isVercel ? '/tmp' : './src/data', 'course_overrides.json');
+    }
+
+    // Accepts a JSON array of { CourseCode, CourseName }, a JSON { code: name }
+    // map, or CSV with a "CourseCode,CourseName" style header
+    static parseCatalogue(content, format) {
+        if (format === 'json') {
+            const parsed = JSON.parse(content);
+            const entries = Array.isArray(parsed)
+                ? parsed.map(item => normalizeEntry(item.CourseCode || item.code, item.CourseName || item.name))
+                : Object.entries(parsed).map(([code, name]) => normalizeEntry(code, name));
+            return entries.filter(Boolean);
+        }
+
+        const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length > 0 && /course\s*code/i.test(lines[0])) {
+            lines.shift();
+        }
+
+        return lines
+            .map(line => {
+                const [code, ...nameParts] = line.split(',');
+                return normalizeEntry(code, nameParts.join(',').replace(/^"|"$/g, ''));
+            })
+            .filter(Boolean);
+    }
+
+    static async loadCatalogueFile() {
+        const file = process.env.COURSE_CATALOGUE_FILE;
+        if (!file) return [];
+
+        try {
+            const content = await fs.readFile(file, 'utf8');
+            return CourseCatalogue.parseCatalogue(content, path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+        } catch (error) {
+            console.error(`❌ Error loading course catalogue ${file}:`, error.message);
+            return [];
+        }
+    }
+
+    static async loadOverrides() {
+        try {
+            const content = await fs.readFile(CourseCatalogue.getOverridesFile(), 'utf8');
+            return CourseCatalogue.parseCatalogue(content, 'json');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static async saveOverrides(entries) {
+        const file = CourseCatalogue.getOverridesFile();
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(entries, null, 2));
+    }
+
+    static async setOverrides(courses) {
+        const overrides = new Map((await CourseCatalogue.loadOverrides()).map(c => [c.CourseCode, c]));
+
+        for (const course of courses) {
+            const entry = normalizeEntry(course.CourseCode, course.CourseName);
+            if (!entry) {
+                throw new Error('Each course needs a CourseCode and CourseName');
+            }
+            overrides.set(entry.CourseCode, entry);
+        }
+
+        const entries = [...overrides.values()].sort((a, b) => a.CourseCode.localeCompare(b.CourseCode));
+        await CourseCatalogue.saveOverrides(entries);
+        return entries;
+    }
+
+    static async removeOverride(courseCode) {
+        const code = String(courseCode || '').trim().toUpperCase();
+        const overrides = await CourseCatalogue.loadOverrides();
+        const remaining = overrides.filter(c => c.CourseCode !== code);
+
+        if (remaining.length !== overrides.length) {
+            await CourseCatalogue.saveOverrides(remaining);
+            return true;
+        }
+        return false;
+    }
+
+    parseRegisteredCourses(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const courses = new Map();
+
+        // Registered courses are listed in a table: a code cell followed by the name
+        $('tr').each((rowIndex, row) => {
+            const cells = $(row).find('td').map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+            const codeIndex = cells.findIndex(text => COURSE_CODE_PATTERN.test(text));
+
+            if (codeIndex >= 0) {
+                const name = cells.slice(codeIndex + 1).find(text => /[A-Za-z]{3,}/.test(text));
+                const entry = normalizeEntry(cells[codeIndex], name);
+                if (entry) courses.set(entry.CourseCode, entry);
+            }
+        });
+
+        return [...courses.values()];
+    }
+
+    async fetchRegisteredCourses() {
+        await this.timetableManager.ensureSession();
+
+        console.log('📖 Fetching registered courses from UMS...');
+
+        const html = await this.timetableManager.fetchPage(this.timetableManager.endpoints.get('coursesPage'));
+        const courses = this.parseRegisteredCourses(html);
+        console.log(`✅ Found ${courses.length} registered courses`);
+
+        return courses;
+    }
+
+    // Scrape UMS (at most once a week per term) and cache next to the timetable
+    async refresh(cacheManager, forceRefresh = false) {
+        const cached = await cacheManager.loadCourseCache();
+        if (!forceRefresh && cached && Date.now() - cached.lastUpdate < COURSE_CACHE_TTL_MS) {
+            return await this.load(cacheManager);
+        }
+
+        try {
+            const courses = await this.fetchRegisteredCourses();
+            if (courses.length > 0) {
+                await cacheManager.saveCourseCache(courses);
+            }
+        } catch (error) {
+            // Names are cosmetic - never fail a refresh over them
+            console.error('❌ Error fetching registered courses:', error.message);
+        }
+
+        return await this.load(cacheManager);
+    }
+
+    // Merge every source and hand the result to TimetableManager
+    async load(cacheManager) {
+        const cached = cacheManager ? await cacheManager.loadCourseCache() : null;
+        const sources = [
+            DEFAULT_COURSES,
+            await CourseCatalogue.loadCatalogueFile(),
+            cached ? cached.courses : [],
+            await CourseCatalogue.loadOverrides()
+        ];
+
+        const courses = new Map();
+        for (const source of sources) {
+            for (const course of source) {
+                courses.set(course.CourseCode, course);
+            }
+        }
+
+        const entries = [...courses.values()];
+        this.timetableManager.setCourseCatalogue(entries);
+
+        if (this.verbose) console.log(`📖 Course catalogue loaded (${entries.length} courses)`);
+        return entries;
+    }
+}
+
+CourseCatalogue.DEFAULT_COURSES = DEFAULT_COURSES;
+
+module.exports = CourseCatalogue;
@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+const DEFAULT_BASE_URL = 'https://ums.lpu.in';
+
+// Every UMS URL the app requests. Paths are relative to the base URL;
+// `env` names the variable that overrides that one endpoint.
+const ENDPOINTS = {
+    portal: { path: '/lpuums/', env: 'UMS_PORTAL_URL' },
+    loginPage: { path: '/lpuums/LoginNew.aspx', env: 'UMS_LOGIN_URL' },
+    captchaParams: { path: '/LpuUms/BotDetectCaptcha.ashx?get=p&c=c_loginnew_examplecaptcha', env: 'UMS_CAPTCHA_PARAMS_URL' },
+    captchaImage: { path: '/LpuUms/BotDetectCaptcha.ashx?get=image&c=c_loginnew_examplecaptcha', env: 'UMS_CAPTCHA_IMAGE_URL' },
+    timetablePage: { path: '/lpuums/frmMyCurrentTimeTable.aspx', env: 'UMS_TIMETABLE_PAGE_URL' },
+    timetableApi: { path: '/lpuums/frmMyCurrentTimeTable.aspx/GetTimeTable', env: 'UMS_TIMETABLE_API_URL' },
+    coursesPage: { path: '/lpuums/frmStudentCourseRegistration.aspx', env: 'UMS_COURSES_URL' },
+    attendancePage: { path: '/lpuums/frmMyAttendance.aspx', env: 'UMS_ATTENDANCE_URL' },
+    academicCalendarPage: { path: '/lpuums/frmAcademicCalendar.aspx', env: 'UMS_ACADEMIC_CALENDAR_URL' },
+    examSchedulePage: { path: '/lpuums/frmStudentExamSchedule.aspx', env: 'UMS_EXAM_SCHEDULE_URL' }
+};
+
+// UMS_ENDPOINTS_FILE contents by path, read once per process
+const configFiles = new Map();
+
+/**
+ * Single registry of UMS URLs. Resolution order for an endpoint:
+ * constructor `overrides`, then the UMS_ENDPOINTS_FILE config, then its
+ * own env variable, then its default path on the base URL (`baseUrl`
+ * option, the config's baseUrl, UMS_BASE_URL, or ums.lpu.in).
+ * Overrides may be absolute URLs or paths on the base URL.
+ */
+class UmsEndpoints {
+    constructor(options = {}) {
+        const config = UmsEndpoints.loadConfigFile();
+
+        this.baseUrl = (options.baseUrl || config.baseUrl || process.env.UMS_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.overrides = { ...config.endpoints, ...options.overrides };
+        this.definitions = {};
+    }
+
+    /**
+     * UMS_ENDPOINTS_FILE: { "baseUrl": "...", "endpoints": { "timetableApi": "/path" } }.
+     * A missing or broken file is logged and ignored, so UMS stays reachable on the defaults.
+     */
+    static loadConfigFile() {
+        const file = process.env.UMS_ENDPOINTS_FILE;
+        if (!file) return { baseUrl: null, endpoints: {} };
+
+        if (!configFiles.has(file)) {
+            let config = { baseUrl: null, endpoints: {} };
+            try {
+                const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+                config = {
+                    baseUrl: typeof parsed.baseUrl === 'string' ? parsed.baseUrl : null,
+                    endpoints: Object.fromEntries(Object.entries(parsed.endpoints || {}).filter(([, url]) => typeof url === 'string'))
+                };
+            } catch (error) {
+                console.error(`❌ Error loading UMS endpoints ${file}:`, error.message);
+            }
+            configFiles.set(file, config);
+        }
+
+        return configFiles.get(file);
+    }
+
+    // For scrapers of new UMS pages: UmsEndpoints.define('attendance', { path, env })
+    static define(name, definition) {
+        if (!definition || typeof definition.path !== 'string') {
+            throw new Error(`Endpoint "${name}" needs a path`);
+        }
+        ENDPOINTS[name] = { path: definition.path, env: definition.env || null };
+    }
+
+    // Same as UmsEndpoints.define, for this registry only
+    define(name, definition) {
+        if (!definition || typeof definition.path !== 'string') {
+            throw new Error(`Endpoint "${name}" needs a path`);
+        }
+        this.definitions[name] = { path: definition.path, env: definition.env || null };
+    }
+
+    static get names() {
+        return Object.keys(ENDPOINTS);
+    }
+
+    resolve(value) {
+        return /^https?:\/\//i.test(value) ? value : `${this.baseUrl}${value.startsWith('/') ? '' : '/'}${value}`;
+    }
+
+    get(name) {
+        const definition = this.definitions[name] || ENDPOINTS[name];
+        if (!definition) {
+            throw new Error(`Unknown UMS endpoint "${name}"`);
+        }
+
+        const override = this.overrides[name] || (definition.env && process.env[definition.env]);
+        return this.resolve(override || definition.path);
+    }
+
+    // Origin/Host of the base URL, for the headers UMS checks
+    get origin() {
+        return new URL(this.baseUrl).origin;
+    }
+
+    get host() {
+        return new URL(this.baseUrl).host;
+    }
+
+    // name -> URL for every endpoint
+    toJSON() {
+        const names = new Set([...UmsEndpoints.names, ...Object.keys(this.definitions)]);
+        return Object.fromEntries([...names].map(name => [name, this.get(name)]));
+    }
+}
+
+UmsEndpoints.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = UmsEndpoints;
@@ -0,0 +1,177 @@
+const cheerio = require('cheerio');
+const AcademicCalendar = require('./academic.js');
+
+const EXAM_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // Date sheets change rarely, but seats are added close to the exam
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000; // IST has no daylight saving
+const COURSE_CODE_PATTERN = /^([A-Z]{3}[A-Z0-9]{2,5})\b\s*[:\-]?\s*(.*)$/;
+const TIME_PATTERN = /(\d{1,2})[:.](\d{2})\s*([AP]M)?/gi;
+
+// Checked in order: "End Term" must not be read as a plain test
+const EXAM_KINDS = [
+    { kind: 'endTerm', pattern: /end[\s-]?term|\bETE\b|final/i },
+    { kind: 'midTerm', pattern: /mid[\s-]?(term|sem)|\bMTE\b/i },
+    { kind: 'ca', pattern: /\bCA\d*\b|continuous|assessment|quiz|test/i }
+];
+
+// "09:30 AM - 11:00 AM", "9:30-11:00 AM" or "14:00 - 17:00" -> minutes since midnight
+function parseExamTime(text) {
+    const times = [...String(text || '').matchAll(TIME_PATTERN)].map(match => ({
+        hour: parseInt(match[1]),
+        minute: parseInt(match[2]),
+        period: match[3] ? match[3].toUpperCase() : null
+    }));
+    if (times.length === 0) return { start: null, end: null };
+
+    const [start, end] = times;
+    // "11:00-01:00 PM" starts before noon; "02:00-05:00 PM" doesn't
+    if (end && !start.period && end.period) {
+        start.period = end.period === 'PM' && start.hour % 12 > end.hour % 12 ? 'AM' : end.period;
+    }
+
+    const toMinutes = ({ hour, minute, period }) => {
+        const hour24 = period ? hour % 12 + (period === 'PM' ? 12 : 0) : hour;
+        return hour24 * 60 + minute;
+    };
+
+    return { start: toMinutes(start), end: end ? toMinutes(end) : null };
+}
+
+// IST wall-clock date and minutes -> Date
+function toInstant(dateKey, minutes) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + minutes * 60000 - IST_OFFSET_MS);
+}
+
+/**
+ * The student's exam date sheet (CA tests, mid-term and end-term exams)
+ * with date, time, room and seat, scraped from UMS with the same session
+ * TimetableManager uses. Cached per term next to the timetable.
+ */
+class ExamScheduleManager {
+    constructor(timetableManager) {
+        this.timetableManager = timetableManager;
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    static classifyExam(examType) {
+        const match = EXAM_KINDS.find(({ pattern }) => pattern.test(examType));
+        return match ? match.kind : 'exam';
+    }
+
+    static parseExamTime(text) {
+        return parseExamTime(text);
+    }
+
+    // Date sheet rows are recognised by their header: a course column and a date column
+    parseExamSchedule(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const exams = new Map();
+
+        $('table').each((tableIndex, table) => {
+            let columns = null;
+
+            $(table).find('tr').each((rowIndex, row) => {
+                const cells = $(row).children('th, td').map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+
+                if (!columns) {
+                    const course = cells.findIndex(text => /course|subject|paper/i.test(text) && !/name|title/i.test(text));
+                    const date = cells.findIndex(text => /date/i.test(text));
+                    if (course >= 0 && date >= 0) {
+                        columns = {
+                            course,
+                            date,
+                            name: cells.findIndex(text => /name|title/i.test(text)),
+                            type: cells.findIndex(text => /type|category/i.test(text)),
+                            time: cells.findIndex(text => /time|slot|timing/i.test(text)),
+                            room: cells.findIndex(text => /room|venue|hall/i.test(text)),
+                            seat: cells.findIndex(text => /seat/i.test(text))
+                        };
+                    }
+                    return;
+                }
+
+                const cell = index => (index >= 0 && cells[index] && cells[index] !== '-' ? cells[index] : null);
+                const match = String(cell(columns.course) || '').match(COURSE_CODE_PATTERN);
+                const date = AcademicCalendar.normalizeDate(cell(columns.date));
+                if (!match || !date) return;
+
+                const examType = cell(columns.type) || 'Exam';
+                const time = cell(columns.time);
+                const exam = {
+                    CourseCode: match[1],
+                    CourseName: match[2].trim() || cell(columns.name),
+                    examType,
+                    kind: ExamScheduleManager.classifyExam(examType),
+                    date,
+                    time,
+                    ...parseExamTime(time),
+                    room: cell(columns.room),
+                    seat: cell(columns.seat)
+                };
+                exams.set(`${exam.CourseCode}|${exam.examType}|${exam.date}`, exam);
+            });
+        });
+
+        return [...exams.values()];
+    }
+
+    async fetchExamSchedule() {
+        await this.timetableManager.ensureSession();
+
+        console.log('📝 Fetching exam schedule from UMS...');
+
+        const html = await this.timetableManager.fetchPage(this.timetableManager.endpoints.get('examSchedulePage'));
+        const exams = this.parseExamSchedule(html);
+        console.log(`✅ Found ${exams.length} exams`);
+
+        return exams;
+    }
+
+    // Scrape UMS when the cache is stale; a failed scrape keeps the cached date sheet
+    async refresh(cacheManager, forceRefresh = false) {
+        const cached = await cacheManager.loadExamCache();
+        if (!forceRefresh && cached && Date.now() - cached.lastUpdate < EXAM_CACHE_TTL_MS) {
+            return cached;
+        }
+
+        try {
+            // An empty date sheet is normal between exam seasons, so it replaces the cache too
+            await cacheManager.saveExamCache(await this.fetchExamSchedule());
+        } catch (error) {
+            console.error('❌ Error fetching exam schedule:', error.message);
+        }
+
+        return await cacheManager.loadExamCache();
+    }
+
+    /**
+     * Cached exams in date order with their start/end instants and status.
+     * Exams without a time are all-day.
+     * @returns {Object} { updatedAt, next, exams: [{ ..., startsAt, endsAt, allDay, status }] }
+     */
+    summarize(examData, now = new Date()) {
+        const exams = (examData ? examData.exams : []).map(exam => {
+            const allDay = exam.start === null;
+            const startsAt = toInstant(exam.date, allDay ? 0 : exam.start);
+            const endsAt = toInstant(exam.date, allDay ? 24 * 60 : exam.end !== null ? exam.end : exam.start + 3 * 60);
+
+            return {
+                ...exam,
+                CourseName: exam.CourseName || this.timetableManager.getCourseName(exam.CourseCode),
+                startsAt: startsAt.toISOString(),
+                endsAt: endsAt.toISOString(),
+                allDay,
+                status: now < startsAt ? 'upcoming' : now < endsAt ? 'ongoing' : 'done'
+            };
+        }).sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.CourseCode.localeCompare(b.CourseCode));
+
+        if (this.verbose) console.log(`📝 Exam schedule with ${exams.length} exams`);
+        return {
+            updatedAt: examData ? new Date(examData.lastUpdate).toISOString() : null,
+            next: exams.find(exam => exam.status !== 'done') || null,
+            exams
+        };
+    }
+}
+
+module.exports = ExamScheduleManager;
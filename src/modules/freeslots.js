@@ -0,0 +1,141 @@
+const ClassDates = require('./classdates.js');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_DAY_START = '09:00';
+const DEFAULT_DAY_END = '17:00';
+const DEFAULT_MIN_MINUTES = 60;
+
+/**
+ * Gaps between classes, per weekday, inside a day window
+ * (FREE_SLOTS_DAY_START - FREE_SLOTS_DAY_END, IST wall-clock time).
+ * Works on processed classes (timeRange in minutes since midnight) and
+ * takes any number of timetables, so common free time for a group is the
+ * same call with several of them. One-off classes only count in their own
+ * week (the week of `options.now`).
+ */
+class FreeSlotFinder {
+    // "09:30" or "9" -> minutes since midnight
+    static parseClock(value) {
+        const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+        const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2] || '0') : NaN;
+
+        if (!match || parseInt(match[2] || '0') > 59 || minutes > 24 * 60) {
+            throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+        }
+        return minutes;
+    }
+
+    // 570 -> "9:30 AM"
+    static formatClock(minutes) {
+        const hour = Math.floor(minutes / 60) % 24;
+        return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+
+    // Weekday name for a Day value; one-off classes use DD-MM-YYYY
+    static getWeekday(dayValue) {
+        return ClassDates.getWeekday(dayValue);
+    }
+
+    /**
+     * Resolve the window and filters from options, falling back to env defaults.
+     * @param {Object} options - { from, to, minMinutes, days, now }
+     */
+    static getOptions(options = {}) {
+        const dayStart = FreeSlotFinder.parseClock(options.from || process.env.FREE_SLOTS_DAY_START || DEFAULT_DAY_START);
+        const dayEnd = FreeSlotFinder.parseClock(options.to || process.env.FREE_SLOTS_DAY_END || DEFAULT_DAY_END);
+        if (dayEnd <= dayStart) {
+            throw new Error('The day must end after it starts');
+        }
+
+        const minMinutes = options.minMinutes !== undefined ? parseInt(options.minMinutes) : DEFAULT_MIN_MINUTES;
+        if (Number.isNaN(minMinutes) || minMinutes < 0) {
+            throw new Error(`Invalid minimum gap "${options.minMinutes}"`);
+        }
+
+        const days = options.days || WEEKDAYS;
+        const unknown = days.find(day => !WEEKDAYS.includes(day) && day !== 'Sunday');
+        if (unknown) {
+            throw new Error(`Invalid day "${unknown}"`);
+        }
+
+        return { dayStart, dayEnd, minMinutes, days, now: options.now || new Date() };
+    }
+
+    // day -> merged busy intervals across every timetable
+    static getBusyByDay(timetables, now = new Date()) {
+        const busy = new Map();
+
+        for (const classes of timetables) {
+            for (const classItem of classes) {
+                if (!classItem.timeRange || !ClassDates.isInWeek(classItem, now)) continue;
+
+                const day = FreeSlotFinder.getWeekday(classItem.Day);
+                if (!busy.has(day)) busy.set(day, []);
+                busy.get(day).push({ start: classItem.timeRange.start, end: classItem.timeRange.end });
+            }
+        }
+
+        for (const [day, intervals] of busy) {
+            intervals.sort((a, b) => a.start - b.start);
+
+            const merged = [];
+            for (const interval of intervals) {
+                const last = merged[merged.length - 1];
+                if (last && interval.start <= last.end) {
+                    last.end = Math.max(last.end, interval.end);
+                } else {
+                    merged.push({ ...interval });
+                }
+            }
+            busy.set(day, merged);
+        }
+
+        return busy;
+    }
+
+    /**
+     * Free time shared by every timetable.
+     * @param {Array<Array>} timetables - processed classes, one array per person
+     * @returns {Array} [{ day, classCount, freeMinutes, slots: [{ start, end, minutes, label }] }]
+     */
+    static findCommonFreeSlots(timetables, options = {}) {
+        const { dayStart, dayEnd, minMinutes, days, now } = FreeSlotFinder.getOptions(options);
+        const busyByDay = FreeSlotFinder.getBusyByDay(timetables, now);
+
+        return days.map(day => {
+            const busy = busyByDay.get(day) || [];
+            const slots = [];
+            let cursor = dayStart;
+
+            for (const interval of [...busy, { start: dayEnd, end: dayEnd }]) {
+                const end = Math.min(interval.start, dayEnd);
+                if (end - cursor >= Math.max(minMinutes, 1)) {
+                    slots.push({
+                        start: cursor,
+                        end,
+                        minutes: end - cursor,
+                        label: `${FreeSlotFinder.formatClock(cursor)} - ${FreeSlotFinder.formatClock(end)}`
+                    });
+                }
+                cursor = Math.max(cursor, interval.end);
+                if (cursor >= dayEnd) break;
+            }
+
+            return {
+                day,
+                classCount: timetables.reduce((count, classes) =>
+                    count + classes.filter(c => ClassDates.isInWeek(c, now) && FreeSlotFinder.getWeekday(c.Day) === day).length, 0),
+                freeMinutes: slots.reduce((total, slot) => total + slot.minutes, 0),
+                slots
+            };
+        });
+    }
+
+    static findFreeSlots(classes, options = {}) {
+        return FreeSlotFinder.findCommonFreeSlots([classes], options);
+    }
+}
+
+FreeSlotFinder.WEEKDAYS = WEEKDAYS;
+
+module.exports = FreeSlotFinder;
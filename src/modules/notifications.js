@@ -1,52 +1,142 @@
-const axios = require('axios');
-
-// TODO: This server-side notification module is ready for OneSignal integration
-// When implementing OneSignal, ensure the client-side notification UI is re-enabled
-// and properly connected to this backend service
+const fs = require('fs').promises;
+const path = require('path');
+const WebPush = require('./webpush.js');
 
+// Schedule change notifications over standard Web Push (VAPID).
+// Each user's browser subscriptions are stored next to their timetable data.
 class NotificationManager {
-    constructor() {
-        this.appId = process.env.ONESIGNAL_APP_ID;
-        this.apiKey = process.env.ONESIGNAL_API_KEY;
-        this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+    constructor(options = {}) {
+        // Use /tmp directory for Vercel serverless, local path for development
+        const isVercel = process.env.VERCEL === '1';
+        const baseDir = isVercel ? '/tmp' : './src/data';
+
+        this.userId = options.userId || null;
+        const dataDir = this.userId ? path.join(baseDir, 'users', this.userId) : baseDir;
+        this.SUBSCRIPTIONS_FILE = path.join(dataDir, 'push_subscriptions.json');
+        this.webPush = options.webPush || new WebPush();
+        this.appUrl = process.env.APP_URL || process.env.PUBLIC_URL || '/';
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+
+        // In-memory copy for when the data directory is not writable
+        this.memorySubscriptions = null;
     }
 
-    async sendOneSignalNotification(title, message, data = {}) {
+    static isValidSubscription(subscription) {
+        if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+            return false;
+        }
+
         try {
-            const notificationData = {
-                app_id: this.appId,
-                headings: { en: title },
-                contents: { en: message },
-                included_segments: ["All"],
-                data: data,
-                url: this.appUrl,
-                chrome_web_icon: `${this.appUrl}/assets/icons/icon-192.png`,
-                small_icon: `${this.appUrl}/assets/icons/icon-48.png`,
-                large_icon: `${this.appUrl}/assets/icons/icon-512.png`,
-                web_buttons: [
-                    {
-                        id: "open_app",
-                        text: "Open App",
-                        icon: `${this.appUrl}/assets/icons/icon-48.png`,
-                        url: this.appUrl
-                    }
-                ]
-            };
-
-            const response = await axios.post('https://onesignal.com/api/v1/notifications', notificationData, {
-                headers: {
-                    'Authorization': `Basic ${this.apiKey}`,
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Accept': 'application/json'
-                }
-            });
+            const url = new URL(subscription.endpoint);
+            // Push services are HTTPS; plain HTTP only for a local stand-in endpoint
+            const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+            return url.protocol === 'https:' || (url.protocol === 'http:' && isLocal && process.env.NODE_ENV !== 'production');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async loadSubscriptions() {
+        if (this.memorySubscriptions) return this.memorySubscriptions;
 
-            console.log('📱 OneSignal notification sent:', response.data);
-            return response.data;
+        try {
+            const content = await fs.readFile(this.SUBSCRIPTIONS_FILE, 'utf8');
+            this.memorySubscriptions = JSON.parse(content).subscriptions || [];
         } catch (error) {
-            console.error('❌ Failed to send OneSignal notification:', error.message);
-            return null;
+            this.memorySubscriptions = [];
+        }
+
+        return this.memorySubscriptions;
+    }
+
+    async saveSubscriptions(subscriptions) {
+        this.memorySubscriptions = subscriptions;
+
+        try {
+            await fs.mkdir(path.dirname(this.SUBSCRIPTIONS_FILE), { recursive: true });
+            await fs.writeFile(this.SUBSCRIPTIONS_FILE, JSON.stringify({
+                subscriptions,
+                updatedAt: new Date().toISOString()
+            }, null, 2));
+        } catch (error) {
+            if (this.verbose) console.log('⚠️ Push subscription store unavailable, using memory only');
+        }
+    }
+
+    async addSubscription(subscription) {
+        if (!NotificationManager.isValidSubscription(subscription)) {
+            throw new Error('Invalid push subscription');
+        }
+
+        const entry = {
+            endpoint: subscription.endpoint,
+            keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+            createdAt: new Date().toISOString()
+        };
+
+        // Re-subscribing from the same browser replaces the old keys
+        const subscriptions = (await this.loadSubscriptions()).filter(s => s.endpoint !== entry.endpoint);
+        subscriptions.push(entry);
+        await this.saveSubscriptions(subscriptions);
+
+        console.log(`🔔 Push subscription added for ${this.userId || 'default user'} (${subscriptions.length} total)`);
+        return entry;
+    }
+
+    async removeSubscription(endpoint) {
+        const subscriptions = await this.loadSubscriptions();
+        const remaining = subscriptions.filter(s => s.endpoint !== endpoint);
+
+        if (remaining.length !== subscriptions.length) {
+            await this.saveSubscriptions(remaining);
+            return true;
         }
+        return false;
+    }
+
+    // Sends to every subscribed browser; subscriptions the push service
+    // reports as gone are dropped
+    async sendPushNotification(title, message, data = {}) {
+        if (!this.isConfigured()) {
+            if (this.verbose) console.log('⚠️ VAPID keys not set, skipping push notification');
+            return { sent: 0, failed: 0 };
+        }
+
+        const subscriptions = await this.loadSubscriptions();
+        const payload = JSON.stringify({
+            title,
+            body: message,
+            icon: '/assets/icons/icon-192.png',
+            badge: '/assets/icons/icon-96.png',
+            url: this.appUrl,
+            data
+        });
+
+        let sent = 0;
+        let failed = 0;
+        const expired = [];
+
+        for (const subscription of subscriptions) {
+            try {
+                const result = await this.webPush.send(subscription, payload);
+                if (result.expired) {
+                    expired.push(subscription.endpoint);
+                } else {
+                    sent++;
+                }
+            } catch (error) {
+                failed++;
+                console.error('❌ Failed to send push notification:', error.message);
+            }
+        }
+
+        if (expired.length > 0) {
+            await this.saveSubscriptions(subscriptions.filter(s => !expired.includes(s.endpoint)));
+            console.log(`🧹 Removed ${expired.length} expired push subscriptions`);
+        }
+
+        if (sent > 0) console.log(`📱 Push notification sent to ${sent} device${sent !== 1 ? 's' : ''}`);
+        return { sent, failed };
     }
 
     async sendScheduleChangeNotifications(changes) {
@@ -55,11 +145,11 @@ class NotificationManager {
         }
 
         console.log(`📊 Sending notifications for ${changes.length} schedule changes`);
-        
+
         // Send notifications for each change
         for (const change of changes) {
             let title, message;
-            
+
             switch (change.type) {
                 case 'added':
                     title = '📚 New Class Added';
@@ -73,10 +163,14 @@ class NotificationManager {
                     title = '✏️ Class Updated';
                     message = change.message;
                     break;
+                case 'moved':
+                    title = '🔀 Class Moved';
+                    message = change.message;
+                    break;
             }
-            
+
             // Send notification
-            await this.sendOneSignalNotification(title, message, {
+            await this.sendPushNotification(title, message, {
                 changeType: change.type,
                 courseCode: change.class.CourseCode,
                 day: change.class.Day,
@@ -86,15 +180,15 @@ class NotificationManager {
     }
 
     async sendTestNotification() {
-        return await this.sendOneSignalNotification(
-            "🧪 Test Notification", 
+        return await this.sendPushNotification(
+            "🧪 Test Notification",
             "This is a test notification to verify proper formatting!",
             { test: true, timestamp: Date.now() }
         );
     }
 
     isConfigured() {
-        return !!(this.appId && this.apiKey);
+        return this.webPush.isConfigured();
     }
 }
 
@@ -0,0 +1,108 @@
+const TimetableSchema = require('./schema.js');
+
+const RATE_LIMIT_MINUTES = 10; // Minimum gap between UMS fetches per user and term
+
+// userId|termId -> in-flight refresh, so a scheduled run and a manual tap share one fetch
+const inFlight = new Map();
+
+/**
+ * One timetable refresh for one user and term: course names, UMS fetch,
+ * drift check, change detection, push notifications, cache, then
+ * attendance, the academic calendar and exams. Shared by POST /api/refresh
+ * and the scheduled refresh worker so both obey the same rate limit.
+ */
+class TimetableRefresher {
+    static get RATE_LIMIT_MINUTES() {
+        return RATE_LIMIT_MINUTES;
+    }
+
+    // Milliseconds until the next refresh is allowed (0 = allowed now)
+    static getRateLimitRemaining(cacheData, now = Date.now()) {
+        if (!cacheData || !(cacheData.lastUpdate || cacheData.timestamp)) {
+            return 0;
+        }
+
+        // Use lastUpdate (milliseconds) for accurate rate limiting, fallback to timestamp
+        const lastUpdateMs = cacheData.lastUpdate || new Date(cacheData.timestamp).getTime();
+        return Math.max(0, lastUpdateMs + RATE_LIMIT_MINUTES * 60000 - now);
+    }
+
+    /**
+     * @param {Object} context - per-user managers from UserManager.getUserContext
+     * @returns {Promise<Object>} { rateLimited: true, remainingMs, lastUpdateMs } or
+     *   { rateLimited: false, termId, data, changes, parseWarning }; on a parseWarning
+     *   data is the cached timetable, which was kept
+     */
+    static async refresh(context, termId) {
+        const key = `${context.userId}|${termId}`;
+        if (inFlight.has(key)) {
+            return await inFlight.get(key);
+        }
+
+        const promise = TimetableRefresher.run(context, termId);
+        inFlight.set(key, promise);
+        try {
+            return await promise;
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    static async run(context, termId) {
+        const cacheManager = context.cacheManager.forTerm(termId);
+
+        // Check rate limit: 10 minutes between refreshes. A rejected parse
+        // counts as a fetch too, so a broken UMS page isn't hit on every tap.
+        const cacheData = await cacheManager.loadTimetableCache();
+        const lastReport = await cacheManager.loadParseReport();
+        const lastFetch = lastReport && !lastReport.ok && lastReport.lastUpdate > ((cacheData && cacheData.lastUpdate) || 0)
+            ? lastReport
+            : cacheData;
+        const remainingMs = TimetableRefresher.getRateLimitRemaining(lastFetch);
+        if (remainingMs > 0) {
+            const lastUpdateMs = lastFetch.lastUpdate || new Date(lastFetch.timestamp).getTime();
+            return { rateLimited: true, remainingMs, lastUpdateMs };
+        }
+
+        // Update course names first so fresh data is parsed with them
+        await context.courseCatalogue.refresh(cacheManager);
+
+        // Fetch fresh data
+        const freshData = await context.timetableManager.fetchFreshTimetableData(termId);
+        console.log(`✅ Fetched ${freshData.length} classes for term ${termId}`);
+
+        // Refuse to replace a good cache with a parse that looks broken (UMS markup drift)
+        const report = context.timetableManager.getParseReport(termId);
+        const previousCount = cacheData ? cacheData.data.length : 0;
+        const parseWarning = TimetableSchema.detectDrift(report, previousCount);
+        await cacheManager.saveParseReport({ ...report, ok: !parseWarning, reason: parseWarning, previousCount });
+
+        let data = freshData;
+        let changes = { hasChanges: false, changes: [] };
+        if (parseWarning) {
+            console.error(`❌ Timetable parse rejected for term ${termId}: ${parseWarning}`);
+            data = cacheData.data;
+        } else {
+            // Detect changes (history is kept per term)
+            changes = await cacheManager.detectScheduleChangesWithPersistence(freshData);
+            if (changes.hasChanges) {
+                console.log(`📊 Detected ${changes.changes.length} changes`);
+                await context.notificationManager.sendScheduleChangeNotifications(changes.changes);
+            }
+
+            // Save cache
+            await cacheManager.saveTimetableCache(freshData, context.authManager.getSessionCookies());
+        }
+
+        // UMS only shows attendance, the academic calendar and exams for the running term; reuse the fresh session
+        if (termId === await context.termManager.resolveTermId()) {
+            await context.attendanceManager.refresh(cacheManager);
+            await context.academicCalendar.refresh(cacheManager);
+            await context.examManager.refresh(cacheManager);
+        }
+
+        return { rateLimited: false, termId, data, changes, parseWarning };
+    }
+}
+
+module.exports = TimetableRefresher;
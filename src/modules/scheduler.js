@@ -0,0 +1,235 @@
+const TimetableRefresher = require('./refresher.js');
+
+const DEFAULT_CRON = '0 8-18 * * 1-6'; // Hourly, 8 AM - 6 PM IST, Monday to Saturday
+const DEFAULT_JITTER_SECONDS = 300;
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+// Field bounds: minute, hour, day of month, month, day of week (0 or 7 = Sunday)
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Standard 5-field cron expression ("*", lists, ranges and steps),
+ * evaluated in IST regardless of the server's timezone.
+ */
+class CronSchedule {
+    constructor(expression) {
+        this.expression = String(expression || '').trim();
+        const parts = this.expression.split(/\s+/);
+
+        if (parts.length !== 5) {
+            throw new Error(`Cron expression "${this.expression}" needs 5 fields`);
+        }
+
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map((part, index) =>
+            CronSchedule.parseField(part, FIELDS[index])
+        );
+
+        // Sunday can be written as 7
+        if (this.weekdays.has(7)) this.weekdays.add(0);
+
+        // As in cron: when both day fields are restricted, either may match
+        this.daysRestricted = parts[2] !== '*';
+        this.weekdaysRestricted = parts[4] !== '*';
+    }
+
+    static parseField(part, field) {
+        const values = new Set();
+
+        for (const item of part.split(',')) {
+            const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cron ${field.name} "${item}"`);
+            }
+
+            const [, startText, endText, stepText] = match;
+            const start = startText === '*' ? field.min : parseInt(startText);
+            const end = startText === '*' ? field.max : endText !== undefined ? parseInt(endText) : stepText ? field.max : start;
+            const step = stepText ? parseInt(stepText) : 1;
+
+            if (start < field.min || end > field.max || start > end || step < 1) {
+                throw new Error(`Cron ${field.name} "${item}" is out of range`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    matches(date) {
+        const ist = new Date(date.getTime() + IST_OFFSET_MS);
+
+        if (!this.minutes.has(ist.getUTCMinutes()) || !this.hours.has(ist.getUTCHours()) || !this.months.has(ist.getUTCMonth() + 1)) {
+            return false;
+        }
+
+        const dayMatches = this.days.has(ist.getUTCDate());
+        const weekdayMatches = this.weekdays.has(ist.getUTCDay());
+
+        if (this.daysRestricted && this.weekdaysRestricted) {
+            return dayMatches || weekdayMatches;
+        }
+        return dayMatches && weekdayMatches;
+    }
+
+    // First matching minute strictly after `after`
+    next(after = new Date()) {
+        const candidate = new Date(after.getTime());
+        candidate.setUTCSeconds(0, 0);
+
+        for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+            candidate.setTime(candidate.getTime() + 60000);
+            if (this.matches(candidate)) {
+                return new Date(candidate.getTime());
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Refreshes every known user's current-term timetable on a cron schedule
+ * (REFRESH_CRON). Users are spread over REFRESH_JITTER_SECONDS so UMS never
+ * sees a burst of logins, and each refresh goes through TimetableRefresher,
+ * so the 10-minute rate limit, change detection and push notifications
+ * behave exactly as for a manual refresh.
+ */
+class RefreshScheduler {
+    constructor(options = {}) {
+        this.userManager = options.userManager;
+        this.schedule = new CronSchedule(options.cron || process.env.REFRESH_CRON || DEFAULT_CRON);
+
+        const jitter = options.jitterSeconds !== undefined ? options.jitterSeconds : parseInt(process.env.REFRESH_JITTER_SECONDS);
+        this.jitterMs = (Number.isNaN(jitter) ? DEFAULT_JITTER_SECONDS : Math.max(0, jitter)) * 1000;
+
+        this.timer = null;
+        this.nextRun = null;
+        this.running = null;
+        this.lastRun = null;
+    }
+
+    start() {
+        this.stop();
+
+        const nextRun = this.schedule.next();
+        if (!nextRun) {
+            console.error(`❌ Refresh schedule "${this.schedule.expression}" never fires`);
+            return null;
+        }
+
+        // Long waits are chained so setTimeout's ~24.8 day limit never matters
+        const delay = Math.min(nextRun.getTime() - Date.now(), 24 * 60 * 60 * 1000);
+        this.timer = setTimeout(async () => {
+            if (Date.now() >= nextRun.getTime()) {
+                await this.runOnce().catch(error => console.error('❌ Scheduled refresh failed:', error.message));
+            }
+            this.start();
+        }, delay);
+        // Never keep the process alive just for the schedule
+        if (this.timer.unref) this.timer.unref();
+
+        this.nextRun = nextRun;
+        return nextRun;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Refresh every user once.
+     * @param {Object} options - { jitterMs } overrides the configured jitter
+     * @returns {Promise<Object>} summary with refreshed/rateLimited/failed counts
+     */
+    async runOnce(options = {}) {
+        // A run that overlaps the next tick just finishes; no second run piles on
+        if (this.running) {
+            console.log('⏭️ Scheduled refresh still running, skipping');
+            return await this.running;
+        }
+
+        this.running = this.refreshAll(options.jitterMs !== undefined ? options.jitterMs : this.jitterMs);
+        try {
+            this.lastRun = await this.running;
+            return this.lastRun;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    async refreshAll(jitterMs) {
+        const startedAt = new Date();
+        const userIds = await this.userManager.listUserIds();
+        const summary = {
+            startedAt: startedAt.toISOString(),
+            users: userIds.length,
+            refreshed: 0,
+            rateLimited: 0,
+            failed: 0,
+            changes: 0,
+            results: []
+        };
+
+        console.log(`⏰ Scheduled refresh for ${userIds.length} user${userIds.length !== 1 ? 's' : ''}`);
+
+        // Each user gets a random offset within the jitter window, run one at a time
+        const plan = userIds
+            .map(userId => ({ userId, offsetMs: Math.floor(Math.random() * jitterMs) }))
+            .sort((a, b) => a.offsetMs - b.offsetMs);
+
+        for (const { userId, offsetMs } of plan) {
+            const waitMs = startedAt.getTime() + offsetMs - Date.now();
+            if (waitMs > 0) await this.sleep(waitMs);
+
+            const result = { userId };
+            try {
+                const context = await this.userManager.getUserContext(userId);
+                if (!context) throw new Error('Unknown user');
+
+                const termId = await context.termManager.resolveTermId();
+                const refresh = await TimetableRefresher.refresh(context, termId);
+                result.term = termId;
+
+                if (refresh.rateLimited) {
+                    result.status = 'rate-limited';
+                    summary.rateLimited++;
+                } else {
+                    result.status = 'refreshed';
+                    result.changes = refresh.changes.hasChanges ? refresh.changes.changes.length : 0;
+                    if (refresh.parseWarning) result.parseWarning = refresh.parseWarning;
+                    summary.refreshed++;
+                    summary.changes += result.changes;
+                }
+            } catch (error) {
+                console.error(`❌ Scheduled refresh failed for ${userId}:`, error.message);
+                result.status = 'failed';
+                result.error = error.message;
+                summary.failed++;
+            }
+            summary.results.push(result);
+        }
+
+        summary.finishedAt = new Date().toISOString();
+        console.log(`✅ Scheduled refresh done: ${summary.refreshed} refreshed, ${summary.rateLimited} rate-limited, ${summary.failed} failed`);
+        return summary;
+    }
+}
+
+module.exports = { CronSchedule, RefreshScheduler };
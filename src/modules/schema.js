@@ -0,0 +1,82 @@
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const ONE_OFF_DAY_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+const MAX_DROP_RATIO = 0.5; // A refresh that loses more than half the classes is treated as a broken parse
+const MAX_RAW_HTML = 500; // Characters of an unreadable event kept for debugging
+const MAX_INVALID_KEPT = 20;
+
+const isMinutes = value => Number.isInteger(value) && value >= 0 && value <= 24 * 60;
+
+// Checked on every class parseTimetableHTML extracts; a failing rule's message says what UMS sent wrong
+const CLASS_RULES = [
+    { field: 'Day', test: value => WEEKDAYS.includes(value) || ONE_OFF_DAY_PATTERN.test(value), message: 'day is not a weekday or DD-MM-YYYY date' },
+    { field: 'CourseCode', test: value => /^[A-Z0-9]{3,12}$/.test(value || ''), message: 'no course code (C:) in the title' },
+    { field: 'StartMinutes', test: isMinutes, message: 'no readable time slot' },
+    { field: 'EndMinutes', test: (value, item) => isMinutes(value) && value > item.StartMinutes, message: 'time slot ends before it starts' },
+    { field: 'Type', test: value => ['Lecture', 'Practical', 'Tutorial'].includes(value), message: 'unknown class type' },
+    { field: 'Group', test: value => value === null || /^(\d+|All)$/i.test(value), message: 'malformed group (G:)' },
+    { field: 'Section', test: value => value === null || /^[A-Z0-9]+$/.test(value), message: 'malformed section (S:)' },
+    { field: 'Room', test: value => value === null || value.length > 0, message: 'empty room (R:)' }
+];
+
+/**
+ * What a parsed UMS timetable must look like. parseTimetableHTML checks every
+ * extracted class against CLASS_RULES and keeps the events that fail, with
+ * their raw HTML, in a parse report; detectDrift compares that report with
+ * the cached timetable so a UMS markup change can't wipe out a good cache.
+ */
+class TimetableSchema {
+    /**
+     * @returns {string[]} why the class is unusable; empty when it is valid
+     */
+    static validateClass(classItem) {
+        return CLASS_RULES
+            .filter(({ field, test }) => !test(classItem[field] === undefined ? null : classItem[field], classItem))
+            .map(({ message }) => message);
+    }
+
+    // An unreadable event as kept in the parse report
+    static describeInvalid(day, title, html, errors) {
+        const raw = String(html || '').replace(/\s+/g, ' ').trim();
+        return {
+            day: day || null,
+            title: title || null,
+            errors,
+            html: raw.length > MAX_RAW_HTML ? `${raw.slice(0, MAX_RAW_HTML)}…` : raw
+        };
+    }
+
+    static createReport({ days, events, classes, invalid }) {
+        return {
+            days,
+            events,
+            classCount: classes.length,
+            invalidCount: invalid.length,
+            invalid: invalid.slice(0, MAX_INVALID_KEPT)
+        };
+    }
+
+    /**
+     * Why a fresh parse must not replace the cached timetable, or null when it may.
+     * Only a cache with classes is protected: a first fetch is always kept.
+     * @param {Object} report - from TimetableManager.getParseReport
+     * @param {number} previousCount - classes in the current cache
+     */
+    static detectDrift(report, previousCount) {
+        if (!report || !previousCount) return null;
+
+        if (report.classCount === 0) {
+            return report.days === 0
+                ? `UMS timetable markup not recognised (no days found); keeping the ${previousCount} cached classes`
+                : `UMS returned no readable classes (${report.invalidCount} unreadable); keeping the ${previousCount} cached classes`;
+        }
+        if (report.invalidCount > report.classCount) {
+            return `${report.invalidCount} of ${report.events} timetable entries could not be read; keeping the ${previousCount} cached classes`;
+        }
+        if (report.classCount < previousCount * MAX_DROP_RATIO) {
+            return `Only ${report.classCount} classes parsed, down from ${previousCount}; keeping the cached timetable`;
+        }
+        return null;
+    }
+}
+
+module.exports = TimetableSchema;
@@ -0,0 +1,118 @@
+const TERMS_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Re-discover terms once a day
+
+class TermManager {
+    constructor(timetableManager, cacheManager) {
+        this.timetableManager = timetableManager;
+        this.cacheManager = cacheManager;
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    static isValidTermId(termId) {
+        return /^\d{5,6}$/.test(String(termId || ''));
+    }
+
+    // UMS_TERMS="25261:Aug-Dec 2025,25252:Jan-May 2025"
+    static getConfiguredTerms() {
+        return (process.env.UMS_TERMS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const [id, ...nameParts] = entry.split(':');
+                return { id: id.trim(), name: nameParts.join(':').trim() || id.trim(), source: 'config' };
+            })
+            .filter(term => TermManager.isValidTermId(term.id));
+    }
+
+    // Last resort when UMS and config both come up empty. TermIds follow
+    // <yy><yy+1><n>, e.g. 25261 = 2025-26 odd term, 25262 = 2025-26 even term.
+    static guessCurrentTermId(date = new Date()) {
+        const year = date.getFullYear() % 100;
+        const month = date.getMonth() + 1;
+        const pad = n => String(n).padStart(2, '0');
+
+        return month >= 7
+            ? `${pad(year)}${pad(year + 1)}1`
+            : `${pad(year - 1)}${pad(year)}2`;
+    }
+
+    async discoverTerms(options = {}) {
+        const { forceRefresh = false, offline = false } = options;
+
+        const cached = await this.cacheManager.loadTermsCache();
+        if (!forceRefresh && cached && (offline || Date.now() - cached.lastUpdate < TERMS_CACHE_TTL_MS)) {
+            return cached.terms;
+        }
+
+        // Reading a cached timetable should never trigger a UMS login
+        if (offline) {
+            return [];
+        }
+
+        try {
+            const terms = await this.timetableManager.fetchAvailableTerms();
+            if (terms.length > 0) {
+                await this.cacheManager.saveTermsCache(terms);
+                return terms;
+            }
+        } catch (error) {
+            console.error('❌ Error discovering terms:', error.message);
+        }
+
+        // Keep serving the last known list if UMS is unavailable
+        return cached ? cached.terms : [];
+    }
+
+    async getTerms(options = {}) {
+        const termsById = new Map();
+
+        for (const term of await this.discoverTerms(options)) {
+            termsById.set(term.id, { id: term.id, name: term.name, source: 'ums', selected: term.selected });
+        }
+
+        // Configured names win over scraped ones
+        for (const term of TermManager.getConfiguredTerms()) {
+            termsById.set(term.id, { ...termsById.get(term.id), ...term });
+        }
+
+        const currentTermId = this.pickCurrentTermId([...termsById.values()]);
+        if (!termsById.has(currentTermId)) {
+            termsById.set(currentTermId, { id: currentTermId, name: currentTermId, source: 'default' });
+        }
+
+        const terms = [...termsById.values()]
+            .sort((a, b) => b.id.localeCompare(a.id))
+            .map(({ selected, ...term }) => ({ ...term, current: term.id === currentTermId }));
+
+        return { terms, currentTermId };
+    }
+
+    pickCurrentTermId(terms) {
+        if (TermManager.isValidTermId(process.env.UMS_TERM_ID)) {
+            return process.env.UMS_TERM_ID;
+        }
+
+        const selected = terms.find(term => term.selected);
+        if (selected) return selected.id;
+
+        if (terms.length > 0) {
+            return terms.map(term => term.id).sort().pop();
+        }
+
+        return TermManager.guessCurrentTermId();
+    }
+
+    async resolveTermId(requestedTermId, options = {}) {
+        if (requestedTermId) {
+            if (!TermManager.isValidTermId(requestedTermId)) {
+                throw new Error(`Invalid term "${requestedTermId}"`);
+            }
+            return String(requestedTermId);
+        }
+
+        const { currentTermId } = await this.getTerms(options);
+        return currentTermId;
+    }
+}
+
+module.exports = TermManager;
@@ -1,35 +1,36 @@
 const https = require('https');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const CourseCatalogue = require('./courses.js');
+const BuildingDirectory = require('./buildings.js');
+const ClassDates = require('./classdates.js');
+const ClassTimes = require('./classtimes.js');
+const UmsEndpoints = require('./endpoints.js');
+const TimetableSchema = require('./schema.js');
 
 class TimetableManager {
-    constructor(authManager) {
+    constructor(authManager, options = {}) {
         this.authManager = authManager;
         this.httpsAgent = new https.Agent({
             rejectUnauthorized: false
         });
         
-        // Course data
- this.COURSE_DATA = [
-    {"CourseCode": "CAP100M", "CourseName": "PROGRAMME ORIENTATION"},
-    {"CourseCode": "CAP443", "CourseName": "LINUX AND SHELL SCRIPTING - LAB"},
-    {"CourseCode": "CAP455", "CourseName": "OBJECT ORIENTED PROGRAMMING USING C++"},
-    {"CourseCode": "CAP476", "CourseName": "DATA COMMUNICATION AND NETWORKING"},
-    {"CourseCode": "CAP477", "CourseName": "ADVANCED INTERNET PROGRAMMING USING JAVA"},
-    {"CourseCode": "CAP478", "CourseName": "DATA COMMUNICATION AND NETWORKING - LABORATORY"},
-    {"CourseCode": "CAP570", "CourseName": "ADVANCED DATABASE TECHNIQUES"},
-    {"CourseCode": "CAP598", "CourseName": "SOFTWARE ENGINEERING AND PROJECT MANAGEMENT"},
-    {"CourseCode": "CAC203", "CourseName": "AI ASSISTED CYBER SECURITY FUNDAMENTAL"},
-    {"CourseCode": "MTH403", "CourseName": "MATHEMATICAL FOUNDATION FOR COMPUTER SCIENCE"},
-    {"CourseCode": "PEA515", "CourseName": "ANALYTICAL SKILLS-I"},
-    {"CourseCode": "PEL544", "CourseName": "CORPORATE COMMUNICATION SKILLS"},
-    {"CourseCode": "PETV67", "CourseName": "BUILDING WEALTH"}
-];
+        // Shared with the UMS scrapers built on fetchPage (e.g. CourseCatalogue)
+        this.endpoints = options.endpoints || new UmsEndpoints();
+        
+        // termId -> report of the last parse, checked by the refresher before caching
+        this.parseReports = new Map();
+        
+        // Course names come from CourseCatalogue; built-in defaults until it loads
+        this.setCourseCatalogue(CourseCatalogue.DEFAULT_COURSES);
+    }
+
+    setCourseCatalogue(courses) {
+        this.courseNames = new Map(courses.map(c => [c.CourseCode, c.CourseName]));
     }
 
     getCourseName(courseCode) {
-        const course = this.COURSE_DATA.find(c => c.CourseCode === courseCode);
-        return course ? course.CourseName : courseCode;
+        return this.courseNames.get(courseCode) || courseCode;
     }
 
     parseClassDescription(description) {
@@ -97,166 +98,203 @@ class TimetableManager {
         return info;
     }
 
-    parseTimeRange(timeStr) {
-        // Parse "09-10 AM" or "12-01 PM" format
-        const [timeRange, period] = timeStr.split(' ');
-        const [startHour, endHour] = timeRange.split('-').map(h => parseInt(h));
-        
-        let start = startHour;
-        let end = endHour;
-        
-        // Convert to 24-hour format
-        if (period === 'PM') {
-            // For PM times, add 12 unless it's 12 PM (noon)
-            if (start !== 12) {
-                start += 12;
-            }
-            // For end time in PM
-            if (end !== 12) {
-                end += 12;
-            }
-            // Handle special case where end hour is smaller (like 12-01 PM)
-            if (end <= start) {
-                end = start + 1;
-            }
-        } else if (period === 'AM') {
-            // For AM times, 12 AM becomes 0 (midnight)
-            if (start === 12) {
-                start = 0;
-            }
-            if (end === 12) {
-                end = 12; // 12 noon
-            } else if (end < start) {
-                end += 12; // Next day or wrap around
-            }
-        }
-        
-        return {
-            start: start * 60,
-            end: end * 60
-        };
-    }
-
     processClassItem(classItem) {
         const parsedInfo = this.parseClassDescription(classItem.Description);
-        const timeRange = this.parseTimeRange(classItem.AttendanceTime);
+        const timeRange = ClassTimes.getRange(classItem);
         
-        // Override building/room fields with parsed values to ensure consistency
+        // Override building/room/name fields with parsed values to ensure consistency
+        // Date is set only for one-off (makeup/extra) classes, which happen on that date alone
         return {
             ...classItem,
+            Date: ClassDates.getDate(classItem.Day),
+            Weekday: ClassDates.getWeekday(classItem.Day),
+            OneOff: ClassDates.isOneOff(classItem),
+            CourseName: parsedInfo.courseName,
             Building: parsedInfo.building,
             RoomNumber: parsedInfo.roomNumber,
             Room: parsedInfo.room,
+            Location: BuildingDirectory.lookup(parsedInfo.building, parsedInfo.roomNumber),
             parsedInfo,
             timeRange
         };
     }
 
     parseTimetableHTML(htmlContent) {
+        return this.parseTimetable(htmlContent).classes;
+    }
+
+    /**
+     * Classes from the GetTimeTable HTML, each checked against TimetableSchema.
+     * Events that fail are left out and listed in the report with their raw HTML
+     * instead of being guessed at.
+     * @returns {Object} { classes, report }
+     */
+    parseTimetable(htmlContent) {
         const $ = cheerio.load(htmlContent);
         const timetableData = [];
+        const invalid = [];
+        let events = 0;
         
         // Extract data from each day's schedule
-        $('.w-schedule__day').each((dayIndex, dayElement) => {
+        const $days = $('.w-schedule__day');
+        $days.each((dayIndex, dayElement) => {
             const dayName = $(dayElement).find('.w-schedule__col-label').text().trim();
             
             $(dayElement).find('.w-schedule__event-wrapper').each((eventIndex, eventElement) => {
                 const $event = $(eventElement);
-                const title = $event.attr('title');
-                const $link = $event.find('a');
-                const onclick = $link.attr('onclick');
+                const title = ($event.attr('title') || '').trim();
+                const onclick = $event.find('a').attr('onclick') || '';
+                events++;
                 
-                if (title && onclick) {
-                    // Extract time from onclick function - look for time pattern like "09:00-10:00"
-                    const timeMatch = onclick.match(/"(\d{2}:\d{2}-\d{2}:\d{2})"/);
-                    const timeStr = timeMatch ? timeMatch[1] : '';
-                    
-                    
-                    // Parse the title to extract class information
-                    const classInfo = this.parseClassDescription(title);
-                    
-                    // Convert time format (e.g., "09:00-10:00" to "09-10 AM")
-                    let attendanceTime = '';
-                    if (timeStr && timeStr.includes('-')) {
-                        const [startTime, endTime] = timeStr.split('-');
-                        const startHour = parseInt(startTime.split(':')[0]);
-                        const endHour = parseInt(endTime.split(':')[0]);
-                        
-                        if (!isNaN(startHour) && !isNaN(endHour)) {
-                            if (startHour < 12) {
-                                attendanceTime = `${startHour}-${endHour} AM`;
-                            } else if (startHour === 12) {
-                                attendanceTime = `${startHour}-${endHour} PM`;
-                            } else {
-                                attendanceTime = `${startHour - 12}-${endHour - 12} PM`;
-                            }
-                        } else {
-                            attendanceTime = '09-10 AM'; // Default time slot
-                        }
-                    } else {
-                        // Fallback: try to extract time from the title or use a default
-                        attendanceTime = '09-10 AM'; // Default time slot
-                    }
-                    
-                    timetableData.push({
-                        Description: title,
-                        AttendanceTime: attendanceTime,
-                        Day: dayName,
-                        // Add other fields that might be needed
-                        CourseCode: classInfo.course,
-                        CourseName: classInfo.courseName,
-                        Room: classInfo.room,
-                        Building: classInfo.building,
-                        RoomNumber: classInfo.roomNumber,
-                        Group: classInfo.group,
-                        Section: classInfo.section,
-                        Type: classInfo.type
-                    });
+                // UMS passes the slot as a 24-hour range, e.g. "09:00-10:00"
+                const timeMatch = onclick.match(/"(\d{2}:\d{2}-\d{2}:\d{2})"/);
+                const slot = (timeMatch && ClassTimes.parseUmsRange(timeMatch[1])) || { start: null, end: null };
+                
+                // Parse the title to extract class information
+                const classInfo = this.parseClassDescription(title);
+                
+                const classItem = {
+                    Description: title,
+                    AttendanceTime: slot.start !== null ? ClassTimes.formatLabel(slot.start, slot.end) : null, // display only
+                    StartMinutes: slot.start,
+                    EndMinutes: slot.end,
+                    Day: dayName,
+                    // Add other fields that might be needed
+                    CourseCode: classInfo.course,
+                    CourseName: classInfo.courseName,
+                    Room: classInfo.room,
+                    Building: classInfo.building,
+                    RoomNumber: classInfo.roomNumber,
+                    Group: classInfo.group,
+                    Section: classInfo.section,
+                    Type: classInfo.type
+                };
+
+                const errors = title ? TimetableSchema.validateClass(classItem) : ['no title attribute'];
+                if (errors.length > 0) {
+                    invalid.push(TimetableSchema.describeInvalid(dayName, title, $.html(eventElement), errors));
+                } else {
+                    timetableData.push(classItem);
                 }
             });
         });
+
+        if (invalid.length > 0) {
+            console.log(`⚠️ Skipped ${invalid.length} unreadable timetable event${invalid.length !== 1 ? 's' : ''}: ${invalid[0].errors.join(', ')}`);
+        }
         
-        return timetableData;
+        const classes = ClassTimes.mergePracticals(timetableData);
+        return {
+            classes,
+            report: TimetableSchema.createReport({ days: $days.length, events, classes, invalid })
+        };
+    }
+
+    // Report of the last timetable parse for a term (see TimetableSchema.createReport)
+    getParseReport(termId) {
+        return this.parseReports.get(String(termId)) || null;
+    }
+
+    getRequestHeaders() {
+        return {
+            'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.5 Mobile/15E148 Safari/604.1',
+            'Accept': 'application/json, text/javascript, */*; q=0.01',
+            'Accept-Encoding': 'gzip, deflate, br, zstd',
+            'X-Requested-With': 'XMLHttpRequest',
+            'Content-Type': 'application/json; charset=UTF-8',
+            'Origin': this.endpoints.origin,
+            'Referer': this.endpoints.get('timetablePage'),
+            'Cookie': this.authManager.getSessionCookies()
+        };
+    }
+
+    async postTimetableRequest(termId) {
+        return await axios.post(
+            this.endpoints.get('timetableApi'),
+            {
+                TermId: String(termId)
+            },
+            {
+                httpsAgent: this.httpsAgent,
+                headers: this.getRequestHeaders()
+            }
+        );
+    }
+
+    async ensureSession() {
+        // Only authenticate if we don't have a valid session
+        if (!this.authManager.hasValidSession()) {
+            console.log('🔐 No session, authenticating...');
+            const sessionCookies = await this.authManager.authenticateWithUMS();
+            if (!sessionCookies) {
+                throw new Error('Authentication failed');
+            }
+        }
     }
 
-    async fetchFreshTimetableData(retryCount = 0) {
+    parseTermOptions(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const terms = [];
+        const seen = new Set();
+
+        // The term picker is a plain <select>; TermIds look like "25261"
+        $('select option').each((index, option) => {
+            const $option = $(option);
+            const id = ($option.attr('value') || '').trim();
+
+            if (/^\d{5,6}$/.test(id) && !seen.has(id)) {
+                seen.add(id);
+                terms.push({
+                    id,
+                    name: $option.text().trim() || id,
+                    selected: $option.attr('selected') !== undefined
+                });
+            }
+        });
+
+        return terms;
+    }
+
+    // GET an authenticated UMS page as HTML
+    async fetchPage(url) {
+        const response = await axios.get(url, {
+            httpsAgent: this.httpsAgent,
+            headers: {
+                ...this.getRequestHeaders(),
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+            }
+        });
+        return response.data;
+    }
+
+    async fetchAvailableTerms() {
+        await this.ensureSession();
+
+        console.log('📚 Discovering terms from UMS...');
+
+        const html = await this.fetchPage(this.endpoints.get('timetablePage'));
+        const terms = this.parseTermOptions(html);
+        console.log(`✅ Found ${terms.length} terms`);
+
+        return terms;
+    }
+
+    async fetchFreshTimetableData(termId, retryCount = 0) {
         const MAX_RETRIES = 2;
         
+        if (!termId) {
+            throw new Error('A TermId is required to fetch the timetable');
+        }
+        
         try {
-            // Only authenticate if we don't have a valid session
-            if (!this.authManager.hasValidSession()) {
-                console.log('🔐 No session, authenticating...');
-                const sessionCookies = await this.authManager.authenticateWithUMS();
-                if (!sessionCookies) {
-                    throw new Error('Authentication failed');
-                }
-            }
+            await this.ensureSession();
 
-            console.log('📅 Fetching timetable from new API...');
+            console.log(`📅 Fetching timetable for term ${termId}...`);
             
             // Use the new timetable API endpoint
             let response;
             try {
-                response = await axios.post(
-                'https://ums.lpu.in/lpuums/frmMyCurrentTimeTable.aspx/GetTimeTable',
-                {
-                    TermId: "25261"
-                },
-                {
-                    httpsAgent: this.httpsAgent,
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.5 Mobile/15E148 Safari/604.1',
-                        'Accept': 'application/json, text/javascript, */*; q=0.01',
-                        'Accept-Encoding': 'gzip, deflate, br, zstd',
-                        'Content-Type': 'application/json',
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Content-Type': 'application/json; charset=UTF-8',
-                        'Origin': 'https://ums.lpu.in',
-                        'Referer': 'https://ums.lpu.in/lpuums/frmMyCurrentTimeTable.aspx',
-                        'Cookie': this.authManager.getSessionCookies()
-                    }
-                }
-            );
+                response = await this.postTimetableRequest(termId);
             } catch (axiosError) {
                 // Handle axios errors (network errors, HTTP errors, etc.)
                 if (axiosError.response && axiosError.response.status >= 400 && retryCount < MAX_RETRIES) {
@@ -270,31 +308,12 @@ class TimetableManager {
                     // Retry the request with new session
                     console.log('🔄 Retrying request with new session...');
                     try {
-                        response = await axios.post(
-                            'https://ums.lpu.in/lpuums/frmMyCurrentTimeTable.aspx/GetTimeTable',
-                            {
-                                TermId: "25261"
-                            },
-                            {
-                                httpsAgent: this.httpsAgent,
-                                headers: {
-                                    'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.5 Mobile/15E148 Safari/604.1',
-                                    'Accept': 'application/json, text/javascript, */*; q=0.01',
-                                    'Accept-Encoding': 'gzip, deflate, br, zstd',
-                                    'Content-Type': 'application/json',
-                                    'X-Requested-With': 'XMLHttpRequest',
-                                    'Content-Type': 'application/json; charset=UTF-8',
-                                    'Origin': 'https://ums.lpu.in',
-                                    'Referer': 'https://ums.lpu.in/lpuums/frmMyCurrentTimeTable.aspx',
-                                    'Cookie': this.authManager.getSessionCookies()
-                                }
-                            }
-                        );
+                        response = await this.postTimetableRequest(termId);
                     } catch (retryError) {
                         // If retry fails, try recursive call with incremented retry count
                         if (retryCount + 1 < MAX_RETRIES) {
                             console.log(`🔄 Recursive retry (${retryCount + 2}/${MAX_RETRIES})...`);
-                            return await this.fetchFreshTimetableData(retryCount + 1);
+                            return await this.fetchFreshTimetableData(termId, retryCount + 1);
                         } else {
                             throw new Error(`Re-authentication retry failed after ${MAX_RETRIES} attempts: ${retryError.message}`);
                         }
@@ -311,7 +330,8 @@ class TimetableManager {
             }
 
             // Parse the HTML response to extract timetable data
-            const timetableData = this.parseTimetableHTML(response.data.d);
+            const { classes: timetableData, report } = this.parseTimetable(response.data.d);
+            this.parseReports.set(String(termId), report);
             console.log(`✅ Fetched ${timetableData.length} classes`);
             
             return timetableData;
@@ -322,7 +342,7 @@ class TimetableManager {
             if (error.message.includes('Session expired') && this.authManager.hasValidSession()) {
                 console.log('🔄 Re-authenticating...');
                 await this.authManager.clearSessionData();
-                return await this.fetchFreshTimetableData();
+                return await this.fetchFreshTimetableData(termId);
             }
             
             throw error;
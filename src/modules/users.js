@@ -0,0 +1,491 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const AuthManager = require('./auth.js');
+const TimetableManager = require('./timetable.js');
+const CacheManager = require('./cache.js');
+const CredentialVault = require('./vault.js');
+const TermManager = require('./terms.js');
+const CourseCatalogue = require('./courses.js');
+const AttendanceManager = require('./attendance.js');
+const AcademicCalendar = require('./academic.js');
+const ExamScheduleManager = require('./exams.js');
+const NotificationManager = require('./notifications.js');
+const UmsEndpoints = require('./endpoints.js');
+
+const SESSION_COOKIE = 'lpu_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+class UserManager {
+    constructor() {
+        // Use /tmp directory for Vercel serverless, local path for development
+        const isVercel = process.env.VERCEL === '1';
+        const baseDir = isVercel ? '/tmp' : './src/data';
+
+        this.USERS_DIR = path.join(baseDir, 'users');
+        this.SESSIONS_FILE = path.join(baseDir, 'app_sessions.json');
+        this.FEED_TOKENS_FILE = path.join(baseDir, 'feed_tokens.json');
+        this.SHARE_TOKENS_FILE = path.join(baseDir, 'share_tokens.json');
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+
+        // One UMS URL registry (env and UMS_ENDPOINTS_FILE) for every login, timetable and scraper
+        this.endpoints = new UmsEndpoints();
+
+        // token -> { userId, createdAt, expiresAt }
+        this.sessions = null;
+        // feed token -> { userId, createdAt }
+        this.feedTokens = null;
+        // share token -> { userId, name, createdAt }
+        this.shareTokens = null;
+        // userId -> { authManager, timetableManager, cacheManager, termManager, courseCatalogue, attendanceManager, academicCalendar, examManager, notificationManager }
+        this.contexts = new Map();
+    }
+
+    static normalizeUserId(registrationNumber) {
+        return String(registrationNumber || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    getUserDir(userId) {
+        return path.join(this.USERS_DIR, userId);
+    }
+
+    // ==================== APP SESSIONS ====================
+
+    async loadSessions() {
+        if (this.sessions) return this.sessions;
+
+        try {
+            const content = await fs.readFile(this.SESSIONS_FILE, 'utf8');
+            this.sessions = JSON.parse(content) || {};
+        } catch (error) {
+            this.sessions = {};
+        }
+
+        return this.sessions;
+    }
+
+    async saveSessions() {
+        try {
+            await fs.mkdir(path.dirname(this.SESSIONS_FILE), { recursive: true });
+            await fs.writeFile(this.SESSIONS_FILE, JSON.stringify(this.sessions, null, 2));
+        } catch (error) {
+            if (this.verbose) console.log('⚠️ Session store unavailable, using memory only');
+        }
+    }
+
+    async createSession(userId) {
+        const sessions = await this.loadSessions();
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+
+        sessions[token] = {
+            userId,
+            createdAt: now,
+            expiresAt: now + SESSION_TTL_MS
+        };
+
+        // Drop expired sessions while we are writing anyway
+        for (const [key, session] of Object.entries(sessions)) {
+            if (session.expiresAt < now) delete sessions[key];
+        }
+
+        await this.saveSessions();
+        return { token, ...sessions[token] };
+    }
+
+    async getSession(token) {
+        if (!token) return null;
+
+        const sessions = await this.loadSessions();
+        const session = sessions[token];
+
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            await this.destroySession(token);
+            return null;
+        }
+
+        return session;
+    }
+
+    async destroySession(token) {
+        const sessions = await this.loadSessions();
+        if (sessions[token]) {
+            delete sessions[token];
+            await this.saveSessions();
+        }
+    }
+
+    // ==================== CALENDAR FEED TOKENS ====================
+
+    // Calendar apps can't log in, so each user gets a secret feed URL instead
+    async loadFeedTokens() {
+        if (this.feedTokens) return this.feedTokens;
+
+        try {
+            const content = await fs.readFile(this.FEED_TOKENS_FILE, 'utf8');
+            this.feedTokens = JSON.parse(content) || {};
+        } catch (error) {
+            this.feedTokens = {};
+        }
+
+        return this.feedTokens;
+    }
+
+    async saveFeedTokens() {
+        try {
+            await fs.mkdir(path.dirname(this.FEED_TOKENS_FILE), { recursive: true });
+            await fs.writeFile(this.FEED_TOKENS_FILE, JSON.stringify(this.feedTokens, null, 2));
+        } catch (error) {
+            if (this.verbose) console.log('⚠️ Feed token store unavailable, using memory only');
+        }
+    }
+
+    async getFeedToken(userId, rotate = false) {
+        const feedTokens = await this.loadFeedTokens();
+        const existing = Object.keys(feedTokens).find(token => feedTokens[token].userId === userId);
+
+        if (existing && !rotate) {
+            return existing;
+        }
+
+        // Rotating revokes the old URL
+        if (existing) {
+            delete feedTokens[existing];
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        feedTokens[token] = { userId, createdAt: Date.now() };
+        await this.saveFeedTokens();
+
+        return token;
+    }
+
+    async resolveFeedToken(token) {
+        if (!token) return null;
+
+        const feedTokens = await this.loadFeedTokens();
+        return feedTokens[token] ? feedTokens[token].userId : null;
+    }
+
+    // ==================== SHARE LINKS ====================
+
+    // Read-only timetable links for classmates; one per user, revocable by its owner
+    async loadShareTokens() {
+        if (this.shareTokens) return this.shareTokens;
+
+        try {
+            const content = await fs.readFile(this.SHARE_TOKENS_FILE, 'utf8');
+            this.shareTokens = JSON.parse(content) || {};
+        } catch (error) {
+            this.shareTokens = {};
+        }
+
+        return this.shareTokens;
+    }
+
+    async saveShareTokens() {
+        try {
+            await fs.mkdir(path.dirname(this.SHARE_TOKENS_FILE), { recursive: true });
+            await fs.writeFile(this.SHARE_TOKENS_FILE, JSON.stringify(this.shareTokens, null, 2));
+        } catch (error) {
+            if (this.verbose) console.log('⚠️ Share link store unavailable, using memory only');
+        }
+    }
+
+    async getShareLink(userId) {
+        const shareTokens = await this.loadShareTokens();
+        const token = Object.keys(shareTokens).find(key => shareTokens[key].userId === userId);
+        return token ? { token, ...shareTokens[token] } : null;
+    }
+
+    // Creating a link replaces (and so revokes) the previous one
+    async createShareLink(userId, name) {
+        await this.revokeShareLink(userId);
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this.shareTokens[token] = {
+            userId,
+            name: String(name || '').trim().slice(0, 40) || 'A classmate',
+            createdAt: Date.now()
+        };
+        await this.saveShareTokens();
+
+        return { token, ...this.shareTokens[token] };
+    }
+
+    async revokeShareLink(userId) {
+        const existing = await this.getShareLink(userId);
+        if (!existing) return false;
+
+        delete this.shareTokens[existing.token];
+        await this.saveShareTokens();
+        return true;
+    }
+
+    async resolveShareToken(token) {
+        if (!token) return null;
+
+        const shareTokens = await this.loadShareTokens();
+        return shareTokens[token] ? { token, ...shareTokens[token] } : null;
+    }
+
+    // ==================== ACCOUNTS ====================
+
+    async saveAccount(userId, username, password) {
+        const account = {
+            userId,
+            username,
+            updatedAt: new Date().toISOString()
+        };
+
+        // The password only ever goes to disk encrypted
+        if (password) {
+            await new CredentialVault({ userId }).setSecret('password', password);
+        }
+
+        try {
+            const userDir = this.getUserDir(userId);
+            await fs.mkdir(userDir, { recursive: true });
+            await fs.writeFile(path.join(userDir, 'account.json'), JSON.stringify(account, null, 2));
+        } catch (error) {
+            if (this.verbose) console.log('⚠️ Account store unavailable, using memory only');
+        }
+
+        return account;
+    }
+
+    async loadAccount(userId) {
+        try {
+            const content = await fs.readFile(path.join(this.getUserDir(userId), 'account.json'), 'utf8');
+            const account = JSON.parse(content);
+
+            // Migrate accounts written before the vault existed
+            if (account.password) {
+                console.log(`🔑 Moving stored password for ${userId} into the vault`);
+                return await this.saveAccount(userId, account.username, account.password);
+            }
+
+            return account;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Everyone the server can refresh for: stored accounts plus the .env user
+    async listUserIds() {
+        const userIds = new Set(this.contexts.keys());
+
+        const envUserId = this.getEnvUserId();
+        if (envUserId && (process.env.UMS_PASSWORD || process.env.UMS_PASSWORD_ENCRYPTED)) {
+            userIds.add(envUserId);
+        }
+
+        try {
+            const entries = await fs.readdir(this.USERS_DIR, { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.isDirectory() && await this.loadAccount(entry.name)) {
+                    userIds.add(entry.name);
+                }
+            }
+        } catch (error) {
+            // No users directory yet
+        }
+
+        return [...userIds];
+    }
+
+    // Opt-in: SINGLE_USER_MODE=true makes the .env account the default for visitors without a session
+    static isSingleUserMode() {
+        return process.env.SINGLE_USER_MODE === 'true';
+    }
+
+    getEnvUserId() {
+        return process.env.UMS_USERNAME ? UserManager.normalizeUserId(process.env.UMS_USERNAME) : null;
+    }
+
+    // ==================== PER-USER MANAGERS ====================
+
+    async getUserContext(userId) {
+        if (this.contexts.has(userId)) {
+            return this.contexts.get(userId);
+        }
+
+        let authManager;
+        if (userId === this.getEnvUserId()) {
+            // Single-user deployments keep working off .env credentials
+            authManager = new AuthManager({ userId, username: process.env.UMS_USERNAME, password: process.env.UMS_PASSWORD, endpoints: this.endpoints, ownsLegacyData: true });
+        } else {
+            const account = await this.loadAccount(userId);
+            if (!account) return null;
+            // The password is read from the vault at login time
+            authManager = new AuthManager({ userId, username: account.username, endpoints: this.endpoints });
+        }
+
+        await authManager.loadSessionData();
+
+        const context = this.createContext(userId, authManager);
+        if (userId === this.getEnvUserId()) {
+            await context.cacheManager.migrateLegacyCache();
+        }
+        return context;
+    }
+
+    createContext(userId, authManager) {
+        const timetableManager = new TimetableManager(authManager, { endpoints: this.endpoints });
+        const cacheManager = new CacheManager({ userId });
+
+        const context = {
+            userId,
+            authManager,
+            timetableManager,
+            cacheManager,
+            termManager: new TermManager(timetableManager, cacheManager),
+            courseCatalogue: new CourseCatalogue(timetableManager),
+            attendanceManager: new AttendanceManager(timetableManager),
+            academicCalendar: new AcademicCalendar(timetableManager),
+            examManager: new ExamScheduleManager(timetableManager),
+            notificationManager: new NotificationManager({ userId })
+        };
+
+        this.contexts.set(userId, context);
+        return context;
+    }
+
+    // options.captchaContext lets a waiting browser answer the captcha itself
+    async login(registrationNumber, password, options = {}) {
+        const userId = UserManager.normalizeUserId(registrationNumber);
+        if (!userId || !password) {
+            throw new Error('Registration number and password are required');
+        }
+
+        // Without a key the password could only be kept in memory, and every
+        // scheduled refresh would fail after the next restart
+        if (!CredentialVault.isConfigured()) {
+            throw new Error('VAULT_KEY is not set on the server, so logins cannot be stored. Ask the administrator to configure it.');
+        }
+
+        // Verify the credentials against UMS before storing anything
+        const authManager = new AuthManager({
+            userId,
+            username: registrationNumber.trim(),
+            password,
+            endpoints: this.endpoints,
+            ownsLegacyData: userId === this.getEnvUserId()
+        });
+        const cookies = await authManager.authenticateWithUMS(true, { captchaContext: options.captchaContext });
+        if (!cookies) {
+            return null;
+        }
+
+        await this.saveAccount(userId, registrationNumber.trim(), password);
+
+        const context = this.createContext(userId, authManager);
+        if (userId === this.getEnvUserId()) {
+            await context.cacheManager.migrateLegacyCache();
+        }
+
+        console.log(`👤 User ${userId} logged in`);
+        return await this.createSession(userId);
+    }
+
+    // ==================== REQUEST HELPERS ====================
+
+    getTokenFromRequest(req) {
+        const authHeader = req.headers.authorization || '';
+        if (authHeader.startsWith('Bearer ')) {
+            return authHeader.slice(7).trim();
+        }
+
+        const cookieHeader = req.headers.cookie || '';
+        for (const part of cookieHeader.split(';')) {
+            const [name, ...rest] = part.trim().split('=');
+            if (name === SESSION_COOKIE) {
+                return decodeURIComponent(rest.join('='));
+            }
+        }
+
+        return null;
+    }
+
+    async resolveRequestUser(req) {
+        const session = await this.getSession(this.getTokenFromRequest(req));
+        if (session) {
+            return session.userId;
+        }
+
+        // Only a single-user deployment serves visitors as the .env owner;
+        // everywhere else that would hand the owner's data to anyone
+        return UserManager.isSingleUserMode() ? this.getEnvUserId() : null;
+    }
+
+    setSessionCookie(res, token) {
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: SESSION_TTL_MS,
+            path: '/'
+        });
+    }
+
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+
+    requireUser() {
+        return async (req, res, next) => {
+            try {
+                const userId = await this.resolveRequestUser(req);
+                const context = userId ? await this.getUserContext(userId) : null;
+
+                if (!context) {
+                    return res.status(401).json({
+                        success: false,
+                        authRequired: true,
+                        error: 'Please log in with your UMS registration number and password.'
+                    });
+                }
+
+                req.user = { userId };
+                req.userContext = context;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // Like requireUser, but also accepts a calendar feed token as ?key=
+    requireFeedUser() {
+        const requireUser = this.requireUser();
+
+        return async (req, res, next) => {
+            if (!req.query.key) {
+                return requireUser(req, res, next);
+            }
+
+            try {
+                const userId = await this.resolveFeedToken(String(req.query.key));
+                const context = userId ? await this.getUserContext(userId) : null;
+
+                if (!context) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Unknown calendar feed. Copy a new link from the app.'
+                    });
+                }
+
+                req.user = { userId };
+                req.userContext = context;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+module.exports = UserManager;
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+const KEY_SALT = 'lpu-timetable-vault';
+
+// Derived keys are cached so scrypt only runs once per secret per process
+const derivedKeys = new Map();
+
+// Fallback store when no VAULT_KEY is set, shared by all vaults for a path
+const memoryVaults = new Map();
+
+function deriveKey(secret) {
+    if (!derivedKeys.has(secret)) {
+        const key = crypto.scryptSync(secret, KEY_SALT, 32);
+        const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+        derivedKeys.set(secret, { id, key });
+    }
+    return derivedKeys.get(secret);
+}
+
+// Current key first, then any previous keys still accepted for decryption
+function loadKeyring() {
+    const current = process.env.VAULT_KEY || '';
+    const previous = (process.env.VAULT_PREVIOUS_KEYS || '')
+        .split(',')
+        .map(k => k.trim())
+        .filter(k => k.length > 0);
+
+    return [current, ...previous].filter(k => k.length > 0).map(deriveKey);
+}
+
+/**
+ * Encrypted at-rest store for UMS passwords and session cookies.
+ * Secrets are sealed with AES-256-GCM using the server-side VAULT_KEY;
+ * older keys listed in VAULT_PREVIOUS_KEYS are still readable, and
+ * entries are re-sealed with the current key on read or via rotate().
+ */
+class CredentialVault {
+    constructor(options = {}) {
+        // Use /tmp directory for Vercel serverless, local path for development
+        const isVercel = process.env.VERCEL === '1';
+        const baseDir = isVercel ? '/tmp' : './src/data';
+
+        this.userId = options.userId || null;
+        const dataDir = this.userId ? path.join(baseDir, 'users', this.userId) : baseDir;
+        this.VAULT_FILE = path.join(dataDir, 'vault.json');
+        this.verbose = process.env.VERBOSE_LOGS === 'true';
+    }
+
+    static isConfigured() {
+        return loadKeyring().length > 0;
+    }
+
+    static seal(plaintext) {
+        const [current] = loadKeyring();
+        if (!current) {
+            throw new Error('VAULT_KEY is not configured');
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+        const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return {
+            v: ENVELOPE_VERSION,
+            kid: current.id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    static open(envelope) {
+        if (!envelope || envelope.v !== ENVELOPE_VERSION) {
+            throw new Error('Unsupported vault entry');
+        }
+
+        const entry = loadKeyring().find(k => k.id === envelope.kid);
+        if (!entry) {
+            throw new Error(`No vault key available for key id ${envelope.kid}`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    static isCurrentKey(envelope) {
+        const [current] = loadKeyring();
+        return !!current && envelope.kid === current.id;
+    }
+
+    // Compact single-string form, e.g. for UMS_PASSWORD_ENCRYPTED in .env
+    static encryptToString(plaintext) {
+        return Buffer.from(JSON.stringify(CredentialVault.seal(plaintext))).toString('base64');
+    }
+
+    static decryptFromString(value) {
+        return CredentialVault.open(JSON.parse(Buffer.from(value, 'base64').toString('utf8')));
+    }
+
+    async loadEntries() {
+        // Without a key, secrets live in memory only - never on disk in clear
+        if (!CredentialVault.isConfigured()) {
+            return { ...(memoryVaults.get(this.VAULT_FILE) || {}) };
+        }
+
+        try {
+            const content = await fs.readFile(this.VAULT_FILE, 'utf8');
+            return JSON.parse(content).entries || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async saveEntries(entries) {
+        if (!CredentialVault.isConfigured()) {
+            memoryVaults.set(this.VAULT_FILE, entries);
+            if (this.verbose) console.log('⚠️ VAULT_KEY not set, secrets kept in memory only');
+            return;
+        }
+
+        try {
+            await fs.mkdir(path.dirname(this.VAULT_FILE), { recursive: true });
+            await fs.writeFile(this.VAULT_FILE, JSON.stringify({
+                updatedAt: new Date().toISOString(),
+                entries
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving vault:', error.message);
+        }
+    }
+
+    async setSecret(name, value) {
+        const entries = await this.loadEntries();
+
+        entries[name] = CredentialVault.isConfigured()
+            ? CredentialVault.seal(value)
+            : { memory: value };
+
+        await this.saveEntries(entries);
+    }
+
+    async getSecret(name) {
+        const entries = await this.loadEntries();
+        const envelope = entries[name];
+
+        if (!envelope) return null;
+        if ('memory' in envelope) return envelope.memory;
+
+        try {
+            const value = CredentialVault.open(envelope);
+
+            // Lazily re-seal entries written with a previous key
+            if (!CredentialVault.isCurrentKey(envelope)) {
+                entries[name] = CredentialVault.seal(value);
+                await this.saveEntries(entries);
+            }
+
+            return value;
+        } catch (error) {
+            console.error(`❌ Could not decrypt vault entry "${name}":`, error.message);
+            return null;
+        }
+    }
+
+    async deleteSecret(name) {
+        const entries = await this.loadEntries();
+        if (name in entries) {
+            delete entries[name];
+            await this.saveEntries(entries);
+        }
+    }
+
+    async rotate() {
+        const entries = await this.loadEntries();
+        let rotated = 0;
+
+        for (const [name, envelope] of Object.entries(entries)) {
+            if ('memory' in envelope || CredentialVault.isCurrentKey(envelope)) continue;
+
+            entries[name] = CredentialVault.seal(CredentialVault.open(envelope));
+            rotated++;
+        }
+
+        if (rotated > 0) {
+            await this.saveEntries(entries);
+        }
+
+        return rotated;
+    }
+
+    // Re-seal every vault on disk (shared + per-user) with the current key
+    static async rotateAll() {
+        const isVercel = process.env.VERCEL === '1';
+        const usersDir = path.join(isVercel ? '/tmp' : './src/data', 'users');
+
+        let userIds = [];
+        try {
+            userIds = await fs.readdir(usersDir);
+        } catch (error) {
+            // No per-user data yet
+        }
+
+        let total = await new CredentialVault().rotate();
+        for (const userId of userIds) {
+            total += await new CredentialVault({ userId }).rotate();
+        }
+
+        return total;
+    }
+}
+
+module.exports = CredentialVault;
+
+// CLI: node src/modules/vault.js encrypt <secret> | rotate
+if (require.main === module) {
+    require('dotenv').config();
+
+    const [command, value] = process.argv.slice(2);
+
+    if (command === 'encrypt' && value) {
+        console.log(CredentialVault.encryptToString(value));
+    } else if (command === 'rotate') {
+        CredentialVault.rotateAll()
+            .then(count => {
+                console.log(`🔑 Re-encrypted ${count} vault entr${count === 1 ? 'y' : 'ies'} with the current key`);
+            })
+            .catch(error => {
+                console.error('Error:', error.message);
+                process.exit(1);
+            });
+    } else {
+        console.log('Usage: node src/modules/vault.js encrypt <secret> | rotate');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const https = require('https');
+const axios = require('axios');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60; // Drop undelivered pushes after a day
+const JWT_EXPIRY_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Minimal standard Web Push sender: VAPID authentication (RFC 8292) and
+ * aes128gcm payload encryption (RFC 8291), posted straight to the
+ * browser vendor's push service. No third-party push provider involved.
+ */
+class WebPush {
+    constructor(options = {}) {
+        this.publicKey = options.publicKey || process.env.VAPID_PUBLIC_KEY;
+        this.privateKey = options.privateKey || process.env.VAPID_PRIVATE_KEY;
+        this.subject = options.subject || process.env.VAPID_SUBJECT || 'mailto:admin@example.com';
+        this.httpsAgent = new https.Agent({ keepAlive: true });
+    }
+
+    static generateVAPIDKeys() {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const jwk = publicKey.export({ format: 'jwk' });
+
+        return {
+            publicKey: toBase64Url(Buffer.concat([Buffer.from([0x04]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)])),
+            privateKey: privateKey.export({ format: 'jwk' }).d
+        };
+    }
+
+    isConfigured() {
+        return !!(this.publicKey && this.privateKey);
+    }
+
+    getSigningKey() {
+        const publicKey = fromBase64Url(this.publicKey);
+        if (publicKey.length !== 65 || publicKey[0] !== 0x04) {
+            throw new Error('VAPID_PUBLIC_KEY must be an uncompressed P-256 public key');
+        }
+
+        return crypto.createPrivateKey({
+            format: 'jwk',
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                d: this.privateKey,
+                x: toBase64Url(publicKey.subarray(1, 33)),
+                y: toBase64Url(publicKey.subarray(33, 65))
+            }
+        });
+    }
+
+    // Authorization header for the push service at `endpoint`
+    getVapidHeader(endpoint) {
+        const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+        const claims = toBase64Url(JSON.stringify({
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(Date.now() / 1000) + JWT_EXPIRY_SECONDS,
+            sub: this.subject
+        }));
+
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+            key: this.getSigningKey(),
+            dsaEncoding: 'ieee-p1363'
+        });
+
+        return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${this.publicKey}`;
+    }
+
+    // Encrypts `payload` for one subscription as a single aes128gcm record
+    static encryptPayload(subscription, payload) {
+        const keys = subscription.keys || {};
+        const userPublicKey = fromBase64Url(keys.p256dh || '');
+        const authSecret = fromBase64Url(keys.auth || '');
+
+        if (userPublicKey.length !== 65 || authSecret.length < 16) {
+            throw new Error('Subscription is missing valid p256dh/auth keys');
+        }
+
+        const ecdh = crypto.createECDH('prime256v1');
+        const serverPublicKey = ecdh.generateKeys();
+        const sharedSecret = ecdh.computeSecret(userPublicKey);
+        const salt = crypto.randomBytes(16);
+
+        const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+        const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+        const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+        const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+        // 0x02 marks the last (and only) record
+        const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([0x02])]);
+        if (plaintext.length + 16 > RECORD_SIZE) {
+            throw new Error('Push payload is too large');
+        }
+
+        const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+        const header = Buffer.alloc(21);
+        salt.copy(header, 0);
+        header.writeUInt32BE(RECORD_SIZE, 16);
+        header.writeUInt8(serverPublicKey.length, 20);
+
+        return Buffer.concat([header, serverPublicKey, ciphertext]);
+    }
+
+    /**
+     * @returns {Promise<{statusCode: number, expired: boolean}>} expired is
+     *   true when the push service says the subscription is gone (404/410)
+     */
+    async send(subscription, payload, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('VAPID keys are not configured');
+        }
+
+        const body = WebPush.encryptPayload(subscription, typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+        const response = await axios.post(subscription.endpoint, body, {
+            httpsAgent: this.httpsAgent,
+            headers: {
+                'Authorization': this.getVapidHeader(subscription.endpoint),
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                'TTL': String(options.ttl || DEFAULT_TTL_SECONDS),
+                'Urgency': options.urgency || 'normal',
+                ...(options.topic ? { 'Topic': options.topic } : {})
+            },
+            timeout: 10000,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400 && response.status !== 404 && response.status !== 410) {
+            throw new Error(`Push service responded with ${response.status}`);
+        }
+
+        return {
+            statusCode: response.status,
+            expired: response.status === 404 || response.status === 410
+        };
+    }
+}
+
+module.exports = WebPush;
+
+// CLI: node src/modules/webpush.js generate-keys
+if (require.main === module) {
+    if (process.argv[2] === 'generate-keys') {
+        const keys = WebPush.generateVAPIDKeys();
+        console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+        console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+    } else {
+        console.log('Usage: node src/modules/webpush.js generate-keys');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,101 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockUmsServer = require('./mock-ums.js');
+const { scriptedCaptchaChain, useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const CacheManager = require('../src/modules/cache.js');
+const AcademicCalendar = require('../src/modules/academic.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+describe('AcademicCalendar.parseAcademicCalendar', () => {
+    const academicCalendar = new AcademicCalendar(new TimetableManager(new AuthManager()));
+    const calendar = academicCalendar.parseAcademicCalendar(MockUmsServer.loadFixture('academic-calendar.html'));
+
+    test('picks up term dates, holidays and exam weeks', () => {
+        assert.strictEqual(calendar.start, '2025-08-04');
+        assert.strictEqual(calendar.end, '2025-11-29');
+        assert.deepStrictEqual(calendar.events.map(e => `${e.type} ${e.start} ${e.end} ${e.name}`), [
+            'exams 2025-09-22 2025-09-27 Mid Term Examinations',
+            'holiday 2025-10-02 2025-10-02 Gandhi Jayanti (Holiday)',
+            'event 2025-10-11 2025-10-11 Parent Teacher Meeting',
+            'holiday 2025-10-20 2025-10-23 Diwali Break',
+            'exams 2025-12-01 2025-12-15 End Term Examinations'
+        ]);
+    });
+
+    test('tells which days have no classes', () => {
+        assert.deepStrictEqual(AcademicCalendar.getDayStatus(calendar, '2025-10-21'), { type: 'holiday', name: 'Diwali Break' });
+        assert.deepStrictEqual(AcademicCalendar.getDayStatus(calendar, '2025-09-22'), { type: 'exams', name: 'Mid Term Examinations' });
+        assert.strictEqual(AcademicCalendar.getDayStatus(calendar, '2025-10-11'), null);
+        assert.strictEqual(AcademicCalendar.getDayStatus(calendar, '2025-11-29'), null);
+        assert.strictEqual(AcademicCalendar.getDayStatus(calendar, '2025-12-20').type, 'afterTerm');
+        assert.strictEqual(AcademicCalendar.getDayStatus(calendar, '2025-08-01').type, 'beforeTerm');
+    });
+});
+
+describe('AcademicCalendar against the mock UMS', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let academicCalendar;
+    let cacheManager;
+    const calendarFile = path.join(os.tmpdir(), `academic-${process.pid}.json`);
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+
+        const timetableManager = new TimetableManager(new AuthManager({
+            userId: '12345678',
+            username: '12345678',
+            password: 'secret',
+            captchaChain: scriptedCaptchaChain(() => mock.captchaText)
+        }));
+        academicCalendar = new AcademicCalendar(timetableManager);
+        cacheManager = new CacheManager({ userId: 'academic', termId: TERM });
+    });
+
+    afterEach(() => {
+        delete process.env.ACADEMIC_CALENDAR_FILE;
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        if (fs.existsSync(calendarFile)) fs.unlinkSync(calendarFile);
+        await mock.stop();
+        await cleanup();
+    });
+
+    test('scrapes once and then serves the cache', async () => {
+        const calendar = await academicCalendar.refresh(cacheManager);
+        assert.strictEqual(calendar.events.length, 5);
+        assert.ok(calendar.updatedAt);
+
+        const scrapes = mock.countRequests('academicCalendar');
+        await academicCalendar.refresh(cacheManager);
+        assert.strictEqual(mock.countRequests('academicCalendar'), scrapes);
+    });
+
+    test('layers the config file over the scraped calendar', async () => {
+        fs.writeFileSync(calendarFile, JSON.stringify({
+            end: '05-12-2025',
+            events: [{ type: 'holiday', name: 'Guru Nanak Jayanti', start: '2025-11-05' }]
+        }));
+        process.env.ACADEMIC_CALENDAR_FILE = calendarFile;
+
+        const calendar = await academicCalendar.load(cacheManager);
+        assert.strictEqual(calendar.start, '2025-08-04');
+        assert.strictEqual(calendar.end, '2025-12-05');
+        assert.deepStrictEqual(AcademicCalendar.getDayStatus(calendar, '2025-11-05'), { type: 'holiday', name: 'Guru Nanak Jayanti' });
+    });
+
+    test('keeps the cached calendar when UMS fails', async () => {
+        mock.failNext('academicCalendar', 'serverError');
+        const calendar = await academicCalendar.refresh(cacheManager, true);
+        assert.strictEqual(calendar.events.length, 5);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const AttendanceManager = require('../src/modules/attendance.js');
+
+describe('AttendanceManager.parseAttendance', () => {
+    const attendanceManager = new AttendanceManager(new TimetableManager(new AuthManager()));
+
+    test('reads delivered, attended and percentage by column header', () => {
+        const courses = attendanceManager.parseAttendance(MockUmsServer.loadFixture('attendance.html'));
+
+        assert.deepStrictEqual(courses.map(c => `${c.CourseCode} ${c.attended}/${c.delivered} ${c.percentage}`), [
+            'CAP455 30/36 83.33',
+            'CAP456 20/30 66.67',
+            'CAP457 12/16 75',
+            'PEA305 0/0 0'
+        ]);
+        assert.strictEqual(courses[1].CourseName, 'Data Structures');
+    });
+
+    test('computes the percentage when UMS leaves it out', () => {
+        const [course] = attendanceManager.parseAttendance(`<table>
+            <tr><td>Subject</td><td>Delivered</td><td>Attended</td></tr>
+            <tr><td>CSE101</td><td>9</td><td>7</td></tr>
+        </table>`);
+
+        assert.deepStrictEqual(course, { CourseCode: 'CSE101', CourseName: null, delivered: 9, attended: 7, percentage: 77.78 });
+    });
+
+    test('ignores tables without attendance columns', () => {
+        assert.deepStrictEqual(attendanceManager.parseAttendance(MockUmsServer.loadFixture('courses.html')), []);
+    });
+});
+
+describe('AttendanceManager.calculateSkips', () => {
+    test('counts the classes that can be missed above the threshold', () => {
+        assert.deepStrictEqual(AttendanceManager.calculateSkips(30, 36, 75), { canSkip: 4, mustAttend: 0 });
+        assert.deepStrictEqual(AttendanceManager.calculateSkips(12, 16, 75), { canSkip: 0, mustAttend: 0 });
+    });
+
+    test('counts the classes needed to get back to the threshold', () => {
+        // 20/30 -> 26/36 is 72.2%, 27/37 is 72.97%... 30/40 is exactly 75%
+        assert.deepStrictEqual(AttendanceManager.calculateSkips(20, 30, 75), { canSkip: 0, mustAttend: 10 });
+    });
+
+    test('reports an unreachable 100% threshold as null', () => {
+        assert.deepStrictEqual(AttendanceManager.calculateSkips(9, 10, 100), { canSkip: 0, mustAttend: null });
+    });
+
+    test('defaults to ATTENDANCE_THRESHOLD', () => {
+        process.env.ATTENDANCE_THRESHOLD = '80';
+        try {
+            assert.strictEqual(AttendanceManager.getThreshold(), 80);
+            assert.deepStrictEqual(AttendanceManager.calculateSkips(30, 36), { canSkip: 1, mustAttend: 0 });
+        } finally {
+            delete process.env.ATTENDANCE_THRESHOLD;
+        }
+        assert.strictEqual(AttendanceManager.getThreshold(), AttendanceManager.DEFAULT_THRESHOLD);
+    });
+});
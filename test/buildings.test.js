@@ -0,0 +1,86 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockUmsServer = require('./mock-ums.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const BuildingDirectory = require('../src/modules/buildings.js');
+
+describe('BuildingDirectory', () => {
+    const file = path.join(os.tmpdir(), `buildings-${process.pid}.json`);
+
+    // Points BUILDINGS_FILE at a directory with these entries
+    const useDirectory = (entries) => {
+        fs.writeFileSync(file, JSON.stringify(entries));
+        process.env.BUILDINGS_FILE = file;
+        BuildingDirectory.reset();
+    };
+
+    afterEach(() => {
+        delete process.env.BUILDINGS_FILE;
+        fs.rmSync(file, { force: true });
+        BuildingDirectory.reset();
+    });
+
+    test('derives the floor from the room number', () => {
+        assert.strictEqual(BuildingDirectory.getFloor('602D'), 6);
+        assert.strictEqual(BuildingDirectory.getFloor('1004'), 10);
+        assert.strictEqual(BuildingDirectory.getFloor('012'), 0);
+        assert.strictEqual(BuildingDirectory.getFloor('G12'), 0);
+        assert.strictEqual(BuildingDirectory.getFloor('Lab'), null);
+
+        assert.strictEqual(BuildingDirectory.getFloorLabel(0), 'Ground floor');
+        assert.strictEqual(BuildingDirectory.getFloorLabel(2), '2nd floor');
+        assert.strictEqual(BuildingDirectory.getFloorLabel(11), '11th floor');
+    });
+
+    test('attaches the location to processed classes', () => {
+        const timetableManager = new TimetableManager(new AuthManager());
+        const [cap455] = timetableManager
+            .parseTimetableHTML(MockUmsServer.loadFixture('timetable.html'))
+            .map(classItem => timetableManager.processClassItem(classItem));
+
+        assert.strictEqual(cap455.Location.number, '34');
+        assert.strictEqual(cap455.Location.name, 'Block 34');
+        assert.strictEqual(cap455.Location.floorLabel, '4th floor');
+        assert.strictEqual(cap455.Location.lat, null);
+        assert.match(cap455.Location.mapsUrl, /maps\/search\/.*Block%2034/);
+        assert.strictEqual(BuildingDirectory.lookup('Assignment', '1'), null);
+    });
+
+    test('has no walking estimate without positions', () => {
+        assert.deepStrictEqual(BuildingDirectory.DEFAULT_BUILDINGS, []);
+        assert.strictEqual(BuildingDirectory.getWalk('34', '36'), null);
+        assert.deepStrictEqual(BuildingDirectory.getWalk('34', '34'), { meters: 0, minutes: 0 });
+    });
+
+    test('estimates walks between blocks', () => {
+        useDirectory({ '34': { lat: 31.2545, lng: 75.7072 }, '36': { lat: 31.2554, lng: 75.7081 } });
+        const walk = BuildingDirectory.getWalk('34', '36');
+
+        assert.ok(walk.meters > 0);
+        assert.strictEqual(walk.minutes, Math.max(1, Math.round(walk.meters / 75)));
+        assert.deepStrictEqual(BuildingDirectory.getWalk('34', '34'), { meters: 0, minutes: 0 });
+        assert.strictEqual(BuildingDirectory.getWalk('34', '99'), null);
+    });
+
+    test('reads names and positions from BUILDINGS_FILE', () => {
+        useDirectory({
+            '34': { name: 'Computer Applications' },
+            '36': { lat: 31.2554, lng: 75.7081 },
+            '99': { name: 'New Block', lat: 31.2601, lng: 75.7102 }
+        });
+
+        const location = BuildingDirectory.lookup('34', '404');
+        assert.strictEqual(location.name, 'Computer Applications');
+        assert.strictEqual(location.lat, null);
+        assert.match(location.mapsUrl, /maps\/search\/.*Computer%20Applications/);
+
+        assert.strictEqual(BuildingDirectory.lookup('99', '101').name, 'New Block');
+        assert.match(BuildingDirectory.lookup('99', '101').mapsUrl, /travelmode=walking/);
+        assert.strictEqual(BuildingDirectory.getWalk('34', '99'), null);
+        assert.ok(BuildingDirectory.getWalk('36', '99').minutes > 0);
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const CalendarExporter = require('../src/modules/calendar.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+describe('CalendarExporter', () => {
+    const timetableManager = new TimetableManager(new AuthManager());
+    const load = (fixture) => timetableManager
+        .parseTimetableHTML(MockUmsServer.loadFixture(fixture))
+        .map(classItem => timetableManager.processClassItem(classItem));
+    const exporter = new CalendarExporter({ userId: 'calendar', termId: TERM });
+
+    // UID -> the event's lines, for one course
+    const eventsFor = (ics, courseCode) => new Map(ics.split('BEGIN:VEVENT').slice(1)
+        .filter(event => event.includes(`SUMMARY:${courseCode} `))
+        .map(event => [event.match(/^UID:(.*)$/m)[1], event]));
+
+    test('keeps a class\'s UID when it moves to another slot', () => {
+        const before = eventsFor(exporter.build(load('timetable.html'), { timestamp: '2025-09-01T00:00:00Z' }), 'CAP455');
+        const after = eventsFor(exporter.build(load('timetable-changed.html'), { timestamp: '2025-09-01T00:00:00Z' }), 'CAP455');
+
+        assert.strictEqual(before.size, 1);
+        assert.deepStrictEqual([...after.keys()], [...before.keys()]);
+        assert.match([...after.values()][0], /RRULE:FREQ=WEEKLY;BYDAY=TU/);
+    });
+
+    test('numbers a class\'s weekly slots instead of merging them', () => {
+        const [cap455] = load('timetable.html').filter(c => c.CourseCode === 'CAP455');
+        const ics = exporter.build([cap455, { ...cap455, Day: 'Thursday' }, { ...cap455 }], { timestamp: '2025-09-01T00:00:00Z' });
+
+        assert.deepStrictEqual([...eventsFor(ics, 'CAP455').keys()], [exporter.getUid(cap455, 0), exporter.getUid(cap455, 1)]);
+    });
+
+    test('ends weekly events with the term', () => {
+        const ics = exporter.build(load('timetable.html'), { timestamp: '2025-09-01T00:00:00Z', termEnd: '2025-11-29' });
+        const rules = ics.match(/^RRULE:.*$/gm);
+
+        assert.ok(rules.length > 0);
+        assert.ok(rules.every(rule => rule.endsWith(';UNTIL=20251129T182959Z')));
+        assert.ok(!exporter.build(load('timetable.html'), {}).includes('UNTIL='));
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const CacheManager = require('../src/modules/cache.js');
+const ClassDates = require('../src/modules/classdates.js');
+
+// 2025-10-15 was a Wednesday; these are IST dates
+const WEDNESDAY = new Date('2025-10-15T10:00:00+05:30');
+
+const weekly = { CourseCode: 'CAP455', Day: 'Monday', AttendanceTime: '9-10 AM', Description: 'Lecture / C:CAP455 / R: 34-404 / S:D2304' };
+const makeup = (date) => ({ CourseCode: 'CAP456', Day: date, AttendanceTime: '2-3 PM', Description: 'Lecture / C:CAP456 / R: 34-404 / S:D2304' });
+
+describe('ClassDates', () => {
+    test('tells one-off classes from weekly slots', () => {
+        assert.strictEqual(ClassDates.getDate('14-11-2026'), '2026-11-14');
+        assert.strictEqual(ClassDates.getDate('Monday'), null);
+        assert.strictEqual(ClassDates.getWeekday('14-11-2026'), 'Saturday');
+        assert.strictEqual(ClassDates.getWeekday('Monday'), 'Monday');
+    });
+
+    test('uses the IST calendar day', () => {
+        // 20:00 UTC is already the next day in India
+        assert.strictEqual(ClassDates.getToday(new Date('2025-10-14T20:00:00Z')), '2025-10-15');
+        assert.deepStrictEqual(ClassDates.getWeekRange(WEDNESDAY), { start: '2025-10-13', end: '2025-10-19' });
+    });
+
+    test('expires one-off classes the day after', () => {
+        assert.strictEqual(ClassDates.isExpired(makeup('14-10-2025'), WEDNESDAY), true);
+        assert.strictEqual(ClassDates.isExpired(makeup('15-10-2025'), WEDNESDAY), false);
+        assert.strictEqual(ClassDates.isExpired(weekly, WEDNESDAY), false);
+
+        assert.strictEqual(ClassDates.isInWeek(makeup('19-10-2025'), WEDNESDAY), true);
+        assert.strictEqual(ClassDates.isInWeek(makeup('20-10-2025'), WEDNESDAY), false);
+    });
+
+    test('flags one-off classes when processing', () => {
+        const timetableManager = new TimetableManager(new AuthManager());
+        const processed = timetableManager.processClassItem(makeup('14-11-2026'));
+
+        assert.strictEqual(processed.Date, '2026-11-14');
+        assert.strictEqual(processed.Weekday, 'Saturday');
+        assert.strictEqual(processed.OneOff, true);
+        assert.strictEqual(timetableManager.processClassItem(weekly).OneOff, false);
+    });
+});
+
+describe('one-off classes in the cache', () => {
+    let cleanup;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+    });
+
+    after(async () => {
+        await cleanup();
+    });
+
+    test('drops past one-off classes when saving and loading', async () => {
+        const cacheManager = new CacheManager({ userId: 'dates', termId: '25261' });
+        await cacheManager.saveTimetableCache([weekly, makeup('01-01-2020'), makeup('01-01-2099')], null);
+
+        const cache = await cacheManager.loadTimetableCache();
+        assert.deepStrictEqual(cache.data.map(c => c.Day), ['Monday', '01-01-2099']);
+        assert.strictEqual(cache.classCount, 2);
+    });
+
+    test('does not report an expired one-off class as removed', () => {
+        const cacheManager = new CacheManager({ userId: 'dates', termId: '25261' });
+        cacheManager.lastTimetableData = [weekly, makeup('01-01-2020')];
+
+        assert.strictEqual(cacheManager.detectScheduleChanges([weekly]).hasChanges, false);
+
+        const { changes } = cacheManager.detectScheduleChanges([weekly, makeup('01-01-2099')]);
+        assert.deepStrictEqual(changes.map(c => `${c.type} ${c.class.Day}`), ['added 01-01-2099']);
+    });
+});
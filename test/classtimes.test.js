@@ -0,0 +1,139 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const CacheManager = require('../src/modules/cache.js');
+const ClassTimes = require('../src/modules/classtimes.js');
+
+// A GetTimeTable day in the shape UMS sends it
+function scheduleDay(day, events) {
+    return `<li class="w-schedule__group w-schedule__day">
+        <div class="w-schedule__col-label">${day}</div>
+        <ul>${events.map(([title, time]) => `
+            <li class="w-schedule__event-wrapper" title="${title}">
+                <a class="w-schedule__event" href="#0" onclick='return ShowEventDetail("X","${time}")'></a>
+            </li>`).join('')}
+        </ul>
+    </li>`;
+}
+
+describe('ClassTimes', () => {
+    test('reads the UMS 24-hour range as minutes', () => {
+        assert.deepStrictEqual(ClassTimes.parseUmsRange('09:00-10:00'), { start: 540, end: 600 });
+        assert.deepStrictEqual(ClassTimes.parseUmsRange('11:00-13:00'), { start: 660, end: 780 });
+        assert.deepStrictEqual(ClassTimes.parseUmsRange('09:30-10:20'), { start: 570, end: 620 });
+        assert.strictEqual(ClassTimes.parseUmsRange('10:00-09:00'), null);
+        assert.strictEqual(ClassTimes.parseUmsRange(''), null);
+    });
+
+    test('labels slots the way the app always has, and noon-crossing ones clearly', () => {
+        assert.strictEqual(ClassTimes.formatLabel(540, 600), '9-10 AM');
+        assert.strictEqual(ClassTimes.formatLabel(660, 720), '11-12 AM');
+        assert.strictEqual(ClassTimes.formatLabel(720, 780), '12-1 PM');
+        assert.strictEqual(ClassTimes.formatLabel(840, 900), '2-3 PM');
+        assert.strictEqual(ClassTimes.formatLabel(660, 780), '11 AM-1 PM');
+        assert.strictEqual(ClassTimes.formatLabel(570, 620), '9:30-10:20 AM');
+    });
+
+    test('reads labels back, including ones from older caches', () => {
+        const cases = {
+            '9-10 AM': [540, 600],
+            '11-12 AM': [660, 720],
+            '12-1 PM': [720, 780],
+            '11 AM-1 PM': [660, 780],
+            '9:30-10:20 AM': [570, 620],
+            '11-01 PM': [660, 780],
+            '11-13 AM': [660, 780],
+            '12-13 PM': [720, 780],
+            '02-03 PM': [840, 900]
+        };
+
+        for (const [label, [start, end]] of Object.entries(cases)) {
+            assert.deepStrictEqual(ClassTimes.parseLabel(label), { start, end }, label);
+        }
+        assert.strictEqual(ClassTimes.parseLabel('TBA'), null);
+    });
+
+    test('prefers the stored minutes over the label', () => {
+        assert.deepStrictEqual(ClassTimes.getRange({ AttendanceTime: '9-10 AM', StartMinutes: 570, EndMinutes: 630 }), { start: 570, end: 630 });
+        assert.deepStrictEqual(ClassTimes.getRange({ AttendanceTime: '9-10 AM' }), { start: 540, end: 600 });
+    });
+});
+
+describe('ClassTimes.mergePracticals', () => {
+    const practical = (time, extra = {}) => {
+        const { start, end } = ClassTimes.parseUmsRange(time);
+        return {
+            Day: 'Monday', CourseCode: 'CAP457', Type: 'Practical', Group: '1', Section: 'D2304', Room: '36-205',
+            StartMinutes: start, EndMinutes: end, AttendanceTime: ClassTimes.formatLabel(start, end),
+            ...extra
+        };
+    };
+
+    test('joins back-to-back slots of the same practical', () => {
+        const merged = ClassTimes.mergePracticals([practical('11:00-12:00'), practical('12:00-13:00'), practical('13:00-14:00')]);
+
+        assert.strictEqual(merged.length, 1);
+        assert.deepStrictEqual([merged[0].StartMinutes, merged[0].EndMinutes, merged[0].AttendanceTime], [660, 840, '11 AM-2 PM']);
+    });
+
+    test('keeps other groups, lectures and slots after a gap apart', () => {
+        const merged = ClassTimes.mergePracticals([
+            practical('09:00-10:00'),
+            practical('10:00-11:00', { Group: '2' }),
+            practical('10:00-11:00', { Type: 'Lecture' }),
+            practical('12:00-13:00')
+        ]);
+
+        assert.strictEqual(merged.length, 4);
+    });
+
+    test('merges slots listed out of order', () => {
+        const merged = ClassTimes.mergePracticals([practical('10:00-11:00'), practical('09:00-10:00')]);
+
+        assert.deepStrictEqual(merged.map(c => c.AttendanceTime), ['9-11 AM']);
+    });
+});
+
+describe('TimetableManager.parseTimetableHTML times', () => {
+    const timetableManager = new TimetableManager(new AuthManager());
+    const classes = timetableManager.parseTimetableHTML(`<div class="w-schedule"><ul>
+        ${scheduleDay('Thursday', [
+            ['Practical / G:2 C:CAP457 / R: 36-205 / S:D2304', '11:00-12:00'],
+            ['Practical / G:2 C:CAP457 / R: 36-205 / S:D2304', '12:00-13:00'],
+            ['Lecture / G:All C:CAP456 / R: 34-404 / S:D2304', '13:00-14:00'],
+            ['Tutorial / G:All C:PEA305 / R: 33-101 / S:D2304', '15:30-16:20']
+        ])}
+    </ul></div>`);
+
+    test('keeps the UMS start and end as minutes', () => {
+        assert.deepStrictEqual(classes.map(c => `${c.CourseCode} ${c.StartMinutes}-${c.EndMinutes} ${c.AttendanceTime}`), [
+            'CAP457 660-780 11 AM-1 PM',
+            'CAP456 780-840 1-2 PM',
+            'PEA305 930-980 3:30-4:20 PM'
+        ]);
+    });
+
+    test('processes a two-hour practical across noon as one block', () => {
+        const [practical] = classes.map(c => timetableManager.processClassItem(c));
+
+        assert.deepStrictEqual(practical.timeRange, { start: 660, end: 780 });
+    });
+});
+
+describe('CacheManager.detectScheduleChanges across the merge', () => {
+    test('does not report a slot-by-slot practical from an older snapshot as changed', () => {
+        const lecture = { CourseCode: 'CAP455', Day: 'Monday', AttendanceTime: '9-10 AM', Type: 'Lecture', Room: '34-404' };
+        const slot = { CourseCode: 'CAP457', Day: 'Monday', Type: 'Practical', Group: '1', Section: 'D2304', Room: '36-205' };
+
+        const cacheManager = new CacheManager({ userId: 'classtimes' });
+        cacheManager.lastTimetableData = [lecture, { ...slot, AttendanceTime: '10-11 AM' }, { ...slot, AttendanceTime: '11-12 AM' }];
+
+        const changes = cacheManager.detectScheduleChanges([
+            { ...lecture, StartMinutes: 540, EndMinutes: 600 },
+            { ...slot, AttendanceTime: '10-12 AM', StartMinutes: 600, EndMinutes: 720 }
+        ]);
+
+        assert.deepStrictEqual(changes, { hasChanges: false, changes: [] });
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UmsEndpoints = require('../src/modules/endpoints.js');
+const UserManager = require('../src/modules/users.js');
+
+describe('UmsEndpoints', () => {
+    afterEach(() => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.UMS_TIMETABLE_API_URL;
+        delete process.env.UMS_ENDPOINTS_FILE;
+        delete process.env.UMS_USERNAME;
+    });
+
+    // A UMS_ENDPOINTS_FILE for one test; removed again in afterEach
+    const useConfigFile = (config) => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lpu-endpoints-')), 'endpoints.json');
+        fs.writeFileSync(file, JSON.stringify(config));
+        process.env.UMS_ENDPOINTS_FILE = file;
+    };
+
+    test('defaults to ums.lpu.in', () => {
+        const endpoints = new UmsEndpoints();
+
+        assert.strictEqual(endpoints.get('loginPage'), 'https://ums.lpu.in/lpuums/LoginNew.aspx');
+        assert.strictEqual(endpoints.get('timetableApi'), 'https://ums.lpu.in/lpuums/frmMyCurrentTimeTable.aspx/GetTimeTable');
+        assert.strictEqual(endpoints.host, 'ums.lpu.in');
+    });
+
+    test('moves every endpoint with UMS_BASE_URL', () => {
+        process.env.UMS_BASE_URL = 'http://127.0.0.1:4010/';
+        const endpoints = new UmsEndpoints();
+
+        assert.strictEqual(endpoints.get('coursesPage'), 'http://127.0.0.1:4010/lpuums/frmStudentCourseRegistration.aspx');
+        assert.strictEqual(endpoints.origin, 'http://127.0.0.1:4010');
+    });
+
+    test('prefers config overrides, then per-endpoint env variables', () => {
+        process.env.UMS_TIMETABLE_API_URL = '/proxy/GetTimeTable';
+
+        assert.strictEqual(new UmsEndpoints().get('timetableApi'), 'https://ums.lpu.in/proxy/GetTimeTable');
+        assert.strictEqual(
+            new UmsEndpoints({ overrides: { timetableApi: 'https://mirror.example.com/tt' } }).get('timetableApi'),
+            'https://mirror.example.com/tt'
+        );
+    });
+
+    test('reads overrides and the base URL from UMS_ENDPOINTS_FILE', () => {
+        process.env.UMS_TIMETABLE_API_URL = '/env/GetTimeTable';
+        useConfigFile({ baseUrl: 'https://mirror.example.com', endpoints: { timetableApi: '/proxy/GetTimeTable' } });
+        const endpoints = new UmsEndpoints();
+
+        assert.strictEqual(endpoints.get('timetableApi'), 'https://mirror.example.com/proxy/GetTimeTable');
+        assert.strictEqual(endpoints.get('loginPage'), 'https://mirror.example.com/lpuums/LoginNew.aspx');
+    });
+
+    test('shares the configured registry with every login and scraper', async () => {
+        useConfigFile({ endpoints: { examSchedulePage: '/lpuums/frmExamDateSheet.aspx' } });
+        process.env.UMS_USERNAME = '12345678';
+        const userManager = new UserManager();
+        const context = await userManager.getUserContext('12345678');
+
+        assert.strictEqual(context.timetableManager.endpoints, userManager.endpoints);
+        assert.strictEqual(context.authManager.endpoints, userManager.endpoints);
+        assert.strictEqual(context.timetableManager.endpoints.get('examSchedulePage'), 'https://ums.lpu.in/lpuums/frmExamDateSheet.aspx');
+    });
+
+    test('lets new scrapers register endpoints', () => {
+        const endpoints = new UmsEndpoints();
+        endpoints.define('attendance', { path: '/lpuums/frmStudentAttendance.aspx', env: 'UMS_ATTENDANCE_URL' });
+
+        assert.strictEqual(endpoints.get('attendance'), 'https://ums.lpu.in/lpuums/frmStudentAttendance.aspx');
+        assert.throws(() => new UmsEndpoints().get('attendance'), /Unknown UMS endpoint/);
+        assert.throws(() => endpoints.get('missing'), /Unknown UMS endpoint/);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { scriptedCaptchaChain, useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const CacheManager = require('../src/modules/cache.js');
+const CalendarExporter = require('../src/modules/calendar.js');
+const ExamScheduleManager = require('../src/modules/exams.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+describe('ExamScheduleManager.parseExamSchedule', () => {
+    const examManager = new ExamScheduleManager(new TimetableManager(new AuthManager()));
+    const exams = examManager.parseExamSchedule(MockUmsServer.loadFixture('exams.html'));
+
+    test('reads course, type, date, time, room and seat by column header', () => {
+        assert.deepStrictEqual(exams.map(e => `${e.CourseCode} ${e.kind} ${e.date} ${e.start}-${e.end} ${e.room} ${e.seat}`), [
+            'CAP455 midTerm 2025-09-24 570-660 34-501 17',
+            'CAP456 midTerm 2025-09-26 660-780 34-502 23',
+            'CAP457 ca 2025-10-14 840-960 33-201 null',
+            'CAP455 endTerm 2025-12-03 null-null null null'
+        ]);
+        assert.strictEqual(exams[2].examType, 'CA 2');
+        assert.strictEqual(exams[1].CourseName, 'Data Structures');
+    });
+
+    test('parses 12- and 24-hour times', () => {
+        assert.deepStrictEqual(ExamScheduleManager.parseExamTime('9:30-11:00 AM'), { start: 570, end: 660 });
+        assert.deepStrictEqual(ExamScheduleManager.parseExamTime('10:00-12:00 PM'), { start: 600, end: 720 });
+        assert.deepStrictEqual(ExamScheduleManager.parseExamTime('14:00 - 17:00'), { start: 840, end: 1020 });
+        assert.deepStrictEqual(ExamScheduleManager.parseExamTime('TBA'), { start: null, end: null });
+    });
+
+    test('ignores tables without a course and date column', () => {
+        assert.deepStrictEqual(examManager.parseExamSchedule(MockUmsServer.loadFixture('attendance.html')), []);
+    });
+});
+
+describe('ExamScheduleManager.summarize', () => {
+    const examManager = new ExamScheduleManager(new TimetableManager(new AuthManager()));
+    const examData = { exams: examManager.parseExamSchedule(MockUmsServer.loadFixture('exams.html')), lastUpdate: Date.now() };
+
+    test('orders exams and works out their status in IST', () => {
+        // 26-09-2025 11:30 IST, half way through the CAP456 mid-term
+        const summary = examManager.summarize(examData, new Date('2025-09-26T06:00:00Z'));
+
+        assert.deepStrictEqual(summary.exams.map(e => `${e.CourseCode} ${e.status}`), [
+            'CAP455 done',
+            'CAP456 ongoing',
+            'CAP457 upcoming',
+            'CAP455 upcoming'
+        ]);
+        assert.strictEqual(summary.next.CourseCode, 'CAP456');
+        assert.strictEqual(summary.exams[0].startsAt, '2025-09-24T04:00:00.000Z');
+    });
+
+    test('treats exams without a time as all-day', () => {
+        const endTerm = examManager.summarize(examData, new Date('2025-12-03T12:00:00Z')).exams[3];
+
+        assert.strictEqual(endTerm.allDay, true);
+        assert.strictEqual(endTerm.status, 'ongoing');
+    });
+});
+
+describe('CalendarExporter with exams', () => {
+    const examManager = new ExamScheduleManager(new TimetableManager(new AuthManager()));
+    const { exams } = examManager.summarize({ exams: examManager.parseExamSchedule(MockUmsServer.loadFixture('exams.html')), lastUpdate: Date.now() });
+
+    test('adds exams as one-off events', () => {
+        const ics = new CalendarExporter({ userId: 'exams', termId: TERM }).build([], { timestamp: '2025-09-01T00:00:00Z', exams });
+
+        assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 4);
+        assert.ok(ics.includes('DTSTART;TZID=Asia/Kolkata:20250924T093000'));
+        assert.ok(ics.includes('DTSTART;VALUE=DATE:20251203'));
+        assert.ok(ics.includes('DTEND;VALUE=DATE:20251204'));
+        assert.ok(ics.includes('Seat: 17'));
+        assert.ok(!ics.includes('RRULE'));
+    });
+
+    test('keeps the UID when an exam is rescheduled', () => {
+        const exporter = new CalendarExporter({ userId: 'exams', termId: TERM });
+        assert.strictEqual(exporter.getExamUid(exams[0]), exporter.getExamUid({ ...exams[0], date: '2025-09-25' }));
+        assert.notStrictEqual(exporter.getExamUid(exams[0]), exporter.getExamUid(exams[3]));
+    });
+
+    test('keeps a course\'s exams of the same type apart', () => {
+        const exporter = new CalendarExporter({ userId: 'exams', termId: TERM });
+        const second = { ...exams[0], date: '2025-10-08' };
+        const ics = exporter.build([], { timestamp: '2025-09-01T00:00:00Z', exams: [second, exams[0], { ...exams[0] }] });
+
+        const uids = ics.match(/^UID:.*$/gm);
+        assert.strictEqual(uids.length, 2);
+        assert.deepStrictEqual(uids, [`UID:${exporter.getExamUid(exams[0])}`, `UID:${exporter.getExamUid(second, 1)}`]);
+    });
+});
+
+describe('ExamScheduleManager against the mock UMS', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let examManager;
+    let cacheManager;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+
+        const timetableManager = new TimetableManager(new AuthManager({
+            userId: '12345678',
+            username: '12345678',
+            password: 'secret',
+            captchaChain: scriptedCaptchaChain(() => mock.captchaText)
+        }));
+        examManager = new ExamScheduleManager(timetableManager);
+        cacheManager = new CacheManager({ userId: 'exams', termId: TERM });
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        await mock.stop();
+        await cleanup();
+    });
+
+    test('scrapes once and then serves the cache', async () => {
+        const examData = await examManager.refresh(cacheManager);
+        assert.strictEqual(examData.exams.length, 4);
+
+        const scrapes = mock.countRequests('exams');
+        await examManager.refresh(cacheManager);
+        assert.strictEqual(mock.countRequests('exams'), scrapes);
+    });
+
+    test('keeps the cached date sheet when UMS fails', async () => {
+        mock.failNext('exams', 'serverError');
+        const examData = await examManager.refresh(cacheManager, true);
+        assert.strictEqual(examData.exams.length, 4);
+    });
+});
@@ -0,0 +1,274 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { answerCaptcha, useTempDataDir } = require('./helpers.js');
+const { ManualCaptchaSolver } = require('../src/modules/captcha.js');
+const UserManager = require('../src/modules/users.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+const REG_NO = '12345678';
+
+describe('full flow through the HTTP API', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let server;
+    let apiUrl;
+    let token;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+
+        const app = require('../api/index.js');
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.CAPTCHA_SOLVERS;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await mock.stop();
+        await cleanup();
+    });
+
+    const api = async (method, url, body, headers = {}) => {
+        const response = await fetch(`${apiUrl}${url}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('keeps captchas private to the browser that was issued the client id', async () => {
+        assert.strictEqual((await api('GET', '/api/captcha/pending', null, { 'X-Captcha-Client': 'test-client' })).status, 403);
+        assert.strictEqual((await api('POST', '/api/captcha/some-id', { clientId: 'test-client', answer: 'abc' })).status, 403);
+
+        const { clientId } = (await api('POST', '/api/captcha/client')).body;
+        assert.match(clientId, /^[0-9a-f]{64}$/);
+        assert.deepStrictEqual((await api('GET', '/api/captcha/pending', null, { 'X-Captcha-Client': clientId })).body, { success: true, challenge: null });
+    });
+
+    test('caps the captcha client ids an address can hold', () => {
+        const now = Date.now();
+        const ids = Array.from({ length: 5 }, () => ManualCaptchaSolver.createClient('203.0.113.7', now));
+
+        assert.ok(ids.every(id => ManualCaptchaSolver.isIssuedClient(id, now)));
+        assert.strictEqual(ManualCaptchaSolver.createClient('203.0.113.7', now), null);
+        assert.ok(ManualCaptchaSolver.createClient('203.0.113.8', now));
+        // Expired ids free the address up again
+        assert.ok(ManualCaptchaSolver.createClient('203.0.113.7', now + 11 * 60 * 1000));
+    });
+
+    test('logs in with the captcha typed in the app', async () => {
+        const captchaClientId = (await api('POST', '/api/captcha/client')).body.clientId;
+        const [login] = await Promise.all([
+            api('POST', '/api/login', { registrationNumber: REG_NO, password: 'secret', captchaClientId }),
+            answerCaptcha(
+                async (clientId) => (await api('GET', '/api/captcha/pending', null, { 'X-Captcha-Client': clientId })).body.challenge,
+                async (id, clientId) => api('POST', `/api/captcha/${id}`, { clientId, answer: mock.captchaText }),
+                captchaClientId
+            )
+        ]);
+
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.user.registrationNumber, REG_NO);
+        token = login.body.token;
+    });
+
+    test('refreshes, parses and caches the timetable', async () => {
+        const refresh = await api('POST', `/api/refresh?term=${TERM}`);
+
+        assert.strictEqual(refresh.status, 200);
+        assert.strictEqual(refresh.body.classCount, 4);
+        assert.strictEqual(refresh.body.changes, null);
+        assert.strictEqual(refresh.body.parseWarning, null);
+        // Names from the registered courses page
+        assert.strictEqual(refresh.body.data.find(c => c.CourseCode === 'CAP456').CourseName, 'Data Structures');
+
+        const cached = await api('GET', `/api/timetable?term=${TERM}`);
+        assert.strictEqual(cached.status, 200);
+        assert.strictEqual(cached.body.data.length, 4);
+
+        // The parse that produced it is reported to the logged-in user
+        const status = await api('GET', '/api/status');
+        assert.strictEqual(status.body.parser.ok, true);
+        assert.strictEqual(status.body.parser.invalidCount, 0);
+        assert.strictEqual(status.body.parser.invalid, undefined);
+
+        const anonymous = await (await fetch(`${apiUrl}/api/status`)).json();
+        assert.strictEqual(anonymous.parser, undefined);
+    });
+
+    test('shows the raw parse report to admins only', async () => {
+        process.env.ADMIN_TOKEN = 'test-admin-token';
+        try {
+            assert.strictEqual((await api('GET', `/api/admin/parse-report?user=${REG_NO}`)).status, 403);
+
+            const admin = { 'X-Admin-Token': 'test-admin-token' };
+            const report = await api('GET', `/api/admin/parse-report?user=${REG_NO}&term=${TERM}`, null, admin);
+            assert.strictEqual(report.status, 200);
+            assert.strictEqual(report.body.term, TERM);
+            assert.deepStrictEqual(report.body.report.invalid, []);
+            assert.strictEqual((await api('GET', '/api/admin/parse-report?user=00000000', null, admin)).status, 404);
+        } finally {
+            delete process.env.ADMIN_TOKEN;
+        }
+    });
+
+    test('serves the attendance scraped during the refresh', async () => {
+        const attendance = await api('GET', '/api/attendance');
+
+        assert.strictEqual(attendance.status, 200);
+        assert.strictEqual(attendance.body.term, TERM);
+        assert.strictEqual(attendance.body.courses.length, 4);
+        assert.deepStrictEqual(
+            attendance.body.courses.find(c => c.CourseCode === 'CAP455'),
+            { CourseCode: 'CAP455', CourseName: 'Object Oriented Programming Using C++', delivered: 36, attended: 30, percentage: 83.33, canSkip: 4, mustAttend: 0 }
+        );
+        // Served from the cache filled by the refresh, even when asked to refresh
+        await api('GET', '/api/attendance?refresh=true');
+        assert.strictEqual(mock.countRequests('attendance'), 1);
+    });
+
+    test('serves the academic calendar scraped during the refresh', async () => {
+        const calendar = await api('GET', '/api/academic-calendar');
+
+        assert.strictEqual(calendar.status, 200);
+        assert.strictEqual(calendar.body.end, '2025-11-29');
+        assert.ok(calendar.body.events.some(e => e.type === 'holiday' && e.name === 'Diwali Break'));
+        await api('GET', '/api/academic-calendar?refresh=true');
+        assert.strictEqual(mock.countRequests('academicCalendar'), 1);
+    });
+
+    test('serves the exam schedule scraped during the refresh', async () => {
+        const exams = await api('GET', '/api/exams');
+
+        assert.strictEqual(exams.status, 200);
+        assert.deepStrictEqual(exams.body.exams.map(e => `${e.CourseCode} ${e.examType}`), [
+            'CAP455 Mid Term',
+            'CAP456 Mid Term',
+            'CAP457 CA 2',
+            'CAP455 End Term'
+        ]);
+        assert.strictEqual(exams.body.exams[0].seat, '17');
+        await api('GET', '/api/exams?refresh=true');
+        assert.strictEqual(mock.countRequests('exams'), 1);
+        assert.strictEqual((await api('GET', '/api/exams?term=abc')).status, 400);
+    });
+
+    test('lists free periods from the cached timetable', async () => {
+        const free = await api('GET', `/api/free-slots?term=${TERM}&day=Monday&min=30`);
+
+        assert.strictEqual(free.status, 200);
+        assert.deepStrictEqual(free.body.days[0].slots.map(slot => slot.label), ['11:00 AM - 5:00 PM']);
+        assert.strictEqual((await api('GET', '/api/free-slots?from=25:00')).status, 400);
+    });
+
+    test('rate-limits a second refresh', async () => {
+        const refresh = await api('POST', `/api/refresh?term=${TERM}`);
+        assert.strictEqual(refresh.status, 429);
+    });
+
+    test('runs the cron refresh only with CRON_SECRET', async () => {
+        process.env.CRON_SECRET = 'cron-secret';
+        const savedToken = token;
+        try {
+            token = 'wrong-secret';
+            assert.strictEqual((await api('POST', '/api/cron/refresh')).status, 403);
+
+            token = 'cron-secret';
+            const cron = await api('POST', '/api/cron/refresh');
+            assert.strictEqual(cron.status, 200);
+            assert.strictEqual(cron.body.users, 1);
+            assert.strictEqual(cron.body.rateLimited, 1);
+        } finally {
+            token = savedToken;
+            delete process.env.CRON_SECRET;
+        }
+    });
+});
+
+describe('change detection across refreshes', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let context;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+
+        const userManager = new UserManager();
+        const [session] = await Promise.all([
+            userManager.login(REG_NO, 'secret', { captchaContext: { clientId: 'flow' } }),
+            answerCaptcha(
+                async (clientId) => ManualCaptchaSolver.getPendingChallenge(clientId),
+                async (id, clientId) => ManualCaptchaSolver.answerChallenge(id, clientId, mock.captchaText),
+                'flow'
+            )
+        ]);
+        assert.ok(session);
+        context = await userManager.getUserContext(session.userId);
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.CAPTCHA_SOLVERS;
+        await mock.stop();
+        await cleanup();
+    });
+
+    // The steps of api/refresh.js
+    const refresh = async () => {
+        const cacheManager = context.cacheManager.forTerm(TERM);
+        await context.courseCatalogue.refresh(cacheManager);
+        const freshData = await context.timetableManager.fetchFreshTimetableData(TERM);
+        const changes = await cacheManager.detectScheduleChangesWithPersistence(freshData);
+        await cacheManager.saveTimetableCache(freshData, context.authManager.getSessionCookies());
+        return changes;
+    };
+
+    test('reports no changes on the first refresh', async () => {
+        const changes = await refresh();
+        assert.strictEqual(changes.hasChanges, false);
+    });
+
+    test('reports moved, modified, added and removed classes', async () => {
+        mock.setTimetable(TERM, MockUmsServer.loadFixture('timetable-changed.html'));
+
+        const changes = await refresh();
+        const byType = type => changes.changes.filter(c => c.type === type).map(c => c.class.CourseCode);
+
+        assert.deepStrictEqual(byType('moved'), ['CAP455']);
+        assert.deepStrictEqual(byType('modified'), ['CAP457']);
+        assert.deepStrictEqual(byType('added'), ['CSE101']);
+        assert.deepStrictEqual(byType('removed'), ['PEA305']);
+        assert.match(changes.changes.find(c => c.type === 'moved').message, /CAP455 moved from Mon 9-10 AM to Tue 3-4 PM/);
+    });
+
+    test('keeps the new timetable and the change history on disk', async () => {
+        const cacheManager = context.cacheManager.forTerm(TERM);
+        const cache = await cacheManager.loadTimetableCache();
+        const history = await cacheManager.loadChangeHistory();
+
+        assert.strictEqual(cache.data.length, 4);
+        assert.ok(cache.data.some(c => c.CourseCode === 'CSE101'));
+        assert.strictEqual(history.length, 1);
+        assert.deepStrictEqual(history[0].summary, { added: 1, removed: 1, modified: 1, moved: 1 });
+    });
+
+    test('reports nothing when the timetable is unchanged', async () => {
+        const changes = await refresh();
+        assert.strictEqual(changes.hasChanges, false);
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const FreeSlotFinder = require('../src/modules/freeslots.js');
+
+const timetableManager = new TimetableManager(new AuthManager());
+const classes = timetableManager
+    .parseTimetableHTML(MockUmsServer.loadFixture('timetable.html'))
+    .map(classItem => timetableManager.processClassItem(classItem));
+
+const labels = (day) => day.slots.map(slot => slot.label);
+
+describe('FreeSlotFinder.findFreeSlots', () => {
+    test('lists the gaps around each day\'s classes', () => {
+        const [monday, tuesday, wednesday, thursday] = FreeSlotFinder.findFreeSlots(classes);
+
+        assert.deepStrictEqual(labels(monday), ['11:00 AM - 5:00 PM']);
+        assert.deepStrictEqual(labels(tuesday), ['9:00 AM - 11:00 AM', '12:00 PM - 5:00 PM']);
+        assert.deepStrictEqual(labels(wednesday), ['9:00 AM - 2:00 PM', '3:00 PM - 5:00 PM']);
+        assert.strictEqual(thursday.classCount, 0);
+        assert.strictEqual(thursday.freeMinutes, 8 * 60);
+    });
+
+    test('honours the day window, minimum gap and day filter', () => {
+        const days = FreeSlotFinder.findFreeSlots(classes, { from: '10:00', to: '15:30', minMinutes: 150, days: ['Tuesday', 'Wednesday'] });
+
+        assert.deepStrictEqual(days.map(day => day.day), ['Tuesday', 'Wednesday']);
+        assert.deepStrictEqual(labels(days[0]), ['12:00 PM - 3:30 PM']);
+        assert.deepStrictEqual(labels(days[1]), ['10:00 AM - 2:00 PM']);
+    });
+
+    test('rejects a malformed window', () => {
+        assert.throws(() => FreeSlotFinder.getOptions({ from: '5pm' }), /Invalid time/);
+        assert.throws(() => FreeSlotFinder.getOptions({ from: '17:00', to: '09:00' }), /end after it starts/);
+        assert.throws(() => FreeSlotFinder.getOptions({ days: ['Funday'] }), /Invalid day/);
+    });
+});
+
+describe('FreeSlotFinder.findCommonFreeSlots', () => {
+    test('only keeps time everyone has free', () => {
+        const friend = [{ Day: 'Monday', timeRange: { start: 12 * 60, end: 14 * 60 } }];
+        const [monday] = FreeSlotFinder.findCommonFreeSlots([classes, friend], { days: ['Monday'] });
+
+        assert.deepStrictEqual(labels(monday), ['11:00 AM - 12:00 PM', '2:00 PM - 5:00 PM']);
+        assert.strictEqual(monday.classCount, 3);
+    });
+
+    test('counts a dated class on its weekday, in its own week only', () => {
+        // 15-10-2025 was a Wednesday
+        const extra = [{ Day: '15-10-2025', timeRange: { start: 9 * 60, end: 11 * 60 } }];
+        const [wednesday] = FreeSlotFinder.findCommonFreeSlots([classes, extra], { days: ['Wednesday'], now: new Date('2025-10-13T10:00:00+05:30') });
+        const [nextWednesday] = FreeSlotFinder.findCommonFreeSlots([classes, extra], { days: ['Wednesday'], now: new Date('2025-10-20T10:00:00+05:30') });
+
+        assert.deepStrictEqual(labels(wednesday), ['11:00 AM - 2:00 PM', '3:00 PM - 5:00 PM']);
+        assert.deepStrictEqual(labels(nextWednesday), ['9:00 AM - 2:00 PM', '3:00 PM - 5:00 PM']);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { scriptedCaptchaChain, useTempDataDir } = require('./helpers.js');
+const { LPUAutomatedLogin } = require('../src/login.js');
+const CredentialVault = require('../src/modules/vault.js');
+
+describe('LPUAutomatedLogin against the mock UMS', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        await mock.start();
+    });
+
+    after(async () => {
+        await mock.stop();
+        await cleanup();
+    });
+
+    const createLogin = (options = {}) => new LPUAutomatedLogin({
+        username: '12345678',
+        password: 'secret',
+        baseUrl: mock.baseUrl,
+        vault: new CredentialVault({ userId: '12345678' }),
+        captchaChain: scriptedCaptchaChain(() => mock.captchaText),
+        ...options
+    });
+
+    test('logs in and returns the UMS session cookies', async () => {
+        const result = await createLogin().runAutomation();
+
+        assert.strictEqual(result.success, true);
+        assert.match(result.cookies, /ASP\.NET_SessionId=/);
+        assert.match(result.cookies, /\.ASPXAUTH=/);
+        assert.match(result.cookies, /_ga_B0Z6G6GCD8=/);
+        assert.strictEqual(mock.sessions.size, 1);
+    });
+
+    test('applies the BotDetect case puzzle to the solved text', () => {
+        const login = createLogin();
+        const vcid = 'f00dfeedf00dfeedf00dfeedf00dfeed';
+        const position = 4321;
+        const hs = require('crypto').createHash('sha1').update(position + vcid).digest('hex');
+
+        assert.strictEqual(
+            login.convertCaptchaText('ab7kq', '4300', hs, vcid),
+            MockUmsServer.convertCaptcha('ab7kq', position)
+        );
+    });
+
+    test('reports a wrong captcha as a failed login and records the rejection', async () => {
+        const chain = scriptedCaptchaChain(() => 'wrong');
+        const result = await createLogin({ captchaChain: chain }).runAutomation();
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.error, 'Invalid credentials or captcha');
+
+        const stats = await chain.getStats();
+        assert.ok(stats.scripted.rejected >= 1);
+    });
+
+    test('reports wrong credentials as a failed login', async () => {
+        const result = await createLogin({ password: 'not-the-password' }).runAutomation();
+        assert.strictEqual(result.success, false);
+    });
+
+    test('fails when UMS answers with a server error', async () => {
+        mock.failNext('loginPage', 'serverError');
+        await assert.rejects(createLogin().runAutomation(), /status code 500/);
+    });
+});
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_TERM = '25261';
+
+// 1x1 white PNG - the solvers used in tests never look at the pixels
+const CAPTCHA_IMAGE = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Local stand-in for ums.lpu.in, covering what the app talks to:
+ * LoginNew.aspx (VIEWSTATE + BotDetect hidden fields), the BotDetect
+ * captcha params/image endpoints, GetTimeTable and the term, course,
+ * attendance, academic calendar and exam schedule pages.
+ * Point UMS_BASE_URL at `server.baseUrl` to run the real login and fetch
+ * code against it. Failure modes are scripted per route with failNext().
+ */
+class MockUmsServer {
+    constructor(options = {}) {
+        // registration number -> password
+        this.accounts = options.accounts || { '12345678': 'secret' };
+        // The text a solver should read off the image (before case conversion)
+        this.captchaText = options.captchaText || 'ab7kq';
+        this.terms = options.terms || [
+            { id: DEFAULT_TERM, name: 'Aug-Dec 2025', selected: true },
+            { id: '25252', name: 'Jan-May 2025' }
+        ];
+        // TermId -> GetTimeTable HTML
+        this.timetables = options.timetables || { [DEFAULT_TERM]: loadFixture('timetable.html') };
+        this.coursesHtml = options.coursesHtml || loadFixture('courses.html');
+        this.attendanceHtml = options.attendanceHtml || loadFixture('attendance.html');
+        this.academicCalendarHtml = options.academicCalendarHtml || loadFixture('academic-calendar.html');
+        this.examScheduleHtml = options.examScheduleHtml || loadFixture('exams.html');
+
+        this.challenges = new Map(); // BDC_VCID -> issued login form
+        this.sessions = new Set();
+        this.failures = [];
+        this.requests = [];
+        this.server = null;
+        this.baseUrl = null;
+
+        this.app = this.createApp();
+    }
+
+    // ==================== SCRIPTING ====================
+
+    /**
+     * Fail the next `times` requests to a route.
+     * route: 'loginPage' | 'login' | 'captchaParams' | 'captchaImage' | 'timetable' | 'terms' | 'courses' | 'attendance' | 'academicCalendar' | 'exams'
+     * mode:  'serverError' (HTTP 500), 'expired' (sessions dropped, HTTP 401),
+     *        'emptyD' (GetTimeTable answers {"d":""})
+     */
+    failNext(route, mode, times = 1) {
+        for (let i = 0; i < times; i++) {
+            this.failures.push({ route, mode });
+        }
+        return this;
+    }
+
+    takeFailure(route) {
+        const index = this.failures.findIndex(failure => failure.route === route);
+        return index >= 0 ? this.failures.splice(index, 1)[0].mode : null;
+    }
+
+    setTimetable(termId, html) {
+        this.timetables[String(termId)] = html;
+        return this;
+    }
+
+    // What UMS does after ~20 minutes idle
+    expireSessions() {
+        this.sessions.clear();
+        return this;
+    }
+
+    countRequests(route) {
+        return this.requests.filter(request => request.route === route).length;
+    }
+
+    // BotDetect's client-side case puzzle, as the captcha script in the login page does it
+    static convertCaptcha(text, position) {
+        const binary = ((position % 65533 + 1) >>> 0).toString(2);
+        let result = '';
+
+        for (let i = text.length - 1; i >= 0; i--) {
+            const digit = binary[binary.length - (text.length - i)];
+            result = (digit === '1' ? text[i].toUpperCase() : text[i].toLowerCase()) + result;
+        }
+
+        return result;
+    }
+
+    // ==================== ROUTES ====================
+
+    createApp() {
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+        app.use(express.json());
+
+        const route = (name, handler) => (req, res) => {
+            this.requests.push({ route: name, method: req.method, at: Date.now() });
+
+            const failure = this.takeFailure(name);
+            if (failure === 'serverError') {
+                return res.status(500).send('<h1>Server Error in \'/LpuUms\' Application.</h1>');
+            }
+            if (failure === 'expired') {
+                this.expireSessions();
+            }
+            if (failure === 'emptyD') {
+                return res.json({ d: '' });
+            }
+
+            handler(req, res);
+        };
+
+        app.get('/lpuums/LoginNew.aspx', route('loginPage', (req, res) => this.renderLoginPage(req, res)));
+        app.post('/lpuums/LoginNew.aspx', route('login', (req, res) => this.handleLogin(req, res)));
+        app.get('/LpuUms/BotDetectCaptcha.ashx', (req, res, next) => {
+            const name = req.query.get === 'image' ? 'captchaImage' : 'captchaParams';
+            route(name, (req, res) => this.handleCaptcha(req, res))(req, res, next);
+        });
+        app.post('/lpuums/frmMyCurrentTimeTable.aspx/GetTimeTable', route('timetable', (req, res) => this.handleTimetable(req, res)));
+        app.get('/lpuums/frmMyCurrentTimeTable.aspx', route('terms', (req, res) => this.handleTermsPage(req, res)));
+        app.get('/lpuums/frmStudentCourseRegistration.aspx', route('courses', (req, res) => this.handleCoursesPage(req, res)));
+        app.get('/lpuums/frmMyAttendance.aspx', route('attendance', (req, res) => this.handleAttendancePage(req, res)));
+        app.get('/lpuums/frmAcademicCalendar.aspx', route('academicCalendar', (req, res) => this.handleAcademicCalendarPage(req, res)));
+        app.get('/lpuums/frmStudentExamSchedule.aspx', route('exams', (req, res) => this.handleExamSchedulePage(req, res)));
+
+        return app;
+    }
+
+    getSessionId(req) {
+        const match = String(req.headers.cookie || '').match(/ASP\.NET_SessionId=([^;\s]+)/);
+        return match && this.sessions.has(match[1]) ? match[1] : null;
+    }
+
+    renderLoginPage(req, res) {
+        const vcid = randomHex(16);
+        const start = crypto.randomInt(1000, 60000);
+        const position = start + crypto.randomInt(0, 200);
+
+        const challenge = {
+            vcid,
+            viewState: `/wEPDwUK${randomHex(24)}`,
+            eventValidation: `/wEdAA${randomHex(16)}`,
+            sp: String(start),
+            hs: crypto.createHash('sha1').update(position + vcid).digest('hex'),
+            answer: MockUmsServer.convertCaptcha(this.captchaText, position)
+        };
+        this.challenges.set(vcid, challenge);
+
+        res.setHeader('Set-Cookie', `_ga_B0Z6G6GCD8=GS1.1.${Date.now()}.1.0; path=/`);
+        res.type('html').send(`<!DOCTYPE html>
+<html><body>
+<form method="post" action="./LoginNew.aspx" id="form1">
+    <input type="hidden" name="__VIEWSTATE" id="__VIEWSTATE" value="${challenge.viewState}" />
+    <input type="hidden" name="__VIEWSTATEGENERATOR" id="__VIEWSTATEGENERATOR" value="A8C8E0B5" />
+    <input type="hidden" name="__SCROLLPOSITIONX" id="__SCROLLPOSITIONX" value="0" />
+    <input type="hidden" name="__SCROLLPOSITIONY" id="__SCROLLPOSITIONY" value="0" />
+    <input type="hidden" name="__EVENTVALIDATION" id="__EVENTVALIDATION" value="${challenge.eventValidation}" />
+    <select name="DropDownList1" id="DropDownList1"><option selected="selected" value="1">Student</option></select>
+    <input name="txtU" type="text" id="txtU" />
+    <input name="TxtpwdAutoId_8767" type="password" id="TxtpwdAutoId_8767" />
+    <input type="hidden" name="BDC_VCID_c_loginnew_examplecaptcha" id="BDC_VCID_c_loginnew_examplecaptcha" value="${vcid}" />
+    <input type="hidden" name="BDC_BackWorkaround_c_loginnew_examplecaptcha" id="BDC_BackWorkaround_c_loginnew_examplecaptcha" value="1" />
+    <input type="hidden" name="BDC_Hs_c_loginnew_examplecaptcha" id="BDC_Hs_c_loginnew_examplecaptcha" value="${challenge.hs}" />
+    <input type="hidden" name="BDC_SP_c_loginnew_examplecaptcha" id="BDC_SP_c_loginnew_examplecaptcha" value="${challenge.sp}" />
+    <input name="CaptchaCodeTextBox" type="text" id="CaptchaCodeTextBox" />
+    <input type="submit" name="iBtnLogins150203125" value="Login" id="iBtnLogins150203125" />
+</form>
+</body></html>`);
+    }
+
+    handleCaptcha(req, res) {
+        const challenge = this.challenges.get(String(req.query.t || ''));
+        if (!challenge || req.query.c !== 'c_loginnew_examplecaptcha') {
+            return res.status(400).send('Invalid captcha request');
+        }
+
+        if (req.query.get === 'image') {
+            return res.type('png').send(CAPTCHA_IMAGE);
+        }
+        res.json({ sp: challenge.sp, hs: challenge.hs });
+    }
+
+    handleLogin(req, res) {
+        const form = req.body || {};
+        const challenge = this.challenges.get(form.BDC_VCID_c_loginnew_examplecaptcha);
+        const failPage = (message) => res.type('html').send(
+            `<html><body><span id="lblMessage" style="color:Red;">${escapeHtml(message)}</span></body></html>`
+        );
+
+        if (!challenge || form.__VIEWSTATE !== challenge.viewState || form.__EVENTVALIDATION !== challenge.eventValidation) {
+            return failPage('Error: the page has expired, please reload.');
+        }
+
+        // A captcha is good for one attempt
+        this.challenges.delete(challenge.vcid);
+
+        if (form.CaptchaCodeTextBox !== challenge.answer) {
+            return failPage('Invalid Captcha Code.');
+        }
+
+        const password = this.accounts[form.txtU];
+        if (password === undefined || password !== form.TxtpwdAutoId_8767) {
+            return failPage('Invalid Login Credentials.');
+        }
+
+        const sessionId = randomHex(12);
+        this.sessions.add(sessionId);
+
+        res.setHeader('Set-Cookie', [
+            `ASP.NET_SessionId=${sessionId}; path=/; HttpOnly`,
+            `.ASPXAUTH=${randomHex(32)}; path=/; HttpOnly`
+        ]);
+        res.redirect(302, '/lpuums/StudentDashboard.aspx');
+    }
+
+    handleTimetable(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.status(401).json({ Message: 'Authentication failed.', StackTrace: null, ExceptionType: 'System.InvalidOperationException' });
+        }
+
+        const termId = String((req.body && req.body.TermId) || '');
+        const html = this.timetables[termId];
+        res.json({ d: html || '<div class="w-schedule js-w-schedule"></div>' });
+    }
+
+    handleTermsPage(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.redirect(302, '/lpuums/LoginNew.aspx');
+        }
+
+        const options = this.terms
+            .map(term => `<option${term.selected ? ' selected="selected"' : ''} value="${term.id}">${escapeHtml(term.name)}</option>`)
+            .join('\n');
+        res.type('html').send(`<html><body><select id="ddlTerm">\n${options}\n</select></body></html>`);
+    }
+
+    handleCoursesPage(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.redirect(302, '/lpuums/LoginNew.aspx');
+        }
+        res.type('html').send(`<html><body>${this.coursesHtml}</body></html>`);
+    }
+
+    handleAttendancePage(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.redirect(302, '/lpuums/LoginNew.aspx');
+        }
+        res.type('html').send(`<html><body>${this.attendanceHtml}</body></html>`);
+    }
+
+    handleAcademicCalendarPage(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.redirect(302, '/lpuums/LoginNew.aspx');
+        }
+        res.type('html').send(`<html><body>${this.academicCalendarHtml}</body></html>`);
+    }
+
+    handleExamSchedulePage(req, res) {
+        if (!this.getSessionId(req)) {
+            return res.redirect(302, '/lpuums/LoginNew.aspx');
+        }
+        res.type('html').send(`<html><body>${this.examScheduleHtml}</body></html>`);
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.baseUrl);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+}
+
+MockUmsServer.DEFAULT_TERM = DEFAULT_TERM;
+MockUmsServer.loadFixture = loadFixture;
+
+module.exports = MockUmsServer;
+
+// CLI: node test/mock-ums.js [port] - run the mock for manual testing
+if (require.main === module) {
+    const mock = new MockUmsServer();
+    mock.start(parseInt(process.argv[2]) || parseInt(process.env.MOCK_UMS_PORT) || 4010).then(baseUrl => {
+        console.log(`🧪 Mock UMS running at ${baseUrl}`);
+        console.log(`   Set UMS_BASE_URL=${baseUrl} and CAPTCHA_SOLVERS=manual`);
+        console.log(`   Login: ${Object.keys(mock.accounts)[0]} / ${Object.values(mock.accounts)[0]}, captcha: ${mock.captchaText}`);
+    });
+}
@@ -0,0 +1,199 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const MockUmsServer = require('./mock-ums.js');
+const { answerCaptcha, useTempDataDir } = require('./helpers.js');
+const { ManualCaptchaSolver } = require('../src/modules/captcha.js');
+const WebPush = require('../src/modules/webpush.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+const fromBase64Url = value => Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Stands in for a browser vendor's push service: records each push and answers with `status`
+class MockPushService {
+    constructor() {
+        this.pushes = [];
+        this.status = 201;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                this.pushes.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.writeHead(this.status).end();
+            });
+        });
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.origin = `http://127.0.0.1:${this.server.address().port}`;
+        return this.origin;
+    }
+
+    async stop() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+// The browser side of a subscription: its ECDH key pair and auth secret
+function createBrowserKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return { ecdh, auth: crypto.randomBytes(16) };
+}
+
+// RFC 8291 decryption, as the browser does it
+function decryptPush(body, { ecdh, auth }) {
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const userPublicKey = ecdh.getPublicKey();
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdh.computeSecret(serverPublicKey), auth, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+    // Strip the 0x02 last-record delimiter
+    return JSON.parse(plaintext.subarray(0, plaintext.lastIndexOf(0x02)).toString('utf8'));
+}
+
+// Checks the ES256 signature and claims of a "vapid t=..., k=..." header
+function verifyVapid(header, vapidPublicKey, audience) {
+    const match = header.match(/^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/);
+    assert.ok(match, `unexpected Authorization header: ${header}`);
+    assert.strictEqual(match[4], vapidPublicKey);
+
+    const publicKey = fromBase64Url(vapidPublicKey);
+    const key = crypto.createPublicKey({
+        format: 'jwk',
+        key: { kty: 'EC', crv: 'P-256', x: toBase64Url(publicKey.subarray(1, 33)), y: toBase64Url(publicKey.subarray(33)) }
+    });
+    assert.ok(crypto.verify('sha256', Buffer.from(`${match[1]}.${match[2]}`), { key, dsaEncoding: 'ieee-p1363' }, fromBase64Url(match[3])));
+
+    const claims = JSON.parse(fromBase64Url(match[2]).toString('utf8'));
+    assert.strictEqual(claims.aud, audience);
+    assert.ok(claims.exp > Date.now() / 1000);
+}
+
+describe('Web Push delivery through the HTTP API', () => {
+    const mock = new MockUmsServer();
+    const pushService = new MockPushService();
+    const vapid = WebPush.generateVAPIDKeys();
+    const browser = createBrowserKeys();
+    let cleanup;
+    let server;
+    let apiUrl;
+    let userManager;
+    let token;
+    let endpoint;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+        process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+        process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+        endpoint = `${await pushService.start()}/push/browser-1`;
+
+        const app = require('../api/index.js');
+        userManager = app.locals.userManager;
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const [session] = await Promise.all([
+            userManager.login('12345678', 'secret', { captchaContext: { clientId: 'push' } }),
+            answerCaptcha(
+                async (clientId) => ManualCaptchaSolver.getPendingChallenge(clientId),
+                async (id, clientId) => ManualCaptchaSolver.answerChallenge(id, clientId, mock.captchaText),
+                'push'
+            )
+        ]);
+        token = session.token;
+    });
+
+    after(async () => {
+        for (const key of ['UMS_BASE_URL', 'CAPTCHA_SOLVERS', 'VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY']) delete process.env[key];
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await pushService.stop();
+        await mock.stop();
+        await cleanup();
+    });
+
+    const api = async (method, url, body) => {
+        const response = await fetch(`${apiUrl}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('hands out the VAPID key and accepts a subscription', async () => {
+        assert.strictEqual((await api('GET', '/api/push/key')).body.publicKey, vapid.publicKey);
+
+        const subscribe = await api('POST', '/api/push/subscribe', {
+            subscription: {
+                endpoint,
+                keys: { p256dh: toBase64Url(browser.ecdh.getPublicKey()), auth: toBase64Url(browser.auth) }
+            }
+        });
+        assert.strictEqual(subscribe.status, 201);
+        assert.strictEqual((await api('POST', '/api/push/subscribe', { endpoint: 'http://example.com/push' })).status, 400);
+    });
+
+    test('pushes an encrypted, VAPID-signed alert for each timetable change', async () => {
+        assert.strictEqual((await api('POST', `/api/refresh?term=${TERM}`)).status, 200);
+        assert.strictEqual(pushService.pushes.length, 0);
+
+        const context = await userManager.getUserContext('12345678');
+        context.cacheManager.forTerm(TERM).memoryCache.lastUpdate -= 11 * 60 * 1000;
+        mock.setTimetable(TERM, MockUmsServer.loadFixture('timetable-changed.html'));
+
+        const refresh = await api('POST', `/api/refresh?term=${TERM}`);
+        assert.strictEqual(refresh.body.changes.length, 4);
+        assert.strictEqual(pushService.pushes.length, 4);
+
+        const push = pushService.pushes.find(p => decryptPush(p.body, browser).data.changeType === 'moved');
+        assert.ok(push);
+        assert.strictEqual(push.path, '/push/browser-1');
+        assert.strictEqual(push.headers['content-encoding'], 'aes128gcm');
+        assert.strictEqual(push.headers['ttl'], String(24 * 60 * 60));
+        verifyVapid(push.headers.authorization, vapid.publicKey, pushService.origin);
+
+        const payload = decryptPush(push.body, browser);
+        assert.strictEqual(payload.title, '🔀 Class Moved');
+        assert.match(payload.body, /CAP455 moved from Mon 9-10 AM to Tue 3-4 PM/);
+        assert.strictEqual(payload.data.courseCode, 'CAP455');
+    });
+
+    for (const status of [404, 410]) {
+        test(`drops the subscription when the push service answers ${status}`, async () => {
+            const context = await userManager.getUserContext('12345678');
+            pushService.status = status;
+            try {
+                assert.strictEqual((await api('POST', '/api/push/subscribe', {
+                    subscription: { endpoint, keys: { p256dh: toBase64Url(browser.ecdh.getPublicKey()), auth: toBase64Url(browser.auth) } }
+                })).status, 201);
+
+                const result = await api('POST', '/api/push/test');
+
+                assert.deepStrictEqual([result.body.sent, result.body.failed], [0, 0]);
+                assert.deepStrictEqual(await context.notificationManager.loadSubscriptions(), []);
+            } finally {
+                pushService.status = 201;
+            }
+        });
+    }
+});
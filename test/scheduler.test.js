@@ -0,0 +1,108 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { answerCaptcha, useTempDataDir } = require('./helpers.js');
+const { ManualCaptchaSolver } = require('../src/modules/captcha.js');
+const { CronSchedule, RefreshScheduler } = require('../src/modules/scheduler.js');
+const UserManager = require('../src/modules/users.js');
+
+// 2025-09-01 is a Monday
+const ist = (day, hour, minute = 0) => new Date(Date.UTC(2025, 8, day, hour, minute) - (5 * 60 + 30) * 60 * 1000);
+
+describe('CronSchedule', () => {
+    test('parses lists, ranges and steps', () => {
+        const schedule = new CronSchedule('*/15 8-10,14 * * 1-5');
+
+        assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+        assert.deepStrictEqual([...schedule.hours], [8, 9, 10, 14]);
+        assert.deepStrictEqual([...schedule.weekdays], [1, 2, 3, 4, 5]);
+    });
+
+    test('matches in IST whatever the server timezone', () => {
+        const schedule = new CronSchedule('0 8-18 * * 1-6');
+
+        assert.strictEqual(schedule.matches(ist(1, 8)), true);
+        assert.strictEqual(schedule.matches(ist(1, 8, 30)), false);
+        assert.strictEqual(schedule.matches(ist(1, 19)), false);
+        assert.strictEqual(schedule.matches(ist(7, 9)), false); // Sunday
+    });
+
+    test('finds the next run, skipping the weekend', () => {
+        const schedule = new CronSchedule('0 8-18 * * 1-6');
+
+        assert.strictEqual(schedule.next(ist(1, 8)).getTime(), ist(1, 9).getTime());
+        assert.strictEqual(schedule.next(ist(6, 18, 5)).getTime(), ist(8, 8).getTime());
+    });
+
+    test('rejects malformed expressions', () => {
+        assert.throws(() => new CronSchedule('0 8 * *'), /5 fields/);
+        assert.throws(() => new CronSchedule('0 25 * * *'), /out of range/);
+        assert.throws(() => new CronSchedule('0 8 * * mon'), /Invalid cron/);
+    });
+});
+
+describe('RefreshScheduler against the mock UMS', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let userManager;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+
+        userManager = new UserManager();
+        await Promise.all([
+            userManager.login('12345678', 'secret', { captchaContext: { clientId: 'scheduler' } }),
+            answerCaptcha(
+                async (clientId) => ManualCaptchaSolver.getPendingChallenge(clientId),
+                async (id, clientId) => ManualCaptchaSolver.answerChallenge(id, clientId, mock.captchaText),
+                'scheduler'
+            )
+        ]);
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.CAPTCHA_SOLVERS;
+        await mock.stop();
+        await cleanup();
+    });
+
+    test('refreshes every stored user', async () => {
+        const summary = await new RefreshScheduler({ userManager, jitterSeconds: 0 }).runOnce();
+
+        assert.strictEqual(summary.users, 1);
+        assert.strictEqual(summary.refreshed, 1);
+        assert.strictEqual(summary.results[0].term, MockUmsServer.DEFAULT_TERM);
+        assert.strictEqual(mock.countRequests('timetable'), 1);
+    });
+
+    test('respects the 10-minute rate limit', async () => {
+        const summary = await new RefreshScheduler({ userManager, jitterSeconds: 0 }).runOnce();
+
+        assert.strictEqual(summary.rateLimited, 1);
+        assert.strictEqual(mock.countRequests('timetable'), 1);
+    });
+
+    test('reports change detection results once the limit has passed', async () => {
+        const context = await userManager.getUserContext('12345678');
+        context.cacheManager.forTerm(MockUmsServer.DEFAULT_TERM).memoryCache.lastUpdate -= 11 * 60 * 1000;
+        mock.setTimetable(MockUmsServer.DEFAULT_TERM, MockUmsServer.loadFixture('timetable-changed.html'));
+
+        const summary = await new RefreshScheduler({ userManager, jitterSeconds: 0 }).runOnce();
+
+        assert.strictEqual(summary.refreshed, 1);
+        assert.strictEqual(summary.changes, 4);
+    });
+
+    test('spreads users over the jitter window', async () => {
+        const scheduler = new RefreshScheduler({ userManager, jitterSeconds: 60 });
+        const waits = [];
+        scheduler.sleep = async (ms) => { waits.push(ms); };
+
+        await scheduler.runOnce();
+
+        assert.ok(waits.every(ms => ms >= 0 && ms < 60000));
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { answerCaptcha, useTempDataDir } = require('./helpers.js');
+const { ManualCaptchaSolver } = require('../src/modules/captcha.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const TimetableSchema = require('../src/modules/schema.js');
+const TimetableRefresher = require('../src/modules/refresher.js');
+const UserManager = require('../src/modules/users.js');
+const statusHandler = require('../api/status.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+// A GetTimeTable day in the shape UMS sends it
+function scheduleDay(day, events) {
+    return `<li class="w-schedule__group w-schedule__day">
+        <div class="w-schedule__col-label">${day}</div>
+        <ul>${events.map(([title, onclick]) => `
+            <li class="w-schedule__event-wrapper" title="${title}">
+                <a class="w-schedule__event" href="#0" onclick='${onclick}'></a>
+            </li>`).join('')}
+        </ul>
+    </li>`;
+}
+
+describe('TimetableSchema.validateClass', () => {
+    const valid = {
+        Day: 'Monday', CourseCode: 'CAP455', StartMinutes: 540, EndMinutes: 600,
+        Type: 'Lecture', Group: 'All', Section: 'D2304', Room: '34-404'
+    };
+
+    test('accepts weekly and one-off classes', () => {
+        assert.deepStrictEqual(TimetableSchema.validateClass(valid), []);
+        assert.deepStrictEqual(TimetableSchema.validateClass({ ...valid, Day: '14-11-2025', Group: null, Section: null, Room: null }), []);
+    });
+
+    test('says what is wrong with a class', () => {
+        assert.deepStrictEqual(TimetableSchema.validateClass({ ...valid, CourseCode: 'Unknown', StartMinutes: null, EndMinutes: null }), [
+            'no course code (C:) in the title',
+            'no readable time slot',
+            'time slot ends before it starts'
+        ]);
+        assert.deepStrictEqual(TimetableSchema.validateClass({ ...valid, Day: 'Mon', Group: 'x' }), [
+            'day is not a weekday or DD-MM-YYYY date',
+            'malformed group (G:)'
+        ]);
+    });
+});
+
+describe('TimetableManager.parseTimetable', () => {
+    const timetableManager = new TimetableManager(new AuthManager());
+
+    test('reports a clean parse of the recorded HTML', () => {
+        const { classes, report } = timetableManager.parseTimetable(MockUmsServer.loadFixture('timetable.html'));
+
+        assert.strictEqual(classes.length, 4);
+        assert.deepStrictEqual(report, { days: 3, events: 4, classCount: 4, invalidCount: 0, invalid: [] });
+    });
+
+    test('leaves out unreadable events and keeps their raw HTML', () => {
+        const { classes, report } = timetableManager.parseTimetable(`<div class="w-schedule"><ul>
+            ${scheduleDay('Monday', [
+                ['Lecture / G:All C:CAP455 / R: 34-404 / S:D2304', 'return ShowEventDetail("CAP455","09:00-10:00")'],
+                ['Lecture / G:All C:CAP456 / R: 34-404 / S:D2304', 'return ShowEvent("CAP456","10 to 11")'],
+                ['Lecture / Course CAP457 / R: 34-404', 'return ShowEventDetail("CAP457","11:00-12:00")']
+            ])}
+        </ul></div>`);
+
+        assert.deepStrictEqual(classes.map(c => c.CourseCode), ['CAP455']);
+        assert.strictEqual(report.invalidCount, 2);
+        assert.deepStrictEqual(report.invalid.map(e => e.errors), [
+            ['no readable time slot', 'time slot ends before it starts'],
+            ['no course code (C:) in the title']
+        ]);
+        assert.strictEqual(report.invalid[0].day, 'Monday');
+        assert.match(report.invalid[0].html, /^<li class="w-schedule__event-wrapper".*onclick="return ShowEvent\(&quot;CAP456&quot;,&quot;10 to 11&quot;\)"/);
+    });
+
+    test('no longer puts a class without a time at 9-10 AM', () => {
+        const classes = timetableManager.parseTimetableHTML(`<div class="w-schedule"><ul>
+            ${scheduleDay('Monday', [['Lecture / G:All C:CAP455 / R: 34-404 / S:D2304', 'return false']])}
+        </ul></div>`);
+
+        assert.deepStrictEqual(classes, []);
+    });
+});
+
+describe('TimetableSchema.detectDrift', () => {
+    const report = (classCount, invalidCount = 0, days = 5) => ({ days, events: classCount + invalidCount, classCount, invalidCount, invalid: [] });
+
+    test('keeps a good cache from an empty or shrunken parse', () => {
+        assert.match(TimetableSchema.detectDrift(report(0, 0, 0), 20), /markup not recognised/);
+        assert.match(TimetableSchema.detectDrift(report(0, 3), 20), /no readable classes/);
+        assert.match(TimetableSchema.detectDrift(report(9), 20), /Only 9 classes parsed, down from 20/);
+        assert.match(TimetableSchema.detectDrift(report(12, 13), 20), /13 of 25 timetable entries could not be read/);
+    });
+
+    test('lets normal changes and first fetches through', () => {
+        assert.strictEqual(TimetableSchema.detectDrift(report(10), 20), null);
+        assert.strictEqual(TimetableSchema.detectDrift(report(24, 1), 20), null);
+        assert.strictEqual(TimetableSchema.detectDrift(report(0, 0, 0), 0), null);
+    });
+});
+
+describe('drift detection during a refresh', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let userManager;
+    let context;
+    let token;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+
+        userManager = new UserManager();
+        const [session] = await Promise.all([
+            userManager.login('12345678', 'secret', { captchaContext: { clientId: 'schema' } }),
+            answerCaptcha(
+                async (clientId) => ManualCaptchaSolver.getPendingChallenge(clientId),
+                async (id, clientId) => ManualCaptchaSolver.answerChallenge(id, clientId, mock.captchaText),
+                'schema'
+            )
+        ]);
+        token = session.token;
+        context = await userManager.getUserContext(session.userId);
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.CAPTCHA_SOLVERS;
+        await mock.stop();
+        await cleanup();
+    });
+
+    // GET /api/status as the logged-in user
+    const getStatus = async () => {
+        let body;
+        const res = { status: () => ({ json: (data) => { body = data; } }) };
+        await statusHandler({ userManager, headers: { authorization: `Bearer ${token}` }, query: { term: TERM } }, res);
+        return body;
+    };
+
+    test('records a clean parse', async () => {
+        const refresh = await TimetableRefresher.refresh(context, TERM);
+        assert.strictEqual(refresh.parseWarning, null);
+
+        const status = await getStatus();
+        assert.strictEqual(status.parser.ok, true);
+        assert.strictEqual(status.parser.classCount, 4);
+    });
+
+    test('keeps the cached timetable when UMS sends unfamiliar markup', async () => {
+        context.cacheManager.forTerm(TERM).memoryCache.lastUpdate -= 11 * 60 * 1000;
+        mock.setTimetable(TERM, '<div class="schedule-v2"><div class="slot">CAP455 09:00-10:00</div></div>');
+
+        const refresh = await TimetableRefresher.refresh(context, TERM);
+
+        assert.match(refresh.parseWarning, /markup not recognised/);
+        assert.strictEqual(refresh.data.length, 4);
+        assert.strictEqual(refresh.changes.hasChanges, false);
+        assert.strictEqual((await context.cacheManager.forTerm(TERM).loadTimetableCache()).data.length, 4);
+        assert.deepStrictEqual(await context.cacheManager.forTerm(TERM).loadChangeHistory(), []);
+    });
+
+    test('explains the rejection in /api/status', async () => {
+        const status = await getStatus();
+
+        assert.strictEqual(status.success, true);
+        assert.deepStrictEqual(
+            { ok: status.parser.ok, term: status.parser.term, classCount: status.parser.classCount, previousCount: status.parser.previousCount },
+            { ok: false, term: TERM, classCount: 0, previousCount: 4 }
+        );
+        assert.match(status.parser.reason, /keeping the 4 cached classes/);
+    });
+
+    test('counts a rejected parse towards the rate limit', async () => {
+        const refresh = await TimetableRefresher.refresh(context, TERM);
+        assert.strictEqual(refresh.rateLimited, true);
+    });
+});
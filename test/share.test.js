@@ -0,0 +1,157 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { answerCaptcha, useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+const TimetableComparer = require('../src/modules/compare.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+const timetableManager = new TimetableManager(new AuthManager());
+const loadClasses = (fixture) => timetableManager
+    .parseTimetableHTML(MockUmsServer.loadFixture(fixture))
+    .map(classItem => timetableManager.processClassItem(classItem));
+
+describe('TimetableComparer', () => {
+    const participants = [
+        { name: 'You', classes: loadClasses('timetable.html') },
+        { name: 'Asha', classes: loadClasses('timetable-changed.html') }
+    ];
+
+    test('finds free time everyone shares', () => {
+        const { freeSlots } = TimetableComparer.compare(participants, { days: ['Monday', 'Tuesday'] });
+
+        assert.deepStrictEqual(freeSlots[0].slots.map(slot => slot.label), ['11:00 AM - 5:00 PM']);
+        assert.deepStrictEqual(freeSlots[1].slots.map(slot => slot.label), ['9:00 AM - 11:00 AM', '12:00 PM - 3:00 PM', '4:00 PM - 5:00 PM']);
+    });
+
+    test('lists classes taken together by course and section', () => {
+        const { sharedClasses } = TimetableComparer.compare(participants);
+
+        assert.deepStrictEqual(sharedClasses.map(course => course.CourseCode), ['CAP455', 'CAP456', 'CAP457']);
+
+        const cap455 = sharedClasses[0];
+        assert.deepStrictEqual(cap455.people, ['You', 'Asha']);
+        assert.deepStrictEqual(cap455.sessions.map(s => `${s.day} ${s.AttendanceTime} ${s.people.join('+')}`), [
+            'Monday 9-10 AM You',
+            'Tuesday 3-4 PM Asha'
+        ]);
+        assert.deepStrictEqual(sharedClasses[1].sessions[0].people, ['You', 'Asha']);
+    });
+
+    test('finds change-overs at the same building from different classes', () => {
+        const transitions = TimetableComparer.findSameBuildingTransitions([
+            { name: 'You', classes: [{ Day: 'Monday', CourseCode: 'CAP455', Section: 'A', Group: 'All', Building: '34', timeRange: { start: 540, end: 600 } }] },
+            { name: 'Asha', classes: [{ Day: 'Monday', CourseCode: 'CSE101', Section: 'B', Group: 'All', Building: '34', timeRange: { start: 540, end: 600 } }] },
+            { name: 'Ravi', classes: [{ Day: 'Monday', CourseCode: 'CSE101', Section: 'B', Group: 'All', Building: '34', timeRange: { start: 540, end: 600 } }] }
+        ]);
+
+        assert.deepStrictEqual(transitions.map(t => `${t.day} ${t.time} ${t.direction} ${t.building}`), [
+            'Monday 9:00 AM arriving 34',
+            'Monday 10:00 AM leaving 34'
+        ]);
+        assert.deepStrictEqual(transitions[1].people, [
+            { name: 'You', CourseCode: 'CAP455' },
+            { name: 'Asha', CourseCode: 'CSE101' },
+            { name: 'Ravi', CourseCode: 'CSE101' }
+        ]);
+    });
+});
+
+describe('share links and compare over HTTP', () => {
+    const mock = new MockUmsServer({ accounts: { '12345678': 'secret', '87654321': 'hunter2' } });
+    let cleanup;
+    let server;
+    let apiUrl;
+    const tokens = {};
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+        process.env.CAPTCHA_SOLVERS = 'manual';
+
+        const app = require('../api/index.js');
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        delete process.env.CAPTCHA_SOLVERS;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await mock.stop();
+        await cleanup();
+    });
+
+    const api = async (method, url, body, user) => {
+        const response = await fetch(`${apiUrl}${url}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(user ? { 'Authorization': `Bearer ${tokens[user]}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const loginAndRefresh = async (registrationNumber, password, fixture) => {
+        const captchaClientId = (await api('POST', '/api/captcha/client')).body.clientId;
+        const [login] = await Promise.all([
+            api('POST', '/api/login', { registrationNumber, password, captchaClientId }),
+            answerCaptcha(
+                async (clientId) => (await fetch(`${apiUrl}/api/captcha/pending`, { headers: { 'X-Captcha-Client': clientId } }).then(r => r.json())).challenge,
+                async (id, clientId) => api('POST', `/api/captcha/${id}`, { clientId, answer: mock.captchaText }),
+                captchaClientId
+            )
+        ]);
+        assert.strictEqual(login.status, 200);
+        tokens[registrationNumber] = login.body.token;
+
+        mock.setTimetable(TERM, MockUmsServer.loadFixture(fixture));
+        assert.strictEqual((await api('POST', `/api/refresh?term=${TERM}`, null, registrationNumber)).status, 200);
+    };
+
+    let shareUrl;
+
+    test('shares a read-only timetable', async () => {
+        await loginAndRefresh('12345678', 'secret', 'timetable.html');
+        await loginAndRefresh('87654321', 'hunter2', 'timetable-changed.html');
+
+        assert.strictEqual((await api('GET', '/api/share', null, '87654321')).body.shared, false);
+
+        const share = await api('POST', '/api/share', { name: 'Asha' }, '87654321');
+        assert.strictEqual(share.status, 201);
+        assert.match(share.body.url, /\/\?share=[a-f0-9]{48}$/);
+        shareUrl = share.body.url;
+
+        const view = await api('GET', `/api/shared/${shareUrl.split('=')[1]}`);
+        assert.strictEqual(view.status, 200);
+        assert.strictEqual(view.body.name, 'Asha');
+        assert.strictEqual(view.body.data.length, 4);
+        assert.ok(view.body.data.some(c => c.CourseCode === 'CSE101'));
+    });
+
+    test('compares against a pasted link', async () => {
+        const compare = await api('POST', '/api/compare', { links: [shareUrl] }, '12345678');
+
+        assert.strictEqual(compare.status, 200);
+        assert.deepStrictEqual(compare.body.participants.map(p => p.name), ['You', 'Asha']);
+        assert.deepStrictEqual(compare.body.sharedClasses.map(c => c.CourseCode), ['CAP455', 'CAP456', 'CAP457']);
+        assert.deepStrictEqual(compare.body.freeSlots[0].slots.map(slot => slot.label), ['11:00 AM - 5:00 PM']);
+
+        assert.strictEqual((await api('POST', '/api/compare', { links: [] }, '12345678')).status, 400);
+    });
+
+    test('stops working once revoked', async () => {
+        const revoke = await api('DELETE', '/api/share', null, '87654321');
+        assert.strictEqual(revoke.body.revoked, true);
+
+        assert.strictEqual((await api('GET', `/api/shared/${shareUrl.split('=')[1]}`)).status, 404);
+        assert.strictEqual((await api('POST', '/api/compare', { links: [shareUrl] }, '12345678')).status, 404);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const MockUmsServer = require('./mock-ums.js');
+const { scriptedCaptchaChain, useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const TimetableManager = require('../src/modules/timetable.js');
+
+const TERM = MockUmsServer.DEFAULT_TERM;
+
+describe('TimetableManager.parseTimetableHTML', () => {
+    const timetableManager = new TimetableManager(new AuthManager());
+
+    test('extracts every class from the recorded GetTimeTable HTML', () => {
+        const classes = timetableManager.parseTimetableHTML(MockUmsServer.loadFixture('timetable.html'));
+
+        assert.strictEqual(classes.length, 4);
+        assert.deepStrictEqual(classes.map(c => `${c.Day} ${c.AttendanceTime} ${c.CourseCode}`), [
+            'Monday 9-10 AM CAP455',
+            'Monday 10-11 AM CAP457',
+            'Tuesday 11-12 AM CAP456',
+            'Wednesday 2-3 PM PEA305'
+        ]);
+    });
+
+    test('parses type, room, group and section from the title', () => {
+        const [lecture, practical] = timetableManager.parseTimetableHTML(MockUmsServer.loadFixture('timetable.html'));
+
+        assert.strictEqual(lecture.Type, 'Lecture');
+        assert.strictEqual(lecture.Room, '34-404');
+        assert.strictEqual(lecture.Building, '34');
+        assert.strictEqual(lecture.RoomNumber, '404');
+        assert.strictEqual(lecture.Group, 'All');
+        assert.strictEqual(lecture.Section, 'D2304');
+
+        assert.strictEqual(practical.Type, 'Practical');
+        assert.strictEqual(practical.Group, '1');
+    });
+
+    test('returns no classes for an empty schedule', () => {
+        assert.deepStrictEqual(timetableManager.parseTimetableHTML('<div class="w-schedule"></div>'), []);
+    });
+});
+
+describe('TimetableManager against the mock UMS', () => {
+    const mock = new MockUmsServer();
+    let cleanup;
+    let authManager;
+    let timetableManager;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        process.env.UMS_BASE_URL = await mock.start();
+    });
+
+    after(async () => {
+        delete process.env.UMS_BASE_URL;
+        await mock.stop();
+        await cleanup();
+    });
+
+    beforeEach(() => {
+        mock.failures = [];
+        mock.requests = [];
+        authManager = new AuthManager({
+            userId: '12345678',
+            username: '12345678',
+            password: 'secret',
+            captchaChain: scriptedCaptchaChain(() => mock.captchaText)
+        });
+        timetableManager = new TimetableManager(authManager);
+    });
+
+    test('logs in on demand and fetches the timetable', async () => {
+        const classes = await timetableManager.fetchFreshTimetableData(TERM);
+
+        assert.strictEqual(classes.length, 4);
+        assert.strictEqual(mock.countRequests('login'), 1);
+        assert.ok(authManager.hasValidSession());
+    });
+
+    test('reuses the session for the next fetch', async () => {
+        await timetableManager.fetchFreshTimetableData(TERM);
+        await timetableManager.fetchFreshTimetableData(TERM);
+
+        assert.strictEqual(mock.countRequests('login'), 1);
+        assert.strictEqual(mock.countRequests('timetable'), 2);
+    });
+
+    test('logs in again when UMS has expired the session', async () => {
+        await timetableManager.fetchFreshTimetableData(TERM);
+        mock.failNext('timetable', 'expired');
+
+        const classes = await timetableManager.fetchFreshTimetableData(TERM);
+
+        assert.strictEqual(classes.length, 4);
+        assert.strictEqual(mock.countRequests('login'), 2);
+    });
+
+    test('retries after a GetTimeTable server error', async () => {
+        mock.failNext('timetable', 'serverError');
+
+        const classes = await timetableManager.fetchFreshTimetableData(TERM);
+
+        assert.strictEqual(classes.length, 4);
+        assert.strictEqual(mock.countRequests('timetable'), 2);
+    });
+
+    test('gives up after repeated server errors', async () => {
+        mock.failNext('timetable', 'serverError', 5);
+
+        await assert.rejects(timetableManager.fetchFreshTimetableData(TERM), /failed/);
+    });
+
+    test('treats an empty "d" as an expired session', async () => {
+        mock.failNext('timetable', 'emptyD');
+
+        await assert.rejects(timetableManager.fetchFreshTimetableData(TERM), /Session expired/);
+        assert.strictEqual(authManager.hasValidSession(), false);
+    });
+
+    test('discovers terms from the timetable page', async () => {
+        const terms = await timetableManager.fetchAvailableTerms();
+
+        assert.deepStrictEqual(terms.map(t => t.id), ['25261', '25252']);
+        assert.strictEqual(terms[0].selected, true);
+    });
+});
@@ -0,0 +1,216 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { useTempDataDir } = require('./helpers.js');
+const AuthManager = require('../src/modules/auth.js');
+const UserManager = require('../src/modules/users.js');
+const CredentialVault = require('../src/modules/vault.js');
+
+const ENV_KEYS = ['UMS_USERNAME', 'UMS_PASSWORD', 'UMS_PASSWORD_ENCRYPTED', 'SINGLE_USER_MODE'];
+
+describe('UserManager.resolveRequestUser', () => {
+    let cleanup;
+    let userManager;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        userManager = new UserManager();
+    });
+
+    afterEach(() => {
+        for (const key of ENV_KEYS) delete process.env[key];
+    });
+
+    after(async () => {
+        await cleanup();
+    });
+
+    const anonymous = { headers: {} };
+
+    test('does not serve anonymous visitors as the .env owner', async () => {
+        process.env.UMS_USERNAME = '12345678';
+        process.env.UMS_PASSWORD = 'secret';
+
+        assert.strictEqual(await userManager.resolveRequestUser(anonymous), null);
+    });
+
+    test('uses the .env owner in single-user mode', async () => {
+        process.env.UMS_USERNAME = '12345678';
+        process.env.SINGLE_USER_MODE = 'true';
+
+        assert.strictEqual(await userManager.resolveRequestUser(anonymous), '12345678');
+    });
+
+    test('prefers the session over the .env owner', async () => {
+        process.env.UMS_USERNAME = '12345678';
+        process.env.SINGLE_USER_MODE = 'true';
+        const session = await userManager.createSession('87654321');
+
+        assert.strictEqual(await userManager.resolveRequestUser({ headers: { authorization: `Bearer ${session.token}` } }), '87654321');
+    });
+});
+
+describe('UserManager.listUserIds', () => {
+    let cleanup;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+    });
+
+    afterEach(() => {
+        for (const key of ENV_KEYS) delete process.env[key];
+    });
+
+    after(async () => {
+        await cleanup();
+    });
+
+    test('schedules the .env user with a plain or vault-encrypted password', async () => {
+        process.env.UMS_USERNAME = '12345678';
+        assert.deepStrictEqual(await new UserManager().listUserIds(), []);
+
+        process.env.UMS_PASSWORD_ENCRYPTED = CredentialVault.encryptToString('secret');
+        assert.deepStrictEqual(await new UserManager().listUserIds(), ['12345678']);
+
+        delete process.env.UMS_PASSWORD_ENCRYPTED;
+        process.env.UMS_PASSWORD = 'secret';
+        assert.deepStrictEqual(await new UserManager().listUserIds(), ['12345678']);
+    });
+});
+
+describe('UserManager.login without a vault key', () => {
+    let cleanup;
+    let vaultKey;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+        vaultKey = process.env.VAULT_KEY;
+        delete process.env.VAULT_KEY;
+    });
+
+    after(async () => {
+        process.env.VAULT_KEY = vaultKey;
+        await cleanup();
+    });
+
+    test('refuses to store an account whose password would not survive a restart', async () => {
+        await assert.rejects(new UserManager().login('12345678', 'secret'), /VAULT_KEY is not set/);
+    });
+});
+
+describe('AuthManager with a legacy session file', () => {
+    let cleanup;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+    });
+
+    after(async () => {
+        await cleanup();
+    });
+
+    test('moves the plaintext cookies into the vault and deletes the file', async () => {
+        const authManager = new AuthManager({ userId: '12345678', username: '12345678' });
+        await fs.mkdir(path.dirname(authManager.LEGACY_SESSION_FILE), { recursive: true });
+        await fs.writeFile(authManager.LEGACY_SESSION_FILE, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            cookies: 'ASP.NET_SessionId=abc',
+            loginSuccess: true
+        }));
+
+        assert.strictEqual(await authManager.loadSessionData(), true);
+        assert.strictEqual(authManager.sessionCookies, 'ASP.NET_SessionId=abc');
+        await assert.rejects(fs.access(authManager.LEGACY_SESSION_FILE));
+        assert.match(await authManager.vault.getSecret('session'), /ASP\.NET_SessionId=abc/);
+        assert.doesNotMatch(await fs.readFile(authManager.vault.VAULT_FILE, 'utf8'), /ASP\.NET_SessionId/);
+    });
+
+    test('moves the pre-multi-user session file into the .env owner\'s vault', async () => {
+        process.env.UMS_USERNAME = '34567890';
+        process.env.UMS_PASSWORD = 'secret';
+        await fs.mkdir('./src/data', { recursive: true });
+        await fs.writeFile('./src/data/session_cookies.json', JSON.stringify({
+            timestamp: new Date().toISOString(),
+            cookies: 'ASP.NET_SessionId=owner',
+            loginSuccess: true
+        }));
+
+        try {
+            const context = await new UserManager().getUserContext('34567890');
+
+            assert.strictEqual(context.authManager.sessionCookies, 'ASP.NET_SessionId=owner');
+            await assert.rejects(fs.access('./src/data/session_cookies.json'));
+            assert.match(await context.authManager.vault.getSecret('session'), /ASP\.NET_SessionId=owner/);
+        } finally {
+            for (const key of ENV_KEYS) delete process.env[key];
+        }
+    });
+
+    test('leaves other users\' hands off the pre-multi-user session file', async () => {
+        await fs.writeFile('./src/data/session_cookies.json', '{}');
+        await new AuthManager({ userId: '45678901', username: '45678901' }).loadSessionData();
+        await fs.access('./src/data/session_cookies.json');
+        await fs.unlink('./src/data/session_cookies.json');
+    });
+
+    test('leaves the file alone when the vault cannot take it', async () => {
+        const vaultKey = process.env.VAULT_KEY;
+        const authManager = new AuthManager({ userId: '23456789', username: '23456789' });
+        await fs.mkdir(path.dirname(authManager.LEGACY_SESSION_FILE), { recursive: true });
+
+        try {
+            delete process.env.VAULT_KEY;
+            await fs.writeFile(authManager.LEGACY_SESSION_FILE, JSON.stringify({ cookies: 'ASP.NET_SessionId=abc', loginSuccess: true }));
+            await authManager.migrateLegacySession();
+            await fs.access(authManager.LEGACY_SESSION_FILE);
+        } finally {
+            process.env.VAULT_KEY = vaultKey;
+        }
+
+        await fs.writeFile(authManager.LEGACY_SESSION_FILE, '{ not json');
+        await authManager.migrateLegacySession();
+        assert.strictEqual(await fs.readFile(authManager.LEGACY_SESSION_FILE, 'utf8'), '{ not json');
+        assert.strictEqual(await authManager.vault.getSecret('session'), null);
+    });
+});
+
+describe('UserManager with data from before per-user storage', () => {
+    let cleanup;
+
+    before(async () => {
+        cleanup = await useTempDataDir();
+    });
+
+    after(async () => {
+        for (const key of ENV_KEYS) delete process.env[key];
+        await cleanup();
+    });
+
+    const classes = [{ Day: 'Monday', CourseCode: 'CAP455', AttendanceTime: '09-10 AM' }];
+
+    test('moves the .env owner\'s timetable cache and change baseline into their term', async () => {
+        process.env.UMS_USERNAME = '12345678';
+        process.env.UMS_PASSWORD = 'secret';
+        await fs.mkdir('./src/data', { recursive: true });
+        await fs.writeFile('./src/data/timetable_cache.json', JSON.stringify({ data: classes, timestamp: new Date().toISOString(), lastUpdate: Date.now(), classCount: 1 }));
+        await fs.writeFile('./src/data/previous_timetable.json', JSON.stringify({ data: classes, timestamp: Date.now(), lastUpdate: Date.now() }));
+
+        const context = await new UserManager().getUserContext('12345678');
+        const termCache = context.cacheManager.forTerm('25261');
+
+        assert.strictEqual((await termCache.loadTimetableCache()).data[0].CourseCode, 'CAP455');
+        assert.deepStrictEqual(await termCache.loadPreviousTimetableData(), classes);
+        await assert.rejects(fs.access('./src/data/timetable_cache.json'));
+        await assert.rejects(fs.access('./src/data/previous_timetable.json'));
+    });
+
+    test('never overwrites the owner\'s newer cache', async () => {
+        await fs.writeFile('./src/data/timetable_cache.json', JSON.stringify({ data: [], lastUpdate: Date.now() }));
+
+        const context = await new UserManager().getUserContext('12345678');
+
+        assert.strictEqual((await context.cacheManager.forTerm('25261').loadTimetableCache()).data.length, 1);
+        await fs.access('./src/data/timetable_cache.json');
+    });
+});